@@ -0,0 +1,664 @@
+/**
+ * Freeform Builder - Builder Model
+ *
+ * The building without a renderer: levels, walls, courtyard voids and rooms,
+ * plus what derives from them (noded wall paths, floor regions and the rooms
+ * on them, snapping). Nothing here touches the DOM or WebGL, so it runs under
+ * Node as well as behind the Three.js view, which creates its meshes from the
+ * events below. The app exposes its builder as `window.builder` for scripts:
+ *
+ *     builder.addWall([[0, 0], [4, 0], [4, 3], [0, 3], [0, 0]]);
+ *     builder.getRooms(); // [{ id, name: 'Room 1', area: 12, perimeter: 14, ... }]
+ *
+ * Records are plain data with THREE.Vector3 points on their level's plane:
+ *
+ * - level: { id, name, elevation }, kept sorted by elevation
+ * - wall: { type: 'wall', id, level, points, height, thickness, base, color,
+ *   openings, ... }; walls without a known level stand on the lowest one
+ * - room: { id, name, color, points, holes }, the outline it last covered
+ *
+ * Getters hand out the live records, and listeners get them too: the view
+ * hangs each wall record on its mesh and edits it in place while previewing
+ * a drag. Anything meant to last goes through the methods, which emit:
+ *
+ * - 'wall-added' ({ wall, index }), 'wall-removed' ({ wall, index }),
+ *   'wall-changed' ({ wall, previous }): the record is replaced on change
+ * - 'levels-changed', 'voids-changed', 'rooms-changed'
+ * - 'change' ({ types }): once after every mutation, or once per `batch`
+ *
+ * Walls are kept in a spatial index (by the bounds of their segments), so
+ * `snap` and `queryWalls` only look at the walls near a point. The index is
+ * updated by the methods; a record edited in place is reindexed when the
+ * edit is written back with `updateWall`, or with `touchWall` while it is
+ * still being edited (a drag preview).
+ *
+ * Floors are traced per group of touching walls and kept until one of the
+ * group's walls changes, so an edit only nodes and traces the group it is
+ * in again (`getConnectedWalls` lists a wall's group). Rooms are matched to
+ * the new floor regions by overlap (see rooms.js): a room keeps its name and
+ * color as its walls move, and one that loses its floor waits for it to come
+ * back (an undo, say). The builder has no undo of its own.
+ */
+
+import * as THREE from 'three';
+import { extractFaces, nestFaces, getLoopKey } from './planarFaces.js';
+import { nodePaths, NODE_TOLERANCE } from './wallTopology.js';
+import { snap as snapToPaths, SNAP_TYPES } from './snapping.js';
+import { matchRooms, getRoomArea, getRoomPerimeter } from './rooms.js';
+import { createSpatialIndex, getPointsBounds, boundsOverlap } from './spatialIndex.js';
+import { DEFAULT_LEVEL } from './sceneFormat.js';
+
+export const WALL_DEFAULTS = { height: 2.5, thickness: 0.15, base: 0, color: '#5a5a5a' };
+export const ROOM_COLOR = '#4a4a4a';
+
+// Capture distances and angles (radians) for `snap`; see SnapContext in snapping.js
+export const SNAP_DEFAULTS = {
+    radius: 0.5,
+    gridSize: 0.25,
+    angleStep: Math.PI / 4,
+    angleThreshold: Math.PI / 12,
+    cardinalThreshold: Math.PI / 24,
+    guideThreshold: Math.PI / 36,
+    guideRange: 6,
+    runTolerance: 0.05
+};
+
+function createId() {
+    return Date.now() + Math.random();
+}
+
+// Scripts may pass [x, z] pairs or anything with x and z
+function toPoint(p) {
+    return Array.isArray(p) ? new THREE.Vector3(p[0], 0, p[1]) : new THREE.Vector3(p.x, 0, p.z);
+}
+
+// Snap input as given when it is already a vector (the view's cursor keeps its height)
+function toSnapPoint(p) {
+    return p.isVector3 ? p : toPoint(p);
+}
+
+function clonePoints(points) {
+    return points.map(p => p.clone());
+}
+
+function cloneWall({ type, points, ...props }) {
+    return { type: 'wall', ...structuredClone(props), points: points.map(toPoint) };
+}
+
+function growBounds({ minX, minZ, maxX, maxZ }, margin) {
+    return { minX: minX - margin, minZ: minZ - margin, maxX: maxX + margin, maxZ: maxZ + margin };
+}
+
+function cloneRoom({ id, name, color, points, holes = [] }) {
+    return { id, name, color, points: points.map(toPoint), holes: holes.map(hole => hole.map(toPoint)) };
+}
+
+/**
+ * Create an empty builder with one ground level.
+ *
+ * @param {Object} [options]
+ * @param {Object} [options.wallDefaults] - Properties `addWall` gives new
+ *     walls; read on every call, so it can be a live settings object
+ * @param {string} [options.roomColor] - Floor color of new rooms
+ * @param {number} [options.roomMatchOverlap] - Share of the smaller outline a
+ *     floor region must overlap to keep a room (see matchRooms)
+ * @param {Object} [options.snap] - Overrides for SNAP_DEFAULTS
+ */
+export function createBuilder({
+    wallDefaults = WALL_DEFAULTS,
+    roomColor = ROOM_COLOR,
+    roomMatchOverlap = 0.2,
+    snap: snapOptions = {}
+} = {}) {
+    let levels = [{ ...DEFAULT_LEVEL }];
+    let walls = [];
+    let voids = new Set(); // Loop keys of nested regions left open
+    let rooms = []; // With or without a floor, in the order they were made
+    const wallIndex = createSpatialIndex();
+    const wallBounds = new Map(); // Wall record → bounds when it was indexed
+    const segmentBounds = new Map(); // Wall record → bounds of each segment, likewise
+    const groups = new Map(); // Wall record → its traced group (see getTouchingWalls)
+    const untraced = new Set(); // Walls added or changed since their group was traced
+    const levelRegions = new Map(); // Level id → nested regions of its groups
+    const roomOutlines = new WeakMap(); // Room → { points, holes, key } it was last keyed by
+
+    const listeners = new Map();
+    const snapSettings = { ...SNAP_DEFAULTS, ...snapOptions };
+    let batchDepth = 0;
+    let batchTypes = [];
+
+    // ============================================
+    // EVENTS
+    // ============================================
+
+    function on(type, listener) {
+        if (!listeners.has(type)) listeners.set(type, new Set());
+        listeners.get(type).add(listener);
+        return () => listeners.get(type).delete(listener);
+    }
+
+    function emit(type, detail = {}) {
+        (listeners.get(type) || []).forEach(listener => listener(detail));
+        if (type === 'change') return;
+
+        if (batchDepth > 0) {
+            if (!batchTypes.includes(type)) batchTypes.push(type);
+        } else {
+            emit('change', { types: [type] });
+        }
+    }
+
+    // Run `fn`, holding back 'change' until it returns
+    function batch(fn) {
+        batchDepth++;
+        try {
+            return fn();
+        } finally {
+            batchDepth--;
+            if (batchDepth === 0 && batchTypes.length > 0) {
+                const types = batchTypes;
+                batchTypes = [];
+                emit('change', { types });
+            }
+        }
+    }
+
+    // ============================================
+    // LEVELS
+    // ============================================
+
+    function getLevels() {
+        return levels;
+    }
+
+    function getLevel(id) {
+        return levels.find(level => level.id === id) || null;
+    }
+
+    // The lowest level gets automatic floors
+    function getGroundLevel() {
+        return levels[0];
+    }
+
+    function sortLevels() {
+        levels.sort((a, b) => a.elevation - b.elevation);
+    }
+
+    function addLevel(level) {
+        levels.push({ ...level });
+        sortLevels();
+        resetGroups();
+        emit('levels-changed');
+        return getLevel(level.id);
+    }
+
+    // Walls on a removed level fall back to the lowest one
+    function removeLevel(id) {
+        if (levels.length < 2 || !getLevel(id)) return;
+        levels = levels.filter(level => level.id !== id);
+        resetGroups();
+        emit('levels-changed');
+    }
+
+    function updateLevel(data) {
+        const level = getLevel(data.id);
+        if (!level) return;
+        Object.assign(level, data);
+        sortLevels();
+        emit('levels-changed');
+    }
+
+    // ============================================
+    // WALLS
+    // ============================================
+
+    function getWallLevel(wall) {
+        return getLevel(wall.level) ? wall.level : getGroundLevel().id;
+    }
+
+    // All walls, or those of one level
+    function getWalls(level = null) {
+        return level === null ? walls : walls.filter(wall => getWallLevel(wall) === level);
+    }
+
+    function getWall(id) {
+        return walls.find(wall => wall.id === id) || null;
+    }
+
+    function indexWall(wall) {
+        const segments = wall.points.slice(1).map((p, i) => getPointsBounds([wall.points[i], p]));
+        wallIndex.insertPath(wall, wall.points);
+        wallBounds.set(wall, getPointsBounds(wall.points));
+        segmentBounds.set(wall, segments);
+        untraceWall(wall);
+    }
+
+    function unindexWall(wall) {
+        wallIndex.remove(wall);
+        wallBounds.delete(wall);
+        segmentBounds.delete(wall);
+        untraceWall(wall);
+    }
+
+    // Walls (of one level, or all) whose bounds overlap `bounds`
+    // ({ minX, minZ, maxX, maxZ })
+    function queryWalls(bounds, level = null) {
+        return wallIndex.query(bounds).filter(wall => {
+            return boundsOverlap(wallBounds.get(wall), bounds) && (level === null || getWallLevel(wall) === level);
+        });
+    }
+
+    // Add a wall snapshot as it is (undo, loading); null for a path without length
+    function insertWall(data, index = walls.length) {
+        const wall = cloneWall(data);
+        if (wall.points.length < 2 || wall.points.every(p => p.distanceTo(wall.points[0]) < 1e-6)) return null;
+
+        walls.splice(index, 0, wall);
+        indexWall(wall);
+        emit('wall-added', { wall, index });
+        return wall;
+    }
+
+    // New wall along `points` with the wall defaults, overridden by `props`
+    function addWall(points, props = {}) {
+        return insertWall({ ...wallDefaults, id: createId(), ...props, points });
+    }
+
+    function removeWall(id) {
+        const index = walls.findIndex(wall => wall.id === id);
+        if (index < 0) return null;
+
+        const [wall] = walls.splice(index, 1);
+        unindexWall(wall);
+        emit('wall-removed', { wall, index });
+        return wall;
+    }
+
+    // Replace a wall's record with a snapshot, dropping properties it lacks
+    function updateWall(data) {
+        const index = walls.findIndex(wall => wall.id === data.id);
+        if (index < 0) return null;
+
+        const previous = walls[index];
+        const wall = cloneWall(data);
+        walls[index] = wall;
+        unindexWall(previous);
+        indexWall(wall);
+        emit('wall-changed', { wall, previous });
+        return wall;
+    }
+
+    // Reindex a wall whose record was edited in place, so snapping and floors
+    // follow it before the edit is written back; nothing is emitted
+    function touchWall(id) {
+        const wall = getWall(id);
+        if (wall) indexWall(wall);
+    }
+
+    // ============================================
+    // FLOORS AND ROOMS
+    // ============================================
+
+    // Walls on `level` with a segment within the noding tolerance of one of
+    // `wall`'s (by their bounds): the only walls it can cross, meet or share
+    // a node with. Walls reachable through such touches form a group, which
+    // is noded and traced on its own.
+    function getTouchingWalls(wall, level) {
+        const touching = new Set();
+        segmentBounds.get(wall).forEach((segment, i) => {
+            const near = growBounds(segment, NODE_TOLERANCE);
+            wallIndex.queryPath([wall.points[i], wall.points[i + 1]], NODE_TOLERANCE).forEach(other => {
+                if (other === wall || touching.has(other) || getWallLevel(other) !== level) return;
+                if (segmentBounds.get(other).some(bounds => boundsOverlap(bounds, near))) touching.add(other);
+            });
+        });
+        return touching;
+    }
+
+    // Drop the group a wall was in; the walls left in it are traced again
+    // (without it, it may fall apart) the next time floors are asked for
+    function untraceWall(wall) {
+        const group = groups.get(wall);
+        if (group) {
+            group.walls.forEach(member => {
+                groups.delete(member);
+                untraced.add(member);
+            });
+            levelRegions.delete(group.level);
+        }
+        untraced.add(wall);
+        levelRegions.delete(getWallLevel(wall));
+    }
+
+    // Walls change level when levels come and go: trace everything again
+    function resetGroups() {
+        groups.clear();
+        levelRegions.clear();
+        walls.forEach(wall => untraced.add(wall));
+    }
+
+    // Group, node and trace the walls changed since the last call
+    function traceGroups() {
+        if (untraced.size === 0) return;
+
+        // Group walls keep the model's order, so faces are traced as before
+        const order = new Map(walls.map((wall, i) => [wall, i]));
+        untraced.forEach(wall => {
+            if (order.has(wall) && !groups.has(wall)) traceGroup(wall, order);
+        });
+        untraced.clear();
+    }
+
+    // Walls of a group that was already traced are reached again and join
+    // the new one, so merged groups are traced once, as a whole
+    function traceGroup(start, order) {
+        const level = getWallLevel(start);
+        const members = new Set([start]);
+        const stack = [start];
+        while (stack.length > 0) {
+            getTouchingWalls(stack.pop(), level).forEach(wall => {
+                if (members.has(wall)) return;
+                members.add(wall);
+                stack.push(wall);
+            });
+        }
+
+        const groupWalls = [...members].sort((a, b) => order.get(a) - order.get(b));
+        const { paths } = nodePaths(groupWalls.map(wall => clonePoints(wall.points)));
+        const group = {
+            level,
+            walls: groupWalls,
+            paths: new Map(groupWalls.map((wall, i) => [wall, paths[i]])),
+            ...extractFaces(paths)
+        };
+        groupWalls.forEach(wall => groups.set(wall, group));
+    }
+
+    // Traced groups of a level, in the order of their first walls
+    function getLevelGroups(level) {
+        traceGroups();
+        return [...new Set(getWalls(level).map(wall => groups.get(wall)))];
+    }
+
+    // Walls in one group with a wall (touching it directly or through others),
+    // itself included: the walls whose floors and outlines an edit to it reshapes
+    function getConnectedWalls(id) {
+        const wall = getWall(id);
+        if (!wall) return [];
+
+        traceGroups();
+        return [...groups.get(wall).walls];
+    }
+
+    // Wall paths of one level with crossings and T-junctions noded, so they
+    // split rooms even before the junctions are committed into wall data
+    function getNodedWallPaths(level = getGroundLevel().id) {
+        traceGroups();
+        return getWalls(level).map(wall => clonePoints(groups.get(wall).paths.get(wall)));
+    }
+
+    // Outer outline of each connected set of walls on a level (points
+    // counter-clockwise, not closed)
+    function getBuildingOutlines(level = getGroundLevel().id) {
+        return getLevelGroups(level).flatMap(group => group.boundaries.map(boundary => clonePoints(boundary.points)));
+    }
+
+    // Minimal enclosed regions with containment: nested loops are holes in
+    // their container ({ points, holes, key, nested, depth }). Containment
+    // is worked out across the level's groups again only after one changes.
+    function getFloorRegions(level = getGroundLevel().id) {
+        traceGroups();
+        if (!levelRegions.has(level)) {
+            const groupsOnLevel = getLevelGroups(level);
+            levelRegions.set(level, nestFaces({
+                faces: groupsOnLevel.flatMap(group => group.faces),
+                boundaries: groupsOnLevel.flatMap(group => group.boundaries)
+            }));
+        }
+        return levelRegions.get(level).map(region => ({
+            ...region,
+            points: clonePoints(region.points),
+            holes: region.holes.map(clonePoints)
+        }));
+    }
+
+    function isVoid(key) {
+        return voids.has(key);
+    }
+
+    function getVoids() {
+        return [...voids];
+    }
+
+    function setVoids(keys) {
+        voids = new Set(keys);
+        emit('voids-changed');
+    }
+
+    function toggleVoid(key) {
+        if (voids.has(key)) {
+            voids.delete(key);
+        } else {
+            voids.add(key);
+        }
+        emit('voids-changed');
+    }
+
+    function getRoom(id) {
+        return rooms.find(room => room.id === id) || null;
+    }
+
+    // Every room record, with a floor or not, in the order they were made
+    function getRoomRecords() {
+        return rooms;
+    }
+
+    // "Room n" with the lowest n no room (with or without a floor) has taken
+    function getNewRoomName() {
+        const names = new Set(rooms.map(room => room.name));
+        let n = 1;
+        while (names.has(`Room ${n}`)) n++;
+        return `Room ${n}`;
+    }
+
+    // Room for each region: the one whose last outline it overlaps most, or a
+    // new one. Matched rooms take on the region's outline, so the next change
+    // is matched against where the room is now. Regions a change left alone
+    // still have their room's outline and are paired up front, so only the
+    // changed ones go through the (all pairs) overlap matching.
+    function assignRooms(regions) {
+        const regionKeys = regions.map(({ key, holes }) => [key, ...holes.map(getLoopKey)].join('|'));
+        const roomsByKey = new Map();
+        rooms.forEach(room => {
+            const key = getRoomOutlineKey(room);
+            if (!roomsByKey.has(key)) roomsByKey.set(key, room);
+        });
+        const assigned = regionKeys.map(key => roomsByKey.get(key) || null);
+
+        const taken = new Set(assigned);
+        const restRooms = rooms.filter(room => !taken.has(room));
+        const rest = regions.map((region, i) => i).filter(i => !assigned[i]);
+        const matches = matchRooms(restRooms, rest.map(i => regions[i]), roomMatchOverlap);
+        rest.forEach((regionIndex, i) => {
+            assigned[regionIndex] = restRooms[matches[i]] || null;
+        });
+
+        return new Map(regions.map((region, i) => {
+            let room = assigned[i];
+            if (!room) {
+                room = { id: createId(), name: getNewRoomName(), color: roomColor };
+                rooms.push(room);
+            }
+            room.points = region.points;
+            room.holes = region.holes;
+            roomOutlines.set(room, { points: room.points, holes: room.holes, key: regionKeys[i] });
+            return [region, room];
+        }));
+    }
+
+    // Key of the outline and holes a room last covered, worked out again only
+    // when they were replaced since
+    function getRoomOutlineKey(room) {
+        const outline = roomOutlines.get(room);
+        if (outline && outline.points === room.points && outline.holes === room.holes) return outline.key;
+
+        const key = [room.points, ...room.holes].map(getLoopKey).join('|');
+        roomOutlines.set(room, { points: room.points, holes: room.holes, key });
+        return key;
+    }
+
+    // Ground level floor regions, each with `isVoid` and its `room` id (null
+    // for voids). Only nested loops can be voids; a top-level room always has
+    // a floor.
+    function getFloors() {
+        const ground = getGroundLevel();
+        const regions = getFloorRegions(ground.id);
+        regions.forEach(region => {
+            region.level = ground.id;
+            region.isVoid = region.nested && voids.has(region.key);
+        });
+        const assigned = assignRooms(regions.filter(region => !region.isVoid));
+
+        regions.forEach(region => {
+            region.room = assigned.has(region) ? assigned.get(region).id : null;
+        });
+        return regions;
+    }
+
+    // Rooms with a floor, with their area and perimeter (to the wall centre
+    // lines, less any holes)
+    function getRooms() {
+        const floors = new Map(getFloors().filter(floor => floor.room !== null).map(floor => [floor.room, floor]));
+        return rooms.filter(room => floors.has(room.id)).map(room => ({
+            id: room.id,
+            name: room.name,
+            color: room.color,
+            key: floors.get(room.id).key,
+            points: clonePoints(room.points),
+            holes: room.holes.map(clonePoints),
+            area: getRoomArea(room.points, room.holes),
+            perimeter: getRoomPerimeter(room.points, room.holes)
+        }));
+    }
+
+    function addRoom(data) {
+        const room = cloneRoom(data);
+        rooms.push(room);
+        emit('rooms-changed');
+        return room;
+    }
+
+    function removeRoom(id) {
+        rooms = rooms.filter(room => room.id !== id);
+        emit('rooms-changed');
+    }
+
+    // Merge `data` ({ id, name?, color?, points?, holes? }) into a room
+    function updateRoom({ id, ...changes }) {
+        const room = getRoom(id);
+        if (!room) return null;
+
+        Object.assign(room, changes);
+        emit('rooms-changed');
+        return room;
+    }
+
+    // ============================================
+    // SNAPPING
+    // ============================================
+
+    /**
+     * Snap a point onto the walls of a level.
+     *
+     * @param {THREE.Vector3|number[]|{x: number, z: number}} point
+     * @param {Object} [options] - `level` (the ground by default) plus the
+     *     SnapContext fields `reference`, `points`, `ignorePoints`, `enabled`
+     *     and `stages`
+     * @returns {{ point: THREE.Vector3, type: string|null, guides: Array }}
+     */
+    function snap(point, {
+        level = getGroundLevel().id,
+        enabled = Object.fromEntries(SNAP_TYPES.map(type => [type.id, type.enabledByDefault !== false])),
+        reference = null,
+        points = [],
+        ignorePoints = null,
+        stages
+    } = {}) {
+        return snapToPaths(toSnapPoint(point), {
+            ...snapSettings,
+            queryPaths: (center, range) => queryWalls(getPointsBounds([center], range), level).map(wall => wall.points),
+            points,
+            reference: reference && toSnapPoint(reference),
+            ignorePoints,
+            enabled,
+            stages
+        });
+    }
+
+    // ============================================
+    // WHOLE MODEL
+    // ============================================
+
+    // Snapshot of { levels, walls, voids, rooms } (rooms with a floor only),
+    // in the shape the scene format reads and writes
+    function getData() {
+        return {
+            levels: levels.map(level => ({ ...level })),
+            walls: walls.map(cloneWall),
+            voids: getVoids(),
+            rooms: getRooms().map(cloneRoom)
+        };
+    }
+
+    function setData({ levels: newLevels = [DEFAULT_LEVEL], walls: newWalls = [], voids: newVoids = [], rooms: newRooms = [] }) {
+        batch(() => {
+            [...walls].reverse().forEach(wall => removeWall(wall.id));
+            levels = newLevels.map(level => ({ ...level }));
+            sortLevels();
+            resetGroups();
+            emit('levels-changed');
+            newWalls.forEach(data => insertWall(data));
+            setVoids(newVoids);
+            rooms = newRooms.map(cloneRoom);
+            emit('rooms-changed');
+        });
+    }
+
+    return {
+        on,
+        batch,
+        getLevels,
+        getLevel,
+        getGroundLevel,
+        addLevel,
+        removeLevel,
+        updateLevel,
+        getWallLevel,
+        getWalls,
+        getWall,
+        queryWalls,
+        addWall,
+        insertWall,
+        removeWall,
+        updateWall,
+        touchWall,
+        getConnectedWalls,
+        getNodedWallPaths,
+        getBuildingOutlines,
+        getFloorRegions,
+        getFloors,
+        isVoid,
+        getVoids,
+        setVoids,
+        toggleVoid,
+        getRoom,
+        getRoomRecords,
+        getRooms,
+        addRoom,
+        removeRoom,
+        updateRoom,
+        snap,
+        getData,
+        setData
+    };
+}
@@ -0,0 +1,269 @@
+/**
+ * Freeform Builder - Path Simplification and Curves
+ *
+ * Drag drawing records a point every few tens of centimetres of mouse
+ * travel, so a wall drawn by hand is mostly jitter. simplifyPath thins such a
+ * path with the Ramer–Douglas–Peucker algorithm: a point is only kept if
+ * dropping it would move the path by more than a tolerance.
+ *
+ * Curved walls keep their shape as a curve on the wall's data:
+ *
+ *   { type: 'arc', controls: [[x, z], [x, z], [x, z]] } // Start, a point on the arc, end
+ *   { type: 'spline', controls: [[x, z], ...] }        // Catmull-Rom through >= 2 points
+ *
+ * A curve whose first and last controls coincide is closed: a closed arc is
+ * the full circle with its start and middle control on opposite sides, a
+ * closed spline a smooth loop. The wall's `points` hold the curve cut into
+ * short straight segments (tessellateCurve), so floors, snapping, noding and
+ * the wall geometry treat it like any other path. Every control is one of
+ * those points, in order.
+ *
+ * Points are THREE.Vector3 on the ground plane (y = 0).
+ */
+
+import * as THREE from 'three';
+
+export const CURVE_TYPES = ['arc', 'spline'];
+
+const MAX_ARC_STEP = Math.PI / 16; // Largest turn of one arc segment
+const MAX_SEGMENTS = 256; // Per arc half or spline span
+const CLOSED_EPSILON = 1e-6;
+const CONTROL_TOLERANCE = 1e-3; // Path points this close to a control are that control
+
+function isClosed(points) {
+    return points.length > 2 && planarDistance(points[0], points[points.length - 1]) < CLOSED_EPSILON;
+}
+
+function planarDistance(a, b) {
+    return Math.hypot(a.x - b.x, a.z - b.z);
+}
+
+// Distance from p to segment a-b on the ground plane
+function distanceToSegment(p, a, b) {
+    const dx = b.x - a.x;
+    const dz = b.z - a.z;
+    const lengthSq = dx * dx + dz * dz;
+    if (lengthSq < 1e-12) return planarDistance(p, a);
+
+    const t = THREE.MathUtils.clamp(((p.x - a.x) * dx + (p.z - a.z) * dz) / lengthSq, 0, 1);
+    return Math.hypot(p.x - (a.x + dx * t), p.z - (a.z + dz * t));
+}
+
+// Index between `start` and `end` furthest from segment a-b
+function findFurthest(points, start, end, a, b) {
+    let furthest = -1;
+    let maxDistance = -1;
+    for (let i = start + 1; i < end; i++) {
+        const distance = distanceToSegment(points[i], a, b);
+        if (distance > maxDistance) {
+            maxDistance = distance;
+            furthest = i;
+        }
+    }
+    return { index: furthest, distance: maxDistance };
+}
+
+/**
+ * Thin a path with Ramer–Douglas–Peucker. Runs between kept points are
+ * simplified on their own, so the ends and any `keep` indices (typed points,
+ * say) survive. A closed path also keeps the point furthest from its start.
+ *
+ * @param {THREE.Vector3[]} points
+ * @param {number} tolerance - Furthest a dropped point may lie from the result
+ * @param {number[]} [keep] - Indices that must survive
+ * @returns {THREE.Vector3[]} The kept points, in order (not copies)
+ */
+export function simplifyPath(points, tolerance, keep = []) {
+    const last = points.length - 1;
+    if (last < 2) return points.slice();
+
+    const kept = new Set([0, last, ...keep.filter(i => i > 0 && i < last)]);
+    if (isClosed(points) && kept.size === 2) {
+        kept.add(findFurthest(points, 0, last, points[0], points[0]).index);
+    }
+
+    const anchors = [...kept].sort((a, b) => a - b);
+    const stack = anchors.slice(1).map((end, i) => [anchors[i], end]);
+    while (stack.length > 0) {
+        const [start, end] = stack.pop();
+        const { index, distance } = findFurthest(points, start, end, points[start], points[end]);
+        if (index > -1 && distance > tolerance) {
+            kept.add(index);
+            stack.push([start, index], [index, end]);
+        }
+    }
+
+    return [...kept].sort((a, b) => a - b).map(i => points[i]);
+}
+
+/**
+ * Control points of a curve as ground-plane vectors.
+ *
+ * @param {{ controls: number[][] }} curve
+ * @returns {THREE.Vector3[]}
+ */
+export function getControlPoints(curve) {
+    return curve.controls.map(([x, z]) => new THREE.Vector3(x, 0, z));
+}
+
+/**
+ * Curve controls ([x, z] pairs) for a list of points.
+ *
+ * @param {Array<{x: number, z: number}>} points
+ * @returns {number[][]}
+ */
+export function toControls(points) {
+    return points.map(p => [p.x, p.z]);
+}
+
+/**
+ * Whether `curve` is a well-formed curve: a known type with finite [x, z]
+ * controls, three for an arc and at least two for a spline.
+ *
+ * @param {*} curve
+ * @returns {boolean}
+ */
+export function isValidCurve(curve) {
+    if (!curve || typeof curve !== 'object' || !CURVE_TYPES.includes(curve.type)) return false;
+
+    const { controls } = curve;
+    if (!Array.isArray(controls) || !controls.every(c => Array.isArray(c) && c.length === 2 &&
+        c.every(Number.isFinite))) return false;
+    return curve.type === 'arc' ? controls.length === 3 : controls.length >= 2;
+}
+
+/**
+ * Curve that follows a drawn path: an arc through its ends and the point
+ * furthest from the line between them (a circle through the start and the
+ * point furthest from it, for a closed path), or a spline through the path
+ * simplified by `tolerance`.
+ *
+ * @param {'arc'|'spline'} type
+ * @param {THREE.Vector3[]} points
+ * @param {number} tolerance - Simplification tolerance
+ * @returns {{ type: string, controls: number[][] }|null} Null when the path
+ *     is straight within the tolerance
+ */
+export function fitCurve(type, points, tolerance) {
+    const path = simplifyPath(points, tolerance);
+    const closed = isClosed(path);
+    if (path.length < 3 || (closed && type === 'spline' && path.length < 4)) return null;
+
+    const first = path[0];
+    const last = path[path.length - 1];
+    if (type === 'spline') {
+        return { type, controls: toControls(path) };
+    }
+
+    const { index } = findFurthest(points, 0, points.length - 1, first, closed ? first : last);
+    return { type, controls: toControls([first, points[index], last]) };
+}
+
+/**
+ * Points along a curve, about `segmentLength` apart, from its first control
+ * to its last (the first again for closed curves). Each control is one of
+ * the points.
+ *
+ * @param {{ type: string, controls: number[][] }} curve
+ * @param {number} segmentLength
+ * @returns {THREE.Vector3[]}
+ */
+export function tessellateCurve(curve, segmentLength) {
+    const controls = getControlPoints(curve);
+    return curve.type === 'arc' ? tessellateArc(controls, segmentLength) : tessellateSpline(controls, segmentLength);
+}
+
+function tessellateArc([start, through, end], segmentLength) {
+    let center;
+    let sweeps;
+    if (isClosed([start, through, end])) {
+        center = start.clone().add(through).multiplyScalar(0.5);
+        sweeps = [Math.PI, Math.PI];
+    } else {
+        center = getCircumcenter(start, through, end);
+        if (!center) return [start, through, end];
+
+        // Go round whichever way passes the middle control
+        const angle = p => Math.atan2(p.z - center.z, p.x - center.x);
+        const turn = (from, to) => THREE.MathUtils.euclideanModulo(angle(to) - angle(from), Math.PI * 2);
+        const toThrough = turn(start, through);
+        const toEnd = turn(start, end);
+        sweeps = toThrough < toEnd ?
+            [toThrough, toEnd - toThrough] :
+            [toThrough - Math.PI * 2, toEnd - toThrough];
+    }
+
+    const radius = planarDistance(start, center);
+    return [
+        ...arcPoints(center, radius, start, sweeps[0], segmentLength),
+        ...arcPoints(center, radius, through, sweeps[1], segmentLength),
+        end.clone()
+    ];
+}
+
+// Centre of the circle through three points, or null if they're in line
+function getCircumcenter(a, b, c) {
+    const bx = b.x - a.x;
+    const bz = b.z - a.z;
+    const cx = c.x - a.x;
+    const cz = c.z - a.z;
+    const d = 2 * (bx * cz - bz * cx);
+    const scale = Math.max(bx * bx + bz * bz, cx * cx + cz * cz);
+    if (Math.abs(d) < 1e-9 * scale || scale < 1e-12) return null;
+
+    const b2 = bx * bx + bz * bz;
+    const c2 = cx * cx + cz * cz;
+    return new THREE.Vector3(a.x + (cz * b2 - bz * c2) / d, 0, a.z + (bx * c2 - cx * b2) / d);
+}
+
+// Points from `from` round `center` by `sweep` radians, leaving out the last
+function arcPoints(center, radius, from, sweep, segmentLength) {
+    const count = THREE.MathUtils.clamp(Math.ceil(Math.max(
+        Math.abs(sweep) / MAX_ARC_STEP,
+        Math.abs(sweep) * radius / segmentLength
+    )), 1, MAX_SEGMENTS);
+    const start = Math.atan2(from.z - center.z, from.x - center.x);
+
+    const points = [from.clone()];
+    for (let i = 1; i < count; i++) {
+        const angle = start + sweep * i / count;
+        points.push(new THREE.Vector3(center.x + Math.cos(angle) * radius, 0, center.z + Math.sin(angle) * radius));
+    }
+    return points;
+}
+
+function tessellateSpline(controls, segmentLength) {
+    const closed = isClosed(controls) && controls.length > 3;
+    const ring = closed ? controls.slice(0, -1) : controls;
+    const spline = new THREE.CatmullRomCurve3(ring, closed, 'centripetal');
+    const spans = closed ? ring.length : ring.length - 1;
+
+    const points = [];
+    for (let i = 0; i < spans; i++) {
+        const next = ring[(i + 1) % ring.length];
+        const count = THREE.MathUtils.clamp(Math.ceil(planarDistance(ring[i], next) / segmentLength), 1, MAX_SEGMENTS);
+        points.push(ring[i].clone());
+        for (let k = 1; k < count; k++) {
+            points.push(spline.getPoint((i + k / count) / spans).setY(0));
+        }
+    }
+    points.push(controls[controls.length - 1].clone());
+    return points;
+}
+
+/**
+ * Index in `points` of each of the curve's controls, in order. Controls
+ * that can't be found (the path was edited as plain points) are left out.
+ *
+ * @param {Array<{x: number, z: number}>} points - The curve's tessellated path
+ * @param {{ controls: number[][] }} curve
+ * @returns {number[]}
+ */
+export function getControlIndices(points, curve) {
+    const indices = [];
+    points.forEach((p, i) => {
+        const control = curve.controls[indices.length];
+        if (control && Math.hypot(p.x - control[0], p.z - control[1]) < CONTROL_TOLERANCE) indices.push(i);
+    });
+    return indices;
+}
@@ -0,0 +1,103 @@
+/**
+ * Freeform Builder - Command History
+ *
+ * Undo/redo stack for scene mutations. Every change to the scene is expressed
+ * as a command object:
+ *
+ *   {
+ *       label: 'Add Wall',   // Shown in tooltips / logs
+ *       do() { ... },        // Apply (also used for redo)
+ *       undo() { ... }       // Revert
+ *   }
+ *
+ * Commands must be replayable: `do()` may run several times as the user
+ * undoes and redoes, so they should capture plain data (ids, point arrays)
+ * rather than live mesh references.
+ */
+
+const DEFAULT_LIMIT = 200;
+
+export function createHistory({ limit = DEFAULT_LIMIT, onChange = () => {} } = {}) {
+    const undoStack = [];
+    const redoStack = [];
+
+    function notify(command, action) {
+        onChange({ command, action });
+    }
+
+    // Run a command and record it
+    function execute(command) {
+        command.do();
+        push(command);
+        notify(command, 'execute');
+        return command;
+    }
+
+    // Record a command whose effect has already been applied (e.g. a live drag)
+    function record(command) {
+        push(command);
+        notify(command, 'record');
+        return command;
+    }
+
+    function push(command) {
+        undoStack.push(command);
+        if (undoStack.length > limit) {
+            undoStack.shift();
+        }
+        redoStack.length = 0;
+    }
+
+    function undo() {
+        const command = undoStack.pop();
+        if (!command) return null;
+
+        command.undo();
+        redoStack.push(command);
+        notify(command, 'undo');
+        return command;
+    }
+
+    function redo() {
+        const command = redoStack.pop();
+        if (!command) return null;
+
+        command.do();
+        undoStack.push(command);
+        notify(command, 'redo');
+        return command;
+    }
+
+    function clear() {
+        undoStack.length = 0;
+        redoStack.length = 0;
+        notify(null, 'clear');
+    }
+
+    return {
+        execute,
+        record,
+        undo,
+        redo,
+        clear,
+        canUndo: () => undoStack.length > 0,
+        canRedo: () => redoStack.length > 0,
+        peekUndo: () => undoStack[undoStack.length - 1] || null,
+        peekRedo: () => redoStack[redoStack.length - 1] || null,
+    };
+}
+
+// Group several commands into one undoable step
+export function batchCommand(label, commands) {
+    return {
+        label,
+        do() {
+            commands.forEach(cmd => cmd.do());
+        },
+        undo() {
+            for (let i = commands.length - 1; i >= 0; i--) {
+                commands[i].undo();
+            }
+        }
+    };
+}
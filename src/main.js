@@ -1,49 +1,217 @@
 /**
  * Freeform Builder - Phase 1: Basic Building (Extruded Wall Drawing)
  * 
+ * The Three.js view and editor over the builder model (builder.js), which
+ * holds the levels, walls, voids and rooms; slabs and roofs live here.
+ * 
  * Core systems:
  * - Draw continuous paths that get extruded into walls
- * - Snapping (strong cardinal, soft diagonal, endpoint)
- * - Floor generation (multiple closed loop detection)
+ * - Snapping engine (points, intersections, edges, guides, angles, grid)
+ * - Wall topology (crossings and T-junctions become shared nodes)
+ * - Mitered corners and clean multi-wall junctions
+ * - Floor generation (planar face extraction, holes for nested loops)
+ * - Rooms that keep their name and floor color as the walls change
  * - Camera modes (3D orbit + 2D top-down)
  * - Wall selection and deletion
+ * - Per-wall height, thickness, base offset and color (property panel)
+ * - Level stack with an active level; upper floor slabs from selected loops
+ * - Flat, gabled and hipped roofs that follow the walls below
+ * - Doors and windows cut into walls (placed by clicking, edited with handles)
+ * - Section view: a horizontal cut plane with filled caps
+ * - Interior visibility: walls fade out of the way, roofs and upper levels auto-hide
+ * - Orthographic top-down mode, smooth camera blends and framing commands
+ * - Live dimensions and typed lengths / angles while drawing (metric or imperial)
+ * - Freehand, click-to-click polyline, rectangle, polygon and circle drawing
+ * - Freehand path simplification; arc and spline walls that stay editable
+ * - Wall editing (drag vertices and segments; insert, remove, split, join points)
+ * - Multi-selection (Shift-click, box / lasso) with move, rotate, mirror,
+ *   duplicate, delete and clipboard copy/paste
+ * - Undo/redo command history
+ * - Scripting API (window.builder)
+ * - Large plans: indexed snapping and picking, batched walls, incremental
+ *   floors and an FPS / timing overlay
+ * - Scene export/import (versioned JSON + share strings)
+ * - Model export (binary glTF, OBJ, watertight STL)
+ * - Floor plan export (SVG, DXF) with dimensions and room areas
  */
 
 import * as THREE from 'three';
 import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
+import { createHistory, batchCommand } from './history.js';
+import { createBuilder } from './builder.js';
+import {
+    serializeScene,
+    serializePoints,
+    stringifyScene,
+    parseScene,
+    encodeShareString,
+    decodeShareString,
+    SceneFormatError,
+    DEFAULT_LEVEL
+} from './sceneFormat.js';
+import {
+    getVertexKey,
+    getLoopKey,
+    signedArea,
+    pointInPolygon
+} from './planarFaces.js';
+import { nodePaths, NODE_TOLERANCE } from './wallTopology.js';
+import {
+    createExtrudedWallGeometry,
+    createWallPlanOutlines,
+    buildJunctionIndex,
+    fitOpenings,
+    pointAlongPath,
+    getStraightRuns,
+    OPENING_TYPES,
+    MIN_OPENING_WIDTH,
+    MIN_OPENING_HEIGHT
+} from './wallGeometry.js';
+import { createRoofGeometry, isRectangle, ROOF_STYLES } from './roofGeometry.js';
+import { formatLength, formatArea, formatAngle, parseDimensionInput, UNIT_SYSTEMS } from './units.js';
+import { SNAP_TYPES } from './snapping.js';
+import { exportModel, MODEL_FORMATS } from './modelExport.js';
+import { exportPlan, PLAN_FORMATS } from './planExport.js';
+import { getRoomArea, getRoomPerimeter } from './rooms.js';
+import { getPointsBounds, boundsOverlap } from './spatialIndex.js';
+import {
+    simplifyPath,
+    fitCurve,
+    tessellateCurve,
+    getControlPoints,
+    getControlIndices,
+    toControls,
+    isValidCurve,
+    CURVE_TYPES
+} from './curves.js';
 
 // ============================================
 // CONFIGURATION
 // ============================================
 
 const CONFIG = {
-    // Visual
+    // Visual (defaults for new walls; each wall stores its own values)
     WALL_HEIGHT: 2.5,
     WALL_THICKNESS: 0.15,
+    WALL_BASE: 0, // Height of the wall's bottom above the ground
     FLOOR_THICKNESS: 0.1,
+    LEVEL_HEIGHT: 2.5, // Spacing of levels added with "Add Level"
+    
+    // Rooms keep their identity on the new floor that covers at least this
+    // share of the smaller of the two outlines
+    ROOM_MATCH_OVERLAP: 0.2,
+    
+    // Input ranges for the wall property panel and toolbar defaults
+    WALL_LIMITS: {
+        height: { min: 0.1, max: 10, step: 0.05 },
+        thickness: { min: 0.02, max: 1, step: 0.01 },
+        base: { min: 0, max: 10, step: 0.05 }
+    },
+    
+    // Doors and windows; sill and head are heights above the wall's base
+    OPENING_DEFAULTS: {
+        door: { width: 0.9, sill: 0, head: 2.1 },
+        window: { width: 1.2, sill: 0.9, head: 2.1 }
+    },
+    OPENING_SNAP: 0.05, // Position and size step while snapping is on
+    
+    // Roofs
+    ROOF_STYLE: 'hipped',
+    ROOF_PITCH: 30, // Degrees
+    ROOF_OVERHANG: 0.3, // Eave overhang past the wall line
+    ROOF_LIMITS: {
+        pitch: { min: 5, max: 60, step: 1 },
+        overhang: { min: 0, max: 1.5, step: 0.05 }
+    },
+    
+    // Section view; the cut height is measured from the active level
+    SECTION_HEIGHT: 1.2,
+    SECTION_LIMITS: { min: 0.05, max: 8, step: 0.05 },
+    SECTION_SCROLL_STEP: 0.1, // Cut height change per Shift + scroll notch
+    
+    // Interior visibility
+    FADE_OPACITY: 0.25, // Walls between the camera and the selection
+    FADE_SPEED: 8, // Higher is snappier; fades ease out exponentially
+    AUTO_HIDE_DISTANCE: 3, // Roofs and upper levels this close to the camera hide
+    
+    // Rendering
+    WALL_BATCH_CELL: 16, // Plain walls are merged into one mesh per cell and color
+    STATS_INTERVAL: 0.5, // Seconds between stats overlay updates
+    STATS_SMOOTHING: 0.2, // Weight of the newest sample in the averaged timings
     
     // Drawing
     MIN_POINT_DISTANCE: 0.3, // Minimum distance between path points
+    SIMPLIFY_TOLERANCE: 0.1, // Freehand points closer than this to the simplified path are dropped
+    SIMPLIFY_LIMITS: { min: 0.01, max: 0.5, step: 0.01 },
+    CURVE_SEGMENT_LENGTH: 0.25, // Arcs and splines are built from straight pieces about this long
+    POLYGON_SIDES: 6, // Default for the polygon tool
+    POLYGON_SIDES_LIMITS: { min: 3, max: 32, step: 1 },
+    
+    // Dimensions
+    DIMENSION_MIN_LENGTH: 0.5, // Shorter straight runs get no label
+    RUN_TOLERANCE: 0.05, // Points this close to a line still count as one straight run
+    DIMENSION_RANGE: 150, // 3D views label walls up to this far from the camera (in plan)
+    
     
     // Snapping
     SNAP_ANGLE_STEP: Math.PI / 4,
     SNAP_DISTANCE: 0.5,
     SNAP_ANGLE_THRESHOLD: Math.PI / 12,
     SNAP_CARDINAL_THRESHOLD: Math.PI / 24,
+    SNAP_GUIDE_THRESHOLD: Math.PI / 36, // Perpendicular / parallel capture angle
+    SNAP_GUIDE_RANGE: 6, // Walls further from the cursor give no guides
+    SNAP_GRID: 0.25,
+    // Indicator per snap type: a ring with `sides` corners, rotated by `start`
+    SNAP_STYLES: {
+        endpoint: { sides: 32, color: 0x7fff7f },
+        intersection: { sides: 4, color: 0xffb74d },
+        corner: { sides: 4, start: Math.PI / 4, color: 0x7fff7f },
+        midpoint: { sides: 3, start: Math.PI / 2, color: 0x4dd0e1 },
+        perpendicular: { sides: 4, start: Math.PI / 4, color: 0xf06292 },
+        parallel: { sides: 6, color: 0xf06292 },
+        angle: { sides: 8, color: 0x7fff7f },
+        edge: { sides: 32, color: 0xce93d8 },
+        grid: { sides: 4, start: Math.PI / 4, color: 0xaaaaaa }
+    },
     
     // Colors
     COLOR_WALL: 0x5a5a5a,
-    COLOR_WALL_SELECTED: 0x7a9aca,
-    COLOR_WALL_HOVER: 0x7a7a7a,
+    EMISSIVE_WALL_SELECTED: 0x1c2c44, // Added on top of the wall's own color
+    EMISSIVE_WALL_HOVER: 0x151515,
+    COLOR_ROOF: 0x7a4b3a,
     COLOR_FLOOR: 0x4a4a4a,
+    EMISSIVE_FLOOR_SELECTED: 0x1a2a40, // Added on top of the floor's own color
+    COLOR_VOID: 0x4fc3f7,
     COLOR_GRID: 0x333333,
     COLOR_GROUND: 0x1a1a1a,
     COLOR_GHOST: 0x4fc3f7,
     COLOR_GHOST_SNAP: 0x7fff7f,
+    COLOR_HANDLE: 0xffffff,
+    COLOR_HANDLE_HOVER: 0x4fc3f7,
+    COLOR_HANDLE_SELECTED: 0xffcc00,
+    COLOR_OPENING_HANDLE: 0x7fdfff,
+    COLOR_OPENING_BLOCKED: 0xff6b6b,
+    COLOR_SECTION_CAP: 0xc9c1b0,
+    COLOR_SNAP_GUIDE: 0xf06292,
+    
+    // Editing
+    HANDLE_RADIUS: 0.12,
+    JOIN_TOLERANCE: 0.001, // Max gap between endpoints that count as shared
+    MARQUEE_THRESHOLD: 4, // Pixels the mouse must travel before a box / lasso starts
+    ROTATE_SNAP: Math.PI / 12, // Rotation step while angle snapping is on
+    DUPLICATE_OFFSET: new THREE.Vector3(1, 0, 1), // Duplicates and blind pastes land here
+    CLIPBOARD_KEY: 'freeform-builder-clipboard', // Copied selection, kept between sessions
     
     // Camera
     CAM_3D_POS: new THREE.Vector3(15, 12, 15),
-    CAM_2D_POS: new THREE.Vector3(0, 30, 0),
+    CAM_FOV: 45,
+    CAM_2D_FOV: 2, // Perspective narrows to this before handing over to the ortho camera
+    CAM_2D_HEIGHT: 200, // Ortho camera height above its target
+    CAM_TRANSITION: 0.5, // Seconds
+    FRAME_MARGIN: 1.15, // Extra room around framed objects
+    
+    // Settings kept between sessions
+    PREFERENCES_KEY: 'freeform-builder-preferences',
 };
 
 // ============================================
@@ -51,23 +219,98 @@ const CONFIG = {
 // ============================================
 
 const state = {
-    mode: 'wall',
+    mode: 'wall', // 'wall' | 'edit' | 'door' | 'window'
+    drawTool: 'freehand', // How wall mode draws: one of DRAW_TOOLS
+    polygonSides: CONFIG.POLYGON_SIDES,
     cameraMode: '3d',
     snapping: true,
+    snapTypes: Object.fromEntries(SNAP_TYPES.map(type => [type.id, type.enabledByDefault !== false])),
     
     // Drawing State
     isDrawing: false,
     drawPoints: [], // Array of Vector3 path points
+    drawFixedCount: 0, // Leading points placed by typed input, kept while the cursor moves
+    typedInput: '', // Length / angle being typed while drawing
+    wallShape: 'straight', // 'straight' | 'arc' | 'spline': what a drawn stroke becomes
+    simplify: { enabled: true, tolerance: CONFIG.SIMPLIFY_TOLERANCE }, // Saved in the preferences
     
     // Selection
     hoveredWall: null,
     selectedWall: null,
+    hoveredHandle: null,
+    selectedVertex: null, // Index into selectedWall's points (its curve's controls, if curved)
+    selectedOpening: null, // Id of a door or window on selectedWall
+    selectedFloorKey: null, // Loop key of the selected floor region
+    selectedRoof: null,
+    
+    // Multi-selection (Shift-click, box / lasso); the single-selection fields
+    // above stay in charge until it holds two or more items
+    selection: { walls: new Set(), floors: new Set() }, // Wall ids, floor keys
+    marquee: null, // Box or lasso being dragged ({ start, points, lasso, additive, active })
+    cursorPoint: null, // Last ground point under the mouse, null while over the UI
+    
+    // Properties given to newly drawn walls (editable from the toolbar)
+    wallDefaults: {
+        height: CONFIG.WALL_HEIGHT,
+        thickness: CONFIG.WALL_THICKNESS,
+        base: CONFIG.WALL_BASE,
+        color: toColorString(CONFIG.COLOR_WALL)
+    },
+    
+    // Property panel edit in progress ({ wall, before }), recorded on change
+    propertyEdit: null,
+    roofEdit: null, // Same for the roof panel ({ roof, before })
+    roomEdit: null, // Same for the room panel ({ room, before })
+    
+    // Edit drag ({ type: 'vertex' | 'segment' | 'opening' | 'transform', wall, before, ... })
+    drag: null,
+    
+    // Levels are kept by the builder; walls and slabs reference them by id
+    activeLevel: DEFAULT_LEVEL.id, // Drawing, snapping and picking happen here
     
     // Data
-    walls: [], // Wall mesh objects
-    floors: [],
+    walls: [], // Wall meshes, one per builder wall and in the same order
+    wallsById: new Map(),
+    staleWalls: new Set(), // Walls whose junction cuts an edit may have changed (see refreshView)
+    floors: [], // Floor meshes (and void markers), rebuilt on every change
+    refreshPending: false, // Builder changed outside a command (see scheduleRefresh)
+    slabs: [], // Upper floor slab meshes, independent of the walls below
+    roofs: [], // Roof meshes, rebuilt from their outline on every change
+    showRoofs: true,
+    batchWalls: true, // Draw plain walls from merged meshes (see WALL BATCHES)
+    showStats: false, // FPS and timing overlay
+    showUpperLevels: true, // Levels above the active one
+    autoVisibility: true, // Fade occluding walls, auto-hide roofs and upper levels
+    section: { enabled: false, height: CONFIG.SECTION_HEIGHT },
+    
+    // Dimensions
+    units: 'metric', // 'metric' | 'imperial', saved in the preferences
+    showDimensions: true,
 };
 
+// ============================================
+// MODEL
+// ============================================
+
+// Levels, walls, courtyard voids and rooms; the wall meshes follow its
+// events (see EVENT LISTENERS). Also the scripting API.
+const builder = createBuilder({
+    wallDefaults: state.wallDefaults,
+    roomColor: toColorString(CONFIG.COLOR_FLOOR),
+    roomMatchOverlap: CONFIG.ROOM_MATCH_OVERLAP,
+    snap: {
+        radius: CONFIG.SNAP_DISTANCE,
+        gridSize: CONFIG.SNAP_GRID,
+        angleStep: CONFIG.SNAP_ANGLE_STEP,
+        angleThreshold: CONFIG.SNAP_ANGLE_THRESHOLD,
+        cardinalThreshold: CONFIG.SNAP_CARDINAL_THRESHOLD,
+        guideThreshold: CONFIG.SNAP_GUIDE_THRESHOLD,
+        guideRange: CONFIG.SNAP_GUIDE_RANGE,
+        runTolerance: CONFIG.RUN_TOLERANCE
+    }
+});
+window.builder = builder;
+
 // ============================================
 // SCENE SETUP
 // ============================================
@@ -76,7 +319,8 @@ const canvas = document.getElementById('gl-canvas');
 const renderer = new THREE.WebGLRenderer({ 
     canvas, 
     antialias: true,
-    alpha: false
+    alpha: false,
+    stencil: true // Section caps
 });
 renderer.setSize(window.innerWidth, window.innerHeight);
 renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
@@ -86,25 +330,31 @@ renderer.shadowMap.type = THREE.PCFSoftShadowMap;
 const scene = new THREE.Scene();
 scene.background = new THREE.Color(0x0a0a0a);
 
-// Camera
-const camera = new THREE.PerspectiveCamera(
-    45,
+// Cameras: perspective for 3D, orthographic for the top-down 2D mode.
+// `camera` is whichever one is active.
+const perspectiveCamera = new THREE.PerspectiveCamera(
+    CONFIG.CAM_FOV,
     window.innerWidth / window.innerHeight,
     0.1,
     1000
 );
-camera.position.copy(CONFIG.CAM_3D_POS);
-camera.lookAt(0, 0, 0);
+perspectiveCamera.position.copy(CONFIG.CAM_3D_POS);
+perspectiveCamera.lookAt(0, 0, 0);
 
-// Camera transition
+// Frustum is set from the framed height when 2D mode starts
+const orthoCamera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0.1, 1000);
+
+let camera = perspectiveCamera;
+
+// Camera transition between two views (see getCameraView); `swapTo` is the
+// camera that takes over once it finishes
 let cameraTransition = {
     active: false,
-    startPos: new THREE.Vector3(),
-    targetPos: new THREE.Vector3(),
-    startZoom: 1,
-    targetZoom: 1,
+    from: null,
+    to: null,
+    swapTo: null,
     progress: 0,
-    duration: 0.4
+    duration: CONFIG.CAM_TRANSITION
 };
 
 // Controls
@@ -155,6 +405,46 @@ scene.add(gridHelper);
 
 const raycastPlane = new THREE.Plane(new THREE.Vector3(0, 1, 0), 0);
 
+// Section cut: keeps everything below the plane. Building materials share
+// `sectionPlanes`, which holds the plane only while section view is on.
+const sectionPlane = new THREE.Plane(new THREE.Vector3(0, -1, 0), 0);
+const sectionPlanes = [];
+const SECTION_LAYER = 1; // Closed solids whose cut faces get a cap
+
+// Cap fill, drawn where the stencil passes found the inside of a cut solid
+const sectionCapScene = new THREE.Scene();
+const sectionCap = new THREE.Mesh(
+    new THREE.PlaneGeometry(100, 100),
+    new THREE.MeshBasicMaterial({
+        color: CONFIG.COLOR_SECTION_CAP,
+        stencilWrite: true,
+        stencilRef: 0,
+        stencilFunc: THREE.NotEqualStencilFunc,
+        stencilFail: THREE.ReplaceStencilOp,
+        stencilZFail: THREE.ReplaceStencilOp,
+        stencilZPass: THREE.ReplaceStencilOp
+    })
+);
+sectionCap.rotation.x = -Math.PI / 2;
+sectionCapScene.add(sectionCap);
+
+// Stencil passes: back faces behind the cut count +1, front faces -1
+const sectionStencilMaterials = [
+    [THREE.BackSide, THREE.IncrementWrapStencilOp],
+    [THREE.FrontSide, THREE.DecrementWrapStencilOp]
+].map(([side, op]) => new THREE.MeshBasicMaterial({
+    side,
+    clippingPlanes: sectionPlanes,
+    colorWrite: false,
+    depthWrite: false,
+    depthTest: false,
+    stencilWrite: true,
+    stencilFunc: THREE.AlwaysStencilFunc,
+    stencilFail: op,
+    stencilZFail: op,
+    stencilZPass: op
+}));
+
 // ============================================
 // PREVIEW OBJECTS
 // ============================================
@@ -179,18 +469,26 @@ const pathLine = new THREE.Line(pathLineGeo, pathLineMat);
 pathLine.visible = false;
 scene.add(pathLine);
 
-// Snap indicator
-const snapIndicatorGeo = new THREE.RingGeometry(0.15, 0.25, 32);
-const snapIndicatorMat = new THREE.MeshBasicMaterial({ 
-    color: CONFIG.COLOR_GHOST,
-    transparent: true,
-    opacity: 0.8,
-    side: THREE.DoubleSide
+// Snap indicators, one shape and color per snap type
+const snapIndicators = {};
+Object.entries(CONFIG.SNAP_STYLES).forEach(([type, { sides, start = 0, color }]) => {
+    const indicator = new THREE.Mesh(
+        new THREE.RingGeometry(0.15, 0.25, sides, 1, start),
+        new THREE.MeshBasicMaterial({ color, transparent: true, opacity: 0.8, side: THREE.DoubleSide })
+    );
+    indicator.rotation.x = -Math.PI / 2;
+    indicator.visible = false;
+    snapIndicators[type] = indicator;
+    scene.add(indicator);
 });
-const snapIndicator = new THREE.Mesh(snapIndicatorGeo, snapIndicatorMat);
-snapIndicator.rotation.x = -Math.PI / 2;
-snapIndicator.visible = false;
-scene.add(snapIndicator);
+
+// Dashed inference lines of perpendicular / parallel / angle snaps
+const snapGuides = new THREE.LineSegments(
+    new THREE.BufferGeometry(),
+    new THREE.LineDashedMaterial({ color: CONFIG.COLOR_SNAP_GUIDE, dashSize: 0.2, gapSize: 0.12, transparent: true, opacity: 0.8 })
+);
+snapGuides.visible = false;
+scene.add(snapGuides);
 
 // Start point indicator
 const startPointGeo = new THREE.RingGeometry(0.25, 0.35, 32);
@@ -212,81 +510,66 @@ selectionBox.material.transparent = true;
 selectionBox.visible = false;
 scene.add(selectionBox);
 
+// Door / window placement preview (a box filling the opening)
+const openingPreview = new THREE.Mesh(
+    new THREE.BoxGeometry(1, 1, 1),
+    new THREE.MeshBasicMaterial({
+        color: CONFIG.COLOR_GHOST,
+        transparent: true,
+        opacity: 0.4,
+        depthWrite: false
+    })
+);
+openingPreview.visible = false;
+scene.add(openingPreview);
+
+// Vertex and opening handles for the selected wall (rebuilt by updateHandles)
+const handleGeo = new THREE.SphereGeometry(CONFIG.HANDLE_RADIUS, 16, 12);
+const openingHandleGeo = new THREE.BoxGeometry(
+    CONFIG.HANDLE_RADIUS * 1.6,
+    CONFIG.HANDLE_RADIUS * 1.6,
+    CONFIG.HANDLE_RADIUS * 1.6
+);
+const handleGroup = new THREE.Group();
+scene.add(handleGroup);
+
 // ============================================
 // WALL GEOMETRY CREATION
 // ============================================
 
-function createExtrudedWallGeometry(points, height, thickness) {
-    if (points.length < 2) return null;
-    
-    const vertices = [];
-    const indices = [];
-    const halfThick = thickness / 2;
-    
-    // Create vertices along the path with thickness
-    for (let i = 0; i < points.length; i++) {
-        const current = points[i];
-        
-        // Calculate direction
-        let direction;
-        if (i === 0) {
-            direction = new THREE.Vector3().subVectors(points[1], points[0]).normalize();
-        } else if (i === points.length - 1) {
-            direction = new THREE.Vector3().subVectors(points[i], points[i - 1]).normalize();
-        } else {
-            const prev = new THREE.Vector3().subVectors(points[i], points[i - 1]).normalize();
-            const next = new THREE.Vector3().subVectors(points[i + 1], points[i]).normalize();
-            direction = new THREE.Vector3().addVectors(prev, next).normalize();
-        }
-        
-        // Perpendicular vector (for thickness)
-        const perp = new THREE.Vector3(-direction.z, 0, direction.x);
-        
-        // Add vertices for this point (bottom and top, left and right)
-        const left = new THREE.Vector3().copy(current).addScaledVector(perp, -halfThick);
-        const right = new THREE.Vector3().copy(current).addScaledVector(perp, halfThick);
-        
-        // Bottom vertices
-        vertices.push(left.x, 0, left.z); // left bottom
-        vertices.push(right.x, 0, right.z); // right bottom
-        
-        // Top vertices
-        vertices.push(left.x, height, left.z); // left top
-        vertices.push(right.x, height, right.z); // right top
-    }
-    
-    // Create faces
-    for (let i = 0; i < points.length - 1; i++) {
-        const base = i * 4;
-        const next = (i + 1) * 4;
-        
-        // Front face (facing outward on left side)
-        indices.push(base, next + 2, base + 2);
-        indices.push(base, next, next + 2);
-        
-        // Back face (facing outward on right side)
-        indices.push(base + 1, base + 3, next + 3);
-        indices.push(base + 1, next + 3, next + 1);
-        
-        // Top face
-        indices.push(base + 2, next + 3, base + 3);
-        indices.push(base + 2, next + 2, next + 3);
-        
-        // Bottom face
-        indices.push(base, base + 1, next + 1);
-        indices.push(base, next + 1, next);
-    }
-    
-    const geometry = new THREE.BufferGeometry();
-    geometry.setAttribute('position', new THREE.Float32BufferAttribute(vertices, 3));
-    geometry.setIndex(indices);
-    geometry.computeVertexNormals();
-    
-    return geometry;
+// Ids for walls, slabs and other scene entities
+function createEntityId() {
+    return Date.now() + Math.random();
+}
+
+function toColorString(hex) {
+    return `#${hex.toString(16).padStart(6, '0')}`;
+}
+
+// Per-wall properties with fallbacks, for walls saved before they existed
+function getWallProps(data) {
+    const number = (value, fallback) => (Number.isFinite(value) ? value : fallback);
+    return {
+        height: number(data.height, CONFIG.WALL_HEIGHT),
+        thickness: number(data.thickness, CONFIG.WALL_THICKNESS),
+        base: number(data.base, CONFIG.WALL_BASE),
+        color: /^#[0-9a-f]{6}$/i.test(data.color) ? data.color : toColorString(CONFIG.COLOR_WALL)
+    };
 }
 
-function createWallFromPath(points, isGhost = false) {
-    const geometry = createExtrudedWallGeometry(points, CONFIG.WALL_HEIGHT, CONFIG.WALL_THICKNESS);
+// Doors and windows on a wall; malformed entries are ignored
+function getWallOpenings(data) {
+    if (!Array.isArray(data.openings)) return [];
+    return data.openings.filter(opening => opening && OPENING_TYPES.includes(opening.type) &&
+        ['offset', 'width', 'sill', 'head'].every(key => Number.isFinite(opening[key])));
+}
+
+function createWallFromPath(points, isGhost = false, props = state.wallDefaults) {
+    const { height, thickness, base, color } = getWallProps(props);
+    const geometry = createExtrudedWallGeometry(points, height, thickness, {
+        base,
+        openings: getWallOpenings(props)
+    });
     if (!geometry) return null;
     
     let material;
@@ -300,7 +583,7 @@ function createWallFromPath(points, isGhost = false) {
         });
     } else {
         material = new THREE.MeshStandardMaterial({
-            color: CONFIG.COLOR_WALL,
+            color,
             roughness: 0.7,
             metalness: 0.2
         });
@@ -311,27 +594,64 @@ function createWallFromPath(points, isGhost = false) {
     if (!isGhost) {
         wall.castShadow = true;
         wall.receiveShadow = true;
+        makeSectionable(wall);
     }
     
     wall.userData = {
         type: 'wall',
         points: points.map(p => p.clone()),
-        id: Date.now() + Math.random()
+        id: createEntityId()
     };
     
     return wall;
 }
 
-function commitWall(points) {
-    const wall = createWallFromPath(points, false);
-    if (wall) {
-        scene.add(wall);
-        state.walls.push(wall);
-    }
-    return wall;
+// Plain-data snapshot of a wall ({ id, points, ...per-wall properties }),
+// used by commands and the scene format to rebuild it later
+function getWallData(wall) {
+    const { type, points, ...props } = wall.userData;
+    return {
+        ...structuredClone(props),
+        points: points.map(p => p.clone())
+    };
 }
 
-function deleteWall(wall) {
+function findWallById(id) {
+    return state.wallsById.get(id) || null;
+}
+
+// Wall meshes whose plan bounds come near the box around `points` (on one
+// level, or any), from the builder's spatial index
+function queryWallMeshes(points, level = null) {
+    const margin = CONFIG.WALL_LIMITS.thickness.max / 2;
+    return builder.queryWalls(getPointsBounds(points, margin), level).map(data => findWallById(data.id));
+}
+
+function addWallFromData(data, index = state.walls.length) {
+    const record = builder.insertWall(data, index);
+    return record && findWallById(record.id);
+}
+
+function removeWall(wall) {
+    if (wall) builder.removeWall(wall.userData.id);
+}
+
+// Mesh for a wall the builder added; its record is the mesh's userData. A path
+// too small to extrude still gets an (empty) mesh, so the two lists stay in step.
+function addWallMesh({ wall: data, index }) {
+    const wall = createWallFromPath(data.points, false, data) ||
+        new THREE.Mesh(new THREE.BufferGeometry(), new THREE.MeshStandardMaterial());
+    wall.userData = data;
+    wall.position.y = getLevelElevation(getWallLevel(wall));
+    scene.add(wall);
+    state.walls.splice(index, 0, wall);
+    state.wallsById.set(data.id, wall);
+    state.staleWalls.add(wall);
+    markWallsStale(data.points, getWallLevel(wall));
+}
+
+function removeWallMesh({ wall: data }) {
+    const wall = findWallById(data.id);
     if (!wall) return;
     
     scene.remove(wall);
@@ -342,581 +662,5167 @@ function deleteWall(wall) {
     if (index > -1) {
         state.walls.splice(index, 1);
     }
+    state.wallsById.delete(data.id);
+    state.staleWalls.delete(wall);
+    markWallsStale(data.points, builder.getWallLevel(data));
+    
+    if (state.hoveredWall === wall) {
+        state.hoveredWall = null;
+    }
     
     if (state.selectedWall === wall) {
         state.selectedWall = null;
         selectionBox.visible = false;
     }
+}
+
+// `curve` is the arc or spline `points` were tessellated from, if any
+function commitWall(points, curve = null) {
+    if (points.length < 2) return null;
     
-    regenerateAllFloors();
-    updateDebugPanel();
+    // Crossings and T-junctions with existing walls become shared nodes
+    const { points: noded, updates } = nodeJunctions([], points);
+    const data = {
+        id: createEntityId(),
+        ...state.wallDefaults,
+        level: state.activeLevel,
+        points: noded.map(p => p.clone())
+    };
+    if (curve) data.curve = curve;
+    
+    const commands = [
+        addWallCommand(data),
+        ...updates.map(({ before, after }) => updateWallCommand('Add Wall', before, after))
+    ];
+    commandHistory.execute(commands.length > 1 ? batchCommand('Add Wall', commands) : commands[0]);
+    return findWallById(data.id);
+}
+
+// Node `activeWalls` (plus a not-yet-added path) against the walls of their level
+// near them (by segment bounds, from the builder's spatial index).
+// Returns the noded pending path and { before, after } data for changed walls.
+function nodeJunctions(activeWalls, pendingPoints = null, level = state.activeLevel) {
+    const activePaths = activeWalls.map(wall => wall.userData.points);
+    if (pendingPoints) activePaths.push(pendingPoints);
+    
+    const walls = new Set(activeWalls);
+    activePaths.forEach(points => {
+        points.slice(1).forEach((p, i) => {
+            builder.queryWalls(getPointsBounds([points[i], p], NODE_TOLERANCE), level)
+                .forEach(data => walls.add(findWallById(data.id)));
+        });
+    });
+    
+    const candidates = [...walls];
+    const paths = candidates.map(wall => wall.userData.points);
+    const active = new Set(activeWalls.map(wall => candidates.indexOf(wall)));
+    
+    if (pendingPoints) {
+        active.add(paths.length);
+        paths.push(pendingPoints);
+    }
+    
+    const { paths: noded, changed } = nodePaths(paths, { active });
+    
+    const updates = [];
+    candidates.forEach((wall, i) => {
+        if (!changed[i]) return;
+        const before = getWallData(wall);
+        updates.push({ before, after: withPoints(before, noded[i]) });
+    });
+    
+    return {
+        points: pendingPoints ? noded[noded.length - 1] : null,
+        updates
+    };
+}
+
+function deleteWall(wall) {
+    if (!wall) return;
+    commandHistory.execute(deleteWallCommand(wall));
 }
 
 function selectWall(wall) {
-    if (state.selectedWall && state.selectedWall !== wall) {
-        state.selectedWall.material.color.setHex(CONFIG.COLOR_WALL);
+    const previous = state.selectedWall;
+    
+    if (previous !== wall) {
+        state.selectedVertex = null;
+        state.selectedOpening = null;
     }
     
     state.selectedWall = wall;
+    if (previous && previous !== wall) {
+        updateWallAppearance(previous);
+    }
     
     if (wall) {
-        wall.material.color.setHex(CONFIG.COLOR_WALL_SELECTED);
+        updateWallAppearance(wall);
         selectionBox.setFromObject(wall);
         selectionBox.visible = true;
     } else {
         selectionBox.visible = false;
     }
+    
+    updateHandles();
+    updateUI();
 }
 
-// ============================================
-// FLOOR GENERATION
-// ============================================
-
-function getVertexKey(v) {
-    return `${v.x.toFixed(3)},${v.z.toFixed(3)}`;
+function getJunctionWall(data) {
+    return { id: data.id, points: data.points, ...getWallProps(data) };
 }
 
-function findClosedLoopsFromWalls() {
-    // Extract all endpoints from walls
-    const vertices = new Map();
-    const edges = [];
-    
-    state.walls.forEach(wall => {
-        const points = wall.userData.points;
-        if (points.length < 2) return;
-        
-        // Add all consecutive point pairs as edges
-        for (let i = 0; i < points.length - 1; i++) {
-            const k1 = getVertexKey(points[i]);
-            const k2 = getVertexKey(points[i + 1]);
-            
-            if (!vertices.has(k1)) vertices.set(k1, points[i].clone());
-            if (!vertices.has(k2)) vertices.set(k2, points[i + 1].clone());
-            
-            edges.push([k1, k2]);
-        }
-    });
-    
-    if (edges.length === 0) return [];
-    
-    // Build adjacency
-    const adj = new Map();
-    vertices.forEach((_, key) => adj.set(key, []));
-    
-    edges.forEach(([k1, k2]) => {
-        adj.get(k1).push(k2);
-        adj.get(k2).push(k1);
+// Junction index per level over some walls (all placed walls by default), so
+// shared nodes are cut cleanly
+function buildWallJunctions(walls = state.walls) {
+    const byLevel = new Map();
+    walls.forEach(wall => {
+        const level = getWallLevel(wall);
+        if (!byLevel.has(level)) byLevel.set(level, []);
+        byLevel.get(level).push(getJunctionWall(wall.userData));
     });
     
-    // Find cycles
-    const foundLoops = [];
-    const processedStarts = new Set();
-    
-    vertices.forEach((_, startKey) => {
-        if (processedStarts.has(startKey)) return;
-        
-        const queue = [[startKey, [startKey], new Set([startKey])]];
-        
-        while (queue.length > 0) {
-            const [current, path, visited] = queue.shift();
-            
-            const neighbors = adj.get(current);
-            for (const neighbor of neighbors) {
-                if (path.length > 2 && neighbor === startKey) {
-                    const loop = [...path];
-                    foundLoops.push(loop);
-                    loop.forEach(k => processedStarts.add(k));
-                    return;
-                }
-                
-                if (!visited.has(neighbor) && path.length < 20) {
-                    queue.push([neighbor, [...path, neighbor], new Set([...visited, neighbor])]);
-                }
-            }
-        }
+    const junctions = new Map();
+    byLevel.forEach((levelWalls, level) => junctions.set(level, buildJunctionIndex(levelWalls)));
+    return junctions;
+}
+
+// `closed` welds the wall into one watertight solid (for STL) instead
+function createWallGeometry(wall, junctions, closed = false) {
+    const { height, thickness, base } = getWallProps(wall.userData);
+    return createExtrudedWallGeometry(wall.userData.points, height, thickness, {
+        junctions: junctions.get(getWallLevel(wall)),
+        wallId: wall.userData.id,
+        base,
+        openings: getWallOpenings(wall.userData),
+        closed
     });
-    
-    return foundLoops.map(loop => loop.map(key => vertices.get(key)));
 }
 
-function generateFloorFromLoop(loopPoints) {
-    if (!loopPoints || loopPoints.length < 3) return null;
+function rebuildWallGeometry(wall, junctions = buildWallJunctions(getWallsSharingNodes([wall]))) {
+    const geometry = createWallGeometry(wall, junctions);
+    if (!geometry) return;
     
-    const shape = new THREE.Shape();
-    shape.moveTo(loopPoints[0].x, loopPoints[0].z);
+    wall.geometry.dispose();
+    wall.geometry = geometry;
+    wall.position.y = getLevelElevation(getWallLevel(wall));
+    updateWallAppearance(wall);
+}
+
+// Base color from the wall's own properties, tinted while hovered or selected
+function updateWallAppearance(wall) {
+    wall.material.color.set(getWallProps(wall.userData).color);
     
-    for (let i = 1; i < loopPoints.length; i++) {
-        shape.lineTo(loopPoints[i].x, loopPoints[i].z);
+    if (wall === state.selectedWall || state.selection.walls.has(wall.userData.id)) {
+        wall.material.emissive.setHex(CONFIG.EMISSIVE_WALL_SELECTED);
+    } else if (wall === state.hoveredWall) {
+        wall.material.emissive.setHex(CONFIG.EMISSIVE_WALL_HOVER);
+    } else {
+        wall.material.emissive.setHex(0x000000);
     }
-    shape.closePath();
-    
-    const geometry = new THREE.ShapeGeometry(shape);
-    const material = new THREE.MeshStandardMaterial({
-        color: CONFIG.COLOR_FLOOR,
-        roughness: 0.8,
-        metalness: 0.1,
-        side: THREE.DoubleSide
+}
+
+// Rebuild just these walls; only the walls at their nodes shape their junctions
+function rebuildWalls(walls) {
+    const junctions = buildWallJunctions(getWallsSharingNodes(walls));
+    walls.forEach(wall => rebuildWallGeometry(wall, junctions));
+}
+
+// Openings as the wall is built: fitted to its path, junctions and height
+function getFittedOpenings(wall, junctions = buildWallJunctions(getWallsSharingNodes([wall]))) {
+    const { thickness, height } = getWallProps(wall.userData);
+    return fitOpenings(wall.userData.points, getWallOpenings(wall.userData), {
+        thickness,
+        height,
+        junctions: junctions.get(getWallLevel(wall)),
+        wallId: wall.userData.id
     });
+}
+
+// Snapshot with its openings re-fitted to its (new) path and size, so edits
+// never leave a door straddling a corner or poking out of the wall
+function withFittedOpenings(data) {
+    const openings = getWallOpenings(data);
+    if (openings.length === 0) return data;
     
-    const floor = new THREE.Mesh(geometry, material);
-    floor.rotation.x = -Math.PI / 2;
-    floor.position.y = CONFIG.FLOOR_THICKNESS / 2;
-    floor.receiveShadow = true;
-    floor.userData = { type: 'floor' };
+    const level = getLevel(data.level) ? data.level : getGroundLevel().id;
+    const others = getLevelWalls(level)
+        .filter(wall => wall.userData.id !== data.id)
+        .map(wall => getJunctionWall(wall.userData));
+    const junctions = buildJunctionIndex([...others, getJunctionWall(data)]);
+    const { thickness, height } = getWallProps(data);
     
-    return floor;
+    return withOpenings(data, fitOpenings(data.points, openings, { thickness, height, junctions, wallId: data.id }));
 }
 
-function clearFloors() {
-    state.floors.forEach(floor => {
-        scene.remove(floor);
-        floor.geometry.dispose();
-        floor.material.dispose();
+// Walls on `level` with a vertex on one of `points`, found through the spatial index
+function getWallsAtNodes(points, level) {
+    const found = new Set();
+    points.forEach(p => {
+        const key = getVertexKey(p);
+        queryWallMeshes([p], level).forEach(wall => {
+            if (wall.userData.points.some(q => getVertexKey(q) === key)) found.add(wall);
+        });
     });
-    state.floors = [];
+    return found;
 }
 
-function regenerateAllFloors() {
-    clearFloors();
-    
-    const loops = findClosedLoopsFromWalls();
-    
-    loops.forEach(loop => {
-        const floor = generateFloorFromLoop(loop);
-        if (floor) {
-            scene.add(floor);
-            state.floors.push(floor);
-        }
+// The given walls and the walls touching any of their nodes (their junction
+// cuts depend on them)
+function getWallsSharingNodes(walls) {
+    const found = new Set(walls);
+    walls.forEach(wall => {
+        getWallsAtNodes(wall.userData.points, getWallLevel(wall)).forEach(other => found.add(other));
     });
-    
-    updateDebugPanel();
+    return [...found];
 }
 
-// ============================================
-// SNAPPING
-// ============================================
+// A wall path appeared or went away at `points`: the walls meeting it there
+// get their junctions cut again on the next refresh
+function markWallsStale(points, level) {
+    getWallsAtNodes(points, level).forEach(wall => state.staleWalls.add(wall));
+}
 
-function snapPoint(point, referencePoint, canSnapToStart = false) {
-    if (!state.snapping) return { point: point.clone(), didSnap: false };
-    
-    let snapped = point.clone();
-    let didSnap = false;
-    
-    // Angle snapping
-    if (referencePoint) {
-        const direction = new THREE.Vector3().subVectors(point, referencePoint);
-        const angle = Math.atan2(direction.z, direction.x);
-        const distance = direction.length();
-        
-        const snapAngle = Math.round(angle / CONFIG.SNAP_ANGLE_STEP) * CONFIG.SNAP_ANGLE_STEP;
-        const angleDiff = Math.abs(angle - snapAngle);
-        
-        const cardinalAngle = Math.round(angle / (Math.PI / 2)) * (Math.PI / 2);
-        const isCardinal = Math.abs(snapAngle - cardinalAngle) < 0.001;
-        const threshold = isCardinal ? CONFIG.SNAP_CARDINAL_THRESHOLD : CONFIG.SNAP_ANGLE_THRESHOLD;
-        
-        if (angleDiff < threshold || angleDiff > Math.PI * 2 - threshold) {
-            snapped.x = referencePoint.x + Math.cos(snapAngle) * distance;
-            snapped.z = referencePoint.z + Math.sin(snapAngle) * distance;
-            didSnap = true;
-        }
-    }
-    
-    // Endpoint snapping
-    const snapCandidates = [];
-    state.walls.forEach(wall => {
-        const points = wall.userData.points;
-        snapCandidates.push(points[0], points[points.length - 1]);
+// Plan bounds of the walls connected to any of `walls` (see
+// builder.getConnectedWalls): the floors and roofs an edit to them can reshape
+function getConnectedBounds(walls) {
+    const connected = new Map();
+    walls.forEach(wall => {
+        if (connected.has(wall.userData.id)) return;
+        builder.getConnectedWalls(wall.userData.id).forEach(data => connected.set(data.id, data));
     });
+    return getPointsBounds([...connected.values()].flatMap(data => data.points));
+}
+
+// Write a data snapshot back onto an existing wall; the builder replaces its
+// record, so properties missing from `data` are dropped
+function applyWallData(data) {
+    builder.updateWall(data);
+}
+
+// The wall and the walls at its old and new nodes are rebuilt on the next refresh
+function updateWallMesh({ wall: data, previous }) {
+    const wall = findWallById(data.id);
+    if (!wall) return;
     
-    if (canSnapToStart && state.drawPoints.length > 0) {
-        snapCandidates.push(state.drawPoints[0]);
-    }
-    
-    for (const candidate of snapCandidates) {
-        const dist = snapped.distanceTo(candidate);
-        if (dist < CONFIG.SNAP_DISTANCE) {
-            snapped.copy(candidate);
-            didSnap = true;
-            break;
-        }
-    }
-    
-    return { point: snapped, didSnap };
+    wall.userData = data;
+    state.staleWalls.add(wall);
+    markWallsStale(previous.points, builder.getWallLevel(previous));
+    markWallsStale(data.points, getWallLevel(wall));
+}
+
+function isClosedPath(points) {
+    return points.length > 2 && points[0].distanceTo(points[points.length - 1]) < 1e-6;
 }
 
 // ============================================
-// RAYCASTING
+// LEVELS
 // ============================================
 
-const raycaster = new THREE.Raycaster();
-const mouse = new THREE.Vector2();
+function getLevel(id) {
+    return builder.getLevel(id);
+}
 
-function getGroundIntersection(clientX, clientY) {
-    mouse.x = (clientX / window.innerWidth) * 2 - 1;
-    mouse.y = -(clientY / window.innerHeight) * 2 + 1;
-    
-    raycaster.setFromCamera(mouse, camera);
-    const intersectPoint = new THREE.Vector3();
-    raycaster.ray.intersectPlane(raycastPlane, intersectPoint);
-    
-    return intersectPoint;
+// The lowest level gets automatic floors; the ones above get slabs
+function getGroundLevel() {
+    return builder.getGroundLevel();
 }
 
-function getWallIntersection(clientX, clientY) {
-    mouse.x = (clientX / window.innerWidth) * 2 - 1;
-    mouse.y = -(clientY / window.innerHeight) * 2 + 1;
-    
-    raycaster.setFromCamera(mouse, camera);
-    const intersects = raycaster.intersectObjects(state.walls);
+function getLevelElevation(id) {
+    const level = getLevel(id);
+    return level ? level.elevation : 0;
+}
+
+function getActiveElevation() {
+    return getLevelElevation(state.activeLevel);
+}
+
+// Walls without a (known) level belong to the ground level
+function getWallLevel(wall) {
+    return builder.getWallLevel(wall.userData);
+}
+
+function getLevelWalls(id) {
+    return state.walls.filter(wall => getWallLevel(wall) === id);
+}
+
+function createLevelId() {
+    return builder.getLevels().reduce((max, level) => Math.max(max, Number(level.id) || 0), 0) + 1;
+}
+
+function findLevelAt(elevation) {
+    return builder.getLevels().find(level => Math.abs(level.elevation - elevation) < 1e-3) || null;
+}
+
+function isLevelEmpty(id) {
+    return getLevelWalls(id).length === 0 &&
+        ![...state.slabs, ...state.roofs].some(object => object.userData.level === id);
+}
+
+function setActiveLevel(id) {
+    if (!getLevel(id)) return;
+    if (state.isDrawing) cancelDrawing();
     
-    return intersects.length > 0 ? intersects[0].object : null;
+    state.activeLevel = id;
+    updateLevelPlane();
+    clearSelection();
 }
 
-// ============================================
-// DRAWING
-// ============================================
+// Drawing and snapping happen on the active level's plane (the section cut follows it)
+function updateLevelPlane() {
+    const elevation = getActiveElevation();
+    raycastPlane.constant = -elevation;
+    gridHelper.position.y = elevation;
+    updateSectionPlane();
+}
 
-function updateGhostWall() {
-    // Remove old ghost
-    if (ghostWall) {
-        scene.remove(ghostWall);
-        ghostWall.geometry.dispose();
-        ghostWall = null;
+// Fall back to the ground if the active level went away
+function syncLevels() {
+    if (!getLevel(state.activeLevel)) {
+        state.activeLevel = getGroundLevel().id;
+        clearSelection();
     }
+    updateLevelPlane();
+}
+
+function addLevel() {
+    const levels = builder.getLevels();
+    const top = levels[levels.length - 1];
+    const id = createLevelId();
+    const level = { id, name: `Level ${id}`, elevation: top.elevation + CONFIG.LEVEL_HEIGHT };
     
-    if (state.drawPoints.length < 2) return;
+    commandHistory.execute(addLevelCommand(level));
+    setActiveLevel(id);
+}
+
+// Only empty levels can go; their content would have nowhere to live
+function removeActiveLevel() {
+    const level = getLevel(state.activeLevel);
+    const levels = builder.getLevels();
+    if (levels.length < 2 || !isLevelEmpty(level.id)) return;
     
-    // Create new ghost
-    ghostWall = createWallFromPath(state.drawPoints, true);
-    if (ghostWall) {
-        scene.add(ghostWall);
-    }
+    const index = levels.indexOf(level);
+    commandHistory.execute(removeLevelCommand(level));
+    setActiveLevel(builder.getLevels()[Math.max(0, index - 1)].id);
 }
 
-function updatePathLine() {
-    if (state.drawPoints.length < 2) {
-        pathLine.visible = false;
+function setActiveLevelElevation(elevation) {
+    const level = getLevel(state.activeLevel);
+    if (!Number.isFinite(elevation) || elevation === level.elevation) return;
+    
+    const other = findLevelAt(elevation);
+    if (other && other !== level) {
+        showMessage(`${other.name} is already at ${elevation} m`, true);
+        updateUI();
         return;
     }
     
-    const positions = [];
-    state.drawPoints.forEach(p => {
-        positions.push(p.x, 0.05, p.z);
-    });
-    
-    pathLine.geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
-    pathLine.visible = true;
+    commandHistory.execute(updateLevelCommand({ ...level }, { ...level, elevation }));
+}
+
+// ============================================
+// COMMANDS (UNDO / REDO)
+// ============================================
+
+// Rebuild everything that derives from the model; of the walls, only the
+// ones a change left stale
+function refreshView() {
+    state.refreshPending = false;
+    measure('rebuild', () => {
+        syncLevels();
+        measure('walls', () => {
+            rebuildWalls([...state.staleWalls]);
+            state.staleWalls.clear();
+        });
+        rebuildAllSlabs();
+        measure('floors', regenerateAllFloors);
+        measure('roofs', rebuildAllRoofs);
+    });
+    updateHandles();
+    updateUI();
+}
+
+// Changes made straight on the builder (scripts) refresh once their task is
+// done; commands refresh right away, so the queued one finds nothing to do
+function scheduleRefresh() {
+    if (state.refreshPending) return;
+    
+    state.refreshPending = true;
+    queueMicrotask(() => {
+        if (state.refreshPending && !state.drag) refreshView();
+    });
+}
+
+const commandHistory = createHistory({
+    onChange: refreshView
+});
+
+function addWallCommand(data) {
+    return {
+        label: 'Add Wall',
+        do() {
+            addWallFromData(data);
+        },
+        undo() {
+            removeWall(findWallById(data.id));
+        }
+    };
+}
+
+function deleteWallCommand(wall) {
+    const data = getWallData(wall);
+    const index = state.walls.indexOf(wall);
+    
+    return {
+        label: 'Delete Wall',
+        do() {
+            removeWall(findWallById(data.id));
+        },
+        undo() {
+            addWallFromData(data, index);
+        }
+    };
+}
+
+// Swap the whole scene for another one (Clear All, scene import);
+// `sceneData` has the shape returned by getSceneData
+function replaceSceneCommand(label, sceneData) {
+    const before = getSceneData();
+    
+    function load({ levels, walls, slabs, roofs, voids, rooms }) {
+        [...state.slabs].forEach(removeSlab);
+        [...state.roofs].forEach(removeRoof);
+        builder.setData({ levels, walls, voids, rooms });
+        slabs.forEach(data => addSlabFromData(data));
+        roofs.forEach(data => addRoofFromData(data));
+    }
+    
+    return {
+        label,
+        do() {
+            load(sceneData);
+        },
+        undo() {
+            load(before);
+        }
+    };
+}
+
+function addLevelCommand(level) {
+    return {
+        label: 'Add Level',
+        do() {
+            builder.addLevel(level);
+        },
+        undo() {
+            builder.removeLevel(level.id);
+        }
+    };
+}
+
+function removeLevelCommand(level) {
+    const data = { ...level };
+    
+    return {
+        label: 'Remove Level',
+        do() {
+            builder.removeLevel(data.id);
+        },
+        undo() {
+            builder.addLevel(data);
+        }
+    };
+}
+
+function updateLevelCommand(before, after) {
+    return {
+        label: 'Edit Level',
+        do() {
+            builder.updateLevel(after);
+        },
+        undo() {
+            builder.updateLevel(before);
+        }
+    };
+}
+
+function addSlabCommand(data) {
+    return {
+        label: 'Add Upper Floor',
+        do() {
+            addSlabFromData(data);
+        },
+        undo() {
+            removeSlab(findSlabById(data.id));
+        }
+    };
+}
+
+function deleteSlabCommand(slab) {
+    const data = getSlabData(slab);
+    const index = state.slabs.indexOf(slab);
+    
+    return {
+        label: 'Delete Floor',
+        do() {
+            removeSlab(findSlabById(data.id));
+        },
+        undo() {
+            addSlabFromData(data, index);
+        }
+    };
+}
+
+function updateSlabCommand(label, before, after) {
+    return {
+        label,
+        do() {
+            applySlabData(after);
+        },
+        undo() {
+            applySlabData(before);
+        }
+    };
+}
+
+function addRoofCommand(data) {
+    return {
+        label: 'Add Roof',
+        do() {
+            addRoofFromData(data);
+        },
+        undo() {
+            removeRoof(findRoofById(data.id));
+        }
+    };
+}
+
+function deleteRoofCommand(roof) {
+    const data = getRoofData(roof);
+    const index = state.roofs.indexOf(roof);
+    
+    return {
+        label: 'Delete Roof',
+        do() {
+            removeRoof(findRoofById(data.id));
+        },
+        undo() {
+            addRoofFromData(data, index);
+        }
+    };
+}
+
+function updateRoofCommand(before, after) {
+    return {
+        label: 'Edit Roof',
+        do() {
+            applyRoofData(after);
+        },
+        undo() {
+            applyRoofData(before);
+        }
+    };
+}
+
+function toggleVoidCommand(key) {
+    const toggle = () => builder.toggleVoid(key);
+    
+    return {
+        label: 'Toggle Void',
+        do: toggle,
+        undo: toggle
+    };
+}
+
+// Swap the set of courtyard loops (their keys change when the walls move)
+function setVoidLoopsCommand(label, before, after) {
+    return {
+        label,
+        do() {
+            builder.setVoids(after);
+        },
+        undo() {
+            builder.setVoids(before);
+        }
+    };
+}
+
+function addRoomCommand(data) {
+    return {
+        label: 'Add Room',
+        do() {
+            builder.addRoom(data);
+        },
+        undo() {
+            builder.removeRoom(data.id);
+        }
+    };
+}
+
+function updateRoomCommand(before, after) {
+    return {
+        label: 'Edit Room',
+        do() {
+            applyRoomData(after);
+        },
+        undo() {
+            applyRoomData(before);
+        }
+    };
+}
+
+// Carry room outlines along with their walls, so the moved floors keep them
+function setRoomOutlinesCommand(label, before, after) {
+    return {
+        label,
+        do() {
+            after.forEach(applyRoomOutline);
+        },
+        undo() {
+            before.forEach(applyRoomOutline);
+        }
+    };
+}
+
+function updateWallCommand(label, before, after) {
+    return {
+        label,
+        do() {
+            applyWallData(after);
+        },
+        undo() {
+            applyWallData(before);
+        }
+    };
+}
+
+function undo() {
+    if (state.isDrawing || state.drag) return;
+    commandHistory.undo();
+}
+
+function redo() {
+    if (state.isDrawing || state.drag) return;
+    commandHistory.redo();
+}
+
+// ============================================
+// FLOOR GENERATION
+// ============================================
+
+// Shapes live in the XY plane and are rotated onto the ground, which maps
+// shape Y to world -Z; flip Z here so floors line up with their walls
+function toShapePoints(points) {
+    return points.map(p => new THREE.Vector2(p.x, -p.z));
+}
+
+function generateFloorFromLoop(loopPoints, holes = [], isVoid = false) {
+    if (!loopPoints || loopPoints.length < 3) return null;
+    
+    const shape = new THREE.Shape(toShapePoints(loopPoints));
+    holes.forEach(hole => {
+        shape.holes.push(new THREE.Path(toShapePoints(hole)));
+    });
+    
+    const geometry = new THREE.ShapeGeometry(shape);
+    let material;
+    if (isVoid) {
+        // Faint marker so the void stays visible and selectable
+        material = new THREE.MeshBasicMaterial({
+            color: CONFIG.COLOR_VOID,
+            transparent: true,
+            opacity: 0.08,
+            depthWrite: false,
+            side: THREE.DoubleSide
+        });
+    } else {
+        material = new THREE.MeshStandardMaterial({
+            color: CONFIG.COLOR_FLOOR,
+            roughness: 0.8,
+            metalness: 0.1,
+            side: THREE.DoubleSide
+        });
+    }
+    
+    const floor = new THREE.Mesh(geometry, material);
+    floor.rotation.x = -Math.PI / 2;
+    floor.position.y = CONFIG.FLOOR_THICKNESS / 2;
+    floor.receiveShadow = !isVoid;
+    floor.userData = { type: 'floor', isVoid };
+    makeSectionable(floor, false); // A flat sheet has no inside to cap
+    
+    return floor;
+}
+
+function removeFloor(floor) {
+    scene.remove(floor);
+    floor.geometry.dispose();
+    floor.material.dispose();
+}
+
+// Outline, holes and void state: a floor whose shape this still matches
+// needs no new mesh
+function getFloorShapeKey({ key, holes, isVoid }) {
+    return [key, ...holes.map(getLoopKey).sort(), isVoid ? 'void' : 'floor'].join('|');
+}
+
+// Automatic floors fill the ground level's loops; upper levels get slabs instead.
+// Regions a change left alone keep their meshes, so only the floors of the
+// walls that changed are triangulated again.
+function regenerateAllFloors() {
+    const ground = getGroundLevel();
+    const previous = new Map(state.floors.map(floor => [floor.userData.shapeKey, floor]));
+    state.floors = [];
+    
+    builder.getFloors().forEach(region => {
+        const shapeKey = getFloorShapeKey(region);
+        let floor = previous.get(shapeKey);
+        if (floor) {
+            previous.delete(shapeKey);
+        } else {
+            floor = generateFloorFromLoop(region.points, region.holes, region.isVoid);
+            if (!floor) return;
+            scene.add(floor);
+        }
+        
+        floor.position.y = CONFIG.FLOOR_THICKNESS / 2 + ground.elevation;
+        floor.userData = {
+            type: 'floor',
+            isVoid: region.isVoid,
+            shapeKey,
+            key: region.key,
+            nested: region.nested,
+            level: ground.id,
+            holes: region.holes,
+            points: region.points
+        };
+        if (region.room !== null) floor.userData.room = region.room;
+        state.floors.push(floor);
+    });
+    previous.forEach(removeFloor);
+    
+    highlightSelectedFloor();
+    updateDebugPanel();
+}
+
+// Floors and slabs on the active level, for picking
+function getActiveFloors() {
+    return [...state.floors, ...state.slabs].filter(floor => floor.userData.level === state.activeLevel);
+}
+
+function getSelectedFloor() {
+    return getActiveFloors().find(floor => floor.userData.key === state.selectedFloorKey) || null;
+}
+
+function isFloorSelected(floor) {
+    const key = floor.userData.key;
+    return key === state.selectedFloorKey || state.selection.floors.has(key);
+}
+
+// Rooms paint their floor in their own color; slabs keep the default
+function getFloorColor(floor) {
+    const room = findRoomById(floor.userData.room);
+    return room ? room.color : CONFIG.COLOR_FLOOR;
+}
+
+// Own color, tinted while selected on the active level; void markers brighten
+function updateFloorAppearance(floor) {
+    const selected = floor.userData.level === state.activeLevel && isFloorSelected(floor);
+    if (floor.userData.isVoid) {
+        floor.material.opacity = selected ? 0.25 : 0.08;
+        return;
+    }
+    
+    floor.material.color.set(getFloorColor(floor));
+    floor.material.emissive.setHex(selected ? CONFIG.EMISSIVE_FLOOR_SELECTED : 0x000000);
+}
+
+function highlightSelectedFloor() {
+    [...state.floors, ...state.slabs].forEach(updateFloorAppearance);
+}
+
+function selectFloor(floor) {
+    const key = floor ? floor.userData.key : null;
+    if (key !== state.selectedFloorKey) {
+        commitRoomEdit();
+    }
+    
+    state.selectedFloorKey = key;
+    highlightSelectedFloor();
+    updateUI();
+}
+
+function toggleSelectedFloorVoid() {
+    const floor = getSelectedFloor();
+    if (!floor || !floor.userData.nested) return;
+    
+    commandHistory.execute(toggleVoidCommand(floor.userData.key));
+}
+
+// ============================================
+// ROOMS
+// ============================================
+
+function findRoomById(id) {
+    return builder.getRoom(id);
+}
+
+function getRoomData({ id, name, color, points, holes }) {
+    return {
+        id,
+        name,
+        color,
+        points: points.map(p => p.clone()),
+        holes: holes.map(hole => hole.map(p => p.clone()))
+    };
+}
+
+function applyRoomData({ id, name, color }) {
+    builder.updateRoom({ id, name, color });
+}
+
+function applyRoomOutline({ id, points, holes }) {
+    builder.updateRoom({ id, points, holes });
+}
+
+// Rooms with a floor right now, in the order they were made
+function getActiveRooms() {
+    const ids = new Set(state.floors.map(floor => floor.userData.room));
+    return builder.getRoomRecords().filter(room => ids.has(room.id));
+}
+
+function getRoomFloor(room) {
+    return state.floors.find(floor => floor.userData.room === room.id) || null;
+}
+
+function getSelectedRoom() {
+    const floor = getSelectedFloor();
+    return floor ? findRoomById(floor.userData.room) : null;
+}
+
+// Select a room's floor (from the room list), in edit mode on its level
+function selectRoom(room) {
+    const floor = getRoomFloor(room);
+    if (!floor || state.isDrawing || state.drag) return;
+    
+    if (state.mode !== 'edit') setMode('edit');
+    if (state.activeLevel !== floor.userData.level) setActiveLevel(floor.userData.level);
+    setSelection([], [floor.userData.key]);
+}
+
+// ============================================
+// UPPER FLOORS (SLABS)
+// ============================================
+
+// A floor outline extruded to FLOOR_THICKNESS, in shape space like the floors.
+// ExtrudeGeometry only corrects the holes' winding when it flips the outline,
+// so wind the outline counter-clockwise and the holes clockwise up front.
+function createSlabGeometry(points, holes) {
+    const wound = (loop, clockwise) => {
+        const shapePoints = toShapePoints(loop);
+        return THREE.ShapeUtils.isClockWise(shapePoints) === clockwise ? shapePoints : shapePoints.reverse();
+    };
+    
+    const shape = new THREE.Shape(wound(points, false));
+    holes.forEach(hole => {
+        shape.holes.push(new THREE.Path(wound(hole, true)));
+    });
+    
+    return new THREE.ExtrudeGeometry(shape, {
+        depth: CONFIG.FLOOR_THICKNESS,
+        bevelEnabled: false
+    });
+}
+
+// A slab is a floor outline with thickness, its top flush with the level
+function createSlabMesh(data) {
+    const geometry = createSlabGeometry(data.points, data.holes);
+    const material = new THREE.MeshStandardMaterial({
+        color: CONFIG.COLOR_FLOOR,
+        roughness: 0.8,
+        metalness: 0.1
+    });
+    
+    const slab = new THREE.Mesh(geometry, material);
+    slab.rotation.x = -Math.PI / 2;
+    slab.castShadow = true;
+    slab.receiveShadow = true;
+    makeSectionable(slab);
+    slab.userData = {
+        type: 'slab',
+        key: `slab:${data.id}`,
+        id: data.id,
+        level: data.level,
+        points: data.points.map(p => p.clone()),
+        holes: data.holes.map(hole => hole.map(p => p.clone()))
+    };
+    updateSlabPosition(slab);
+    
+    return slab;
+}
+
+function updateSlabPosition(slab) {
+    slab.position.y = getLevelElevation(slab.userData.level) - CONFIG.FLOOR_THICKNESS / 2;
+}
+
+function rebuildAllSlabs() {
+    state.slabs.forEach(updateSlabPosition);
+}
+
+function getSlabData(slab) {
+    const { id, level, points, holes } = slab.userData;
+    return {
+        id,
+        level,
+        points: points.map(p => p.clone()),
+        holes: holes.map(hole => hole.map(p => p.clone()))
+    };
+}
+
+function findSlabById(id) {
+    return state.slabs.find(slab => slab.userData.id === id) || null;
+}
+
+function addSlabFromData(data, index = state.slabs.length) {
+    const slab = createSlabMesh(data);
+    scene.add(slab);
+    state.slabs.splice(index, 0, slab);
+    return slab;
+}
+
+// Write a data snapshot back onto an existing slab mesh
+function applySlabData(data) {
+    const slab = findSlabById(data.id);
+    if (!slab) return;
+    
+    const rebuilt = createSlabMesh(data);
+    slab.geometry.dispose();
+    slab.geometry = rebuilt.geometry;
+    slab.userData = rebuilt.userData;
+    rebuilt.material.dispose();
+}
+
+function removeSlab(slab) {
+    if (!slab) return;
+    
+    scene.remove(slab);
+    slab.geometry.dispose();
+    slab.material.dispose();
+    
+    const index = state.slabs.indexOf(slab);
+    if (index > -1) {
+        state.slabs.splice(index, 1);
+    }
+}
+
+// Roofs resting on a slab go with it
+function deleteSlab(slab) {
+    const commands = state.roofs
+        .filter(roof => roof.userData.slab === slab.userData.id)
+        .map(deleteRoofCommand);
+    commands.push(deleteSlabCommand(slab));
+    commandHistory.execute(commands.length > 1 ? batchCommand('Delete Floor', commands) : commands[0]);
+}
+
+// Loop an upper floor or roof would be built from: the selected floor or
+// slab, or the room bounded by the selected wall
+function getSelectedLoop() {
+    if (state.mode !== 'edit') return null;
+    
+    const floor = getSelectedFloor();
+    if (floor) {
+        const { points, holes, level, type, id } = floor.userData;
+        return { points, holes, level, slab: type === 'slab' ? id : null };
+    }
+    
+    const wall = state.selectedWall;
+    if (!wall) return null;
+    
+    const level = getWallLevel(wall);
+    const keys = new Set(wall.userData.points.map(getVertexKey));
+    const bounded = builder.getFloorRegions(level).filter(region => {
+        return region.points.some((p, i) => {
+            const next = region.points[(i + 1) % region.points.length];
+            return keys.has(getVertexKey(p)) && keys.has(getVertexKey(next));
+        });
+    });
+    if (bounded.length === 0) return null;
+    
+    const largest = bounded.reduce((a, b) => (Math.abs(signedArea(b.points)) > Math.abs(signedArea(a.points)) ? b : a));
+    return { points: largest.points, holes: largest.holes, level, slab: null };
+}
+
+// Top of the walls standing on a loop, or `fallback` if none do
+function getLoopTopHeight(points, level, fallback = CONFIG.LEVEL_HEIGHT) {
+    const keys = new Set(points.map(getVertexKey));
+    let top = 0;
+    getLevelWalls(level).forEach(wall => {
+        if (!wall.userData.points.some(p => keys.has(getVertexKey(p)))) return;
+        const { height, base } = getWallProps(wall.userData);
+        top = Math.max(top, base + height);
+    });
+    return top > 0 ? top : fallback;
+}
+
+// New slab at wall height over the selected loop, on the level at that
+// elevation (created if needed); it doesn't follow later wall edits
+function addUpperFloor() {
+    const source = getSelectedLoop();
+    if (!source) return;
+    
+    const elevation = getLevelElevation(source.level) + getLoopTopHeight(source.points, source.level);
+    let target = findLevelAt(elevation);
+    const commands = [];
+    
+    if (!target) {
+        const id = createLevelId();
+        target = { id, name: `Level ${id}`, elevation };
+        commands.push(addLevelCommand(target));
+    }
+    
+    commands.push(addSlabCommand({
+        id: createEntityId(),
+        level: target.id,
+        points: source.points.map(p => p.clone()),
+        holes: source.holes.map(hole => hole.map(p => p.clone()))
+    }));
+    
+    commandHistory.execute(commands.length > 1 ? batchCommand('Add Upper Floor', commands) : commands[0]);
+    setActiveLevel(target.id);
+    showMessage(`Added upper floor on ${target.name}`);
+}
+
+// ============================================
+// ROOFS
+// ============================================
+
+// A roof keeps no outline of its own: it covers the slab it was made from, or
+// the outer wall outline around its anchor point, and is rebuilt from that on
+// every change (and hidden while that outline isn't closed)
+function createRoofMesh(data) {
+    const material = new THREE.MeshStandardMaterial({
+        color: CONFIG.COLOR_ROOF,
+        roughness: 0.8,
+        metalness: 0.1,
+        side: THREE.DoubleSide
+    });
+    
+    const roof = new THREE.Mesh(new THREE.BufferGeometry(), material);
+    roof.castShadow = true;
+    roof.receiveShadow = true;
+    makeSectionable(roof, false); // Pitched roofs are open shells
+    roof.userData = { type: 'roof', ...cloneRoofData(data), outline: null };
+    
+    return roof;
+}
+
+// Roofs sit on either a slab or an anchor point, never both
+function cloneRoofData({ id, level, style, pitch, overhang, anchor, slab }) {
+    const data = { id, level, style, pitch, overhang };
+    if (slab !== undefined) {
+        data.slab = slab;
+    } else {
+        data.anchor = anchor.clone();
+    }
+    return data;
+}
+
+function getRoofData(roof) {
+    return cloneRoofData(roof.userData);
+}
+
+function findRoofById(id) {
+    return state.roofs.find(roof => roof.userData.id === id) || null;
+}
+
+function addRoofFromData(data, index = state.roofs.length) {
+    const roof = createRoofMesh(data);
+    rebuildRoofGeometry(roof);
+    scene.add(roof);
+    state.roofs.splice(index, 0, roof);
+    return roof;
+}
+
+function removeRoof(roof) {
+    if (!roof) return;
+    
+    scene.remove(roof);
+    roof.geometry.dispose();
+    roof.material.dispose();
+    
+    const index = state.roofs.indexOf(roof);
+    if (index > -1) {
+        state.roofs.splice(index, 1);
+    }
+    
+    if (state.selectedRoof === roof) {
+        state.selectedRoof = null;
+    }
+}
+
+function applyRoofData(data) {
+    const roof = findRoofById(data.id);
+    if (!roof) return;
+    
+    roof.userData = { type: 'roof', ...cloneRoofData(data), outline: null };
+    rebuildRoofGeometry(roof);
+}
+
+// Outer outline of each walled building on a level, plus the courtyards
+// left open as voids (flat roofs keep those open too)
+function getRoofOutlines(level) {
+    return {
+        boundaries: builder.getBuildingOutlines(level),
+        voids: builder.getFloorRegions(level)
+            .filter(region => region.nested && builder.isVoid(region.key))
+            .map(region => region.points)
+    };
+}
+
+// Outline, holes and base height (level-local) a roof covers, or null.
+// `outlines` caches getRoofOutlines per level across a rebuild.
+function getRoofFootprint(data, outlines = new Map()) {
+    if (data.slab !== undefined) {
+        const slab = findSlabById(data.slab);
+        if (!slab) return null;
+        
+        // On the walls standing on the slab, or straight on the slab itself
+        const { points, holes } = slab.userData;
+        return { points, holes, base: getLoopTopHeight(points, data.level, CONFIG.FLOOR_THICKNESS / 2) };
+    }
+    
+    if (!outlines.has(data.level)) {
+        outlines.set(data.level, getRoofOutlines(data.level));
+    }
+    const { boundaries, voids } = outlines.get(data.level);
+    const containing = boundaries.filter(points => pointInPolygon(data.anchor, points));
+    if (containing.length === 0) return null;
+    
+    // The innermost building around the anchor (a room inside a courtyard
+    // gets its own roof)
+    const points = containing.reduce((a, b) => (signedArea(b) < signedArea(a) ? b : a));
+    const holes = voids.filter(hole => pointInPolygon(hole[0], points) && !pointInPolygon(data.anchor, hole));
+    return { points, holes, base: getLoopTopHeight(points, data.level) };
+}
+
+// `closed` caps pitched roofs into a solid (see createRoofGeometry)
+function createRoofGeometryOver(footprint, { style, pitch, overhang }, closed = false) {
+    return createRoofGeometry(footprint.points, {
+        style,
+        pitch,
+        overhang,
+        base: footprint.base,
+        holes: footprint.holes,
+        closed
+    });
+}
+
+function rebuildRoofGeometry(roof, outlines = new Map()) {
+    const footprint = getRoofFootprint(roof.userData, outlines);
+    const geometry = footprint && createRoofGeometryOver(footprint, roof.userData);
+    
+    roof.geometry.dispose();
+    roof.geometry = geometry || new THREE.BufferGeometry();
+    roof.userData.outline = geometry ? footprint.points : null;
+    roof.position.y = getLevelElevation(roof.userData.level);
+    updateRoofAppearance(roof);
+}
+
+function rebuildAllRoofs() {
+    const outlines = new Map();
+    state.roofs.forEach(roof => rebuildRoofGeometry(roof, outlines));
+}
+
+// Roofs (on one level, or any) anchored in or reaching into any of `areas`
+// (plan bounds): the only ones a change there can reshape
+function rebuildRoofsNear(areas, level = null) {
+    const outlines = new Map();
+    state.roofs.forEach(roof => {
+        const { anchor, outline } = roof.userData;
+        if (level !== null && roof.userData.level !== level) return;
+        
+        const bounds = getPointsBounds([...(anchor ? [anchor] : []), ...(outline || [])]);
+        if (areas.some(area => boundsOverlap(area, bounds))) rebuildRoofGeometry(roof, outlines);
+    });
+}
+
+// Visibility is eased in and out by updateVisibility
+function updateRoofAppearance(roof) {
+    roof.material.emissive.setHex(roof === state.selectedRoof ? CONFIG.EMISSIVE_WALL_SELECTED : 0x000000);
+}
+
+function selectRoof(roof) {
+    const previous = state.selectedRoof;
+    if (previous !== roof) {
+        commitRoofEdit();
+    }
+    
+    state.selectedRoof = roof;
+    if (previous) updateRoofAppearance(previous);
+    if (roof) updateRoofAppearance(roof);
+    updateUI();
+}
+
+function setShowRoofs(show) {
+    state.showRoofs = show;
+    if (!show) {
+        selectRoof(null);
+    }
+    updateUI();
+}
+
+// A point well inside a (possibly concave) loop, clear of its holes: the
+// centre of its largest triangle, so the anchor survives small wall edits
+function getInteriorPoint(points, holes = []) {
+    const toContour = loop => loop.map(p => new THREE.Vector2(p.x, p.z));
+    const all = [points, ...holes].flat();
+    let best = points[0].clone();
+    let bestArea = 0;
+    
+    THREE.ShapeUtils.triangulateShape(toContour(points), holes.map(toContour)).forEach(triangle => {
+        const [a, b, c] = triangle.map(i => all[i]);
+        const area = Math.abs((b.x - a.x) * (c.z - a.z) - (c.x - a.x) * (b.z - a.z));
+        if (area > bestArea) {
+            bestArea = area;
+            best = new THREE.Vector3((a.x + b.x + c.x) / 3, 0, (a.z + b.z + c.z) / 3);
+        }
+    });
+    
+    return best;
+}
+
+// Existing roof over the same slab or building as `data`
+function findCoveringRoof(data) {
+    return state.roofs.find(roof => {
+        const other = roof.userData;
+        if (other.level !== data.level) return false;
+        if (data.slab !== undefined) return other.slab === data.slab;
+        return other.slab === undefined && other.outline !== null && pointInPolygon(data.anchor, other.outline);
+    }) || null;
+}
+
+// Roof over the building (or slab) around the selected loop
+function addRoof() {
+    const source = getSelectedLoop();
+    if (!source) return;
+    
+    const data = {
+        id: createEntityId(),
+        level: source.level,
+        style: CONFIG.ROOF_STYLE,
+        pitch: CONFIG.ROOF_PITCH,
+        overhang: CONFIG.ROOF_OVERHANG
+    };
+    if (source.slab !== null) {
+        data.slab = source.slab;
+    } else {
+        data.anchor = getInteriorPoint(source.points);
+    }
+    
+    if (!state.showRoofs) {
+        setShowRoofs(true);
+    }
+    
+    const existing = findCoveringRoof(data);
+    if (!existing) {
+        commandHistory.execute(addRoofCommand(data));
+    } else {
+        showMessage('That building already has a roof');
+    }
+    
+    selectWall(null);
+    selectFloor(null);
+    selectRoof(existing || findRoofById(data.id));
+}
+
+// ============================================
+// SNAPPING
+// ============================================
+
+// `ignorePoints` holds point objects that must not attract the snap
+// (e.g. the vertex currently being dragged). Returns { point, didSnap, type, guides }.
+function snapPoint(point, referencePoint, canSnapToStart = false, ignorePoints = null, stages = undefined) {
+    if (!state.snapping) return { point: point.clone(), didSnap: false, type: null, guides: [] };
+    
+    const result = measure('snap', () => builder.snap(point, {
+        level: state.activeLevel,
+        points: canSnapToStart && state.drawPoints.length > 0 ? [state.drawPoints[0]] : [],
+        reference: referencePoint,
+        ignorePoints,
+        enabled: state.snapTypes,
+        stages
+    }));
+    return { ...result, didSnap: result.type !== null };
+}
+
+// Show the indicator of the snap type at `point` and the snap's guide lines
+function showSnap(result, point = result.point) {
+    hideSnap();
+    if (!result.didSnap) return;
+    
+    const y = getActiveElevation() + 0.06;
+    const indicator = snapIndicators[result.type];
+    indicator.position.set(point.x, y, point.z);
+    indicator.visible = true;
+    
+    if (result.guides.length > 0) {
+        const positions = result.guides.flatMap(([a, b]) => [a.x, y, a.z, b.x, y, b.z]);
+        snapGuides.geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+        snapGuides.computeLineDistances();
+        snapGuides.visible = true;
+    }
+}
+
+function hideSnap() {
+    Object.values(snapIndicators).forEach(indicator => {
+        indicator.visible = false;
+    });
+    snapGuides.visible = false;
+}
+
+function setSnapType(type, enabled) {
+    state.snapTypes[type] = enabled;
+    savePreferences();
+    updateUI();
+}
+
+// Toggles for each snap type, listed under the master switch
+function setupSnapToggles() {
+    const container = document.getElementById('snap-types');
+    SNAP_TYPES.forEach(({ id, label }) => {
+        const toggle = document.createElement('label');
+        toggle.className = 'toggle';
+        const input = document.createElement('input');
+        input.type = 'checkbox';
+        input.dataset.snap = id;
+        input.addEventListener('change', () => setSnapType(id, input.checked));
+        const text = document.createElement('span');
+        text.textContent = label;
+        toggle.append(input, text);
+        container.appendChild(toggle);
+    });
+}
+
+// ============================================
+// RAYCASTING
+// ============================================
+
+const raycaster = new THREE.Raycaster();
+const mouse = new THREE.Vector2();
+
+function getGroundIntersection(clientX, clientY) {
+    mouse.x = (clientX / window.innerWidth) * 2 - 1;
+    mouse.y = -(clientY / window.innerHeight) * 2 + 1;
+    
+    raycaster.setFromCamera(mouse, camera);
+    const intersectPoint = new THREE.Vector3();
+    raycaster.ray.intersectPlane(raycastPlane, intersectPoint);
+    
+    // Points are level-local; meshes are lifted to the level's elevation
+    intersectPoint.y = 0;
+    return intersectPoint;
+}
+
+// Intersection with a horizontal plane at the given height
+function getPlaneIntersection(clientX, clientY, height) {
+    mouse.x = (clientX / window.innerWidth) * 2 - 1;
+    mouse.y = -(clientY / window.innerHeight) * 2 + 1;
+    
+    raycaster.setFromCamera(mouse, camera);
+    const plane = new THREE.Plane(new THREE.Vector3(0, 1, 0), -height);
+    return raycaster.ray.intersectPlane(plane, new THREE.Vector3());
+}
+
+function getWallIntersection(clientX, clientY) {
+    const hit = getWallHit(clientX, clientY);
+    return hit ? hit.object : null;
+}
+
+function getWallHit(clientX, clientY) {
+    mouse.x = (clientX / window.innerWidth) * 2 - 1;
+    mouse.y = -(clientY / window.innerHeight) * 2 + 1;
+    
+    raycaster.setFromCamera(mouse, camera);
+    const intersects = measure('pick', () => raycaster.intersectObjects(getPickableWalls(raycaster.ray))).filter(isBelowSection);
+    
+    return intersects.length > 0 ? intersects[0] : null;
+}
+
+// Walls on the active level a downward ray can hit: they stand on the level
+// plane, so only those along the ray's track from its origin to that plane
+function getPickableWalls(ray) {
+    const level = state.activeLevel;
+    if (ray.direction.y > -1e-6) return getLevelWalls(level);
+    
+    const distance = (getLevelElevation(level) - ray.origin.y) / ray.direction.y;
+    if (distance < 0) return [];
+    
+    return queryWallMeshes([ray.origin, ray.at(distance, new THREE.Vector3())], level);
+}
+
+function getFloorIntersection(clientX, clientY) {
+    mouse.x = (clientX / window.innerWidth) * 2 - 1;
+    mouse.y = -(clientY / window.innerHeight) * 2 + 1;
+    
+    raycaster.setFromCamera(mouse, camera);
+    const intersects = raycaster.intersectObjects(getActiveFloors()).filter(isBelowSection);
+    
+    return intersects.length > 0 ? intersects[0].object : null;
+}
+
+function getRoofHit(clientX, clientY) {
+    mouse.x = (clientX / window.innerWidth) * 2 - 1;
+    mouse.y = -(clientY / window.innerHeight) * 2 + 1;
+    
+    raycaster.setFromCamera(mouse, camera);
+    const roofs = state.roofs.filter(roof => !isHidden(roof) && roof.userData.level === state.activeLevel);
+    const intersects = raycaster.intersectObjects(roofs).filter(isBelowSection);
+    
+    return intersects.length > 0 ? intersects[0] : null;
+}
+
+function getHandleIntersection(clientX, clientY) {
+    if (handleGroup.children.length === 0) return null;
+    
+    mouse.x = (clientX / window.innerWidth) * 2 - 1;
+    mouse.y = -(clientY / window.innerHeight) * 2 + 1;
+    
+    raycaster.setFromCamera(mouse, camera);
+    const intersects = raycaster.intersectObjects(handleGroup.children.filter(handle => handle.visible));
+    
+    return intersects.length > 0 ? intersects[0].object : null;
+}
+
+// ============================================
+// DRAWING
+// ============================================
+
+// Freehand strokes follow a drag; polylines get a point per click; shapes
+// span from where they start to the cursor and commit closed loops
+const SHAPE_TOOLS = ['rectangle', 'polygon', 'circle'];
+const DRAW_TOOLS = ['freehand', 'polyline', ...SHAPE_TOOLS];
+
+function isShapeTool() {
+    return SHAPE_TOOLS.includes(state.drawTool);
+}
+
+function updateGhostWall() {
+    // Remove old ghost
+    if (ghostWall) {
+        scene.remove(ghostWall);
+        ghostWall.geometry.dispose();
+        ghostWall = null;
+    }
+    
+    const { points } = getDrawnShape();
+    if (points.length < 2) return;
+    
+    // Create new ghost
+    ghostWall = createWallFromPath(points, true);
+    if (ghostWall) {
+        ghostWall.position.y = getActiveElevation();
+        scene.add(ghostWall);
+    }
+}
+
+function updatePathLine() {
+    const points = isShapeTool() ? getDrawnShape().points : state.drawPoints;
+    if (points.length < 2) {
+        pathLine.visible = false;
+        return;
+    }
+    
+    const positions = [];
+    const y = getActiveElevation() + 0.05;
+    points.forEach(p => {
+        positions.push(p.x, y, p.z);
+    });
+    
+    pathLine.geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+    pathLine.visible = true;
 }
 
 function startDrawing(point) {
     state.isDrawing = true;
     state.drawPoints = [point.clone()];
+    state.drawFixedCount = 1;
+    state.typedInput = '';
+    
+    controls.enabled = false;
+    
+    // Show start indicator
+    startPointIndicator.position.set(point.x, getActiveElevation() + 0.05, point.z);
+    startPointIndicator.visible = true;
+    startPointIndicator.material.color.setHex(0xffff00);
+    startPointIndicator.scale.set(1, 1, 1);
+}
+
+function updateDrawing(currentPoint) {
+    if (!state.isDrawing || state.drawPoints.length === 0) return;
+    
+    // Polylines and shapes measure from their last placed point
+    const freehand = state.drawTool === 'freehand';
+    const lastPoint = state.drawPoints[freehand ? state.drawPoints.length - 1 : state.drawFixedCount - 1];
+    
+    // Snap the current point (a rectangle's diagonal takes no angle snaps)
+    const canSnapToStart = state.drawPoints.length > 2;
+    const reference = state.drawTool === 'rectangle' ? null : lastPoint;
+    const snapped = snapPoint(currentPoint, reference, canSnapToStart);
+    const { point: snappedPoint, didSnap } = snapped;
+    
+    // Update indicators
+    showSnap(snapped);
+    
+    if (didSnap && ghostWall) {
+        ghostWall.material.color.setHex(CONFIG.COLOR_GHOST_SNAP);
+    } else if (ghostWall) {
+        ghostWall.material.color.setHex(CONFIG.COLOR_GHOST);
+    }
+    
+    // Add point if far enough from last (a typed point is never replaced);
+    // polylines and shapes only move a loose point after the placed ones
+    const distFromLast = lastPoint.distanceTo(snappedPoint);
+    const lastIsFixed = state.drawPoints.length <= state.drawFixedCount;
+    if (!freehand) {
+        const placed = state.drawPoints.slice(0, state.drawFixedCount);
+        state.drawPoints = distFromLast > 1e-3 ? [...placed, snappedPoint.clone()] : placed;
+        updateGhostWall();
+        updatePathLine();
+    } else if (distFromLast >= CONFIG.MIN_POINT_DISTANCE || (lastIsFixed && distFromLast > 1e-3)) {
+        state.drawPoints.push(snappedPoint.clone());
+        updateGhostWall();
+        updatePathLine();
+    } else if (!lastIsFixed) {
+        // Update last point for visual feedback
+        state.drawPoints[state.drawPoints.length - 1] = snappedPoint.clone();
+        updateGhostWall();
+        updatePathLine();
+    }
+    
+    // Check for loop closing
+    if (state.drawPoints.length > 2) {
+        const distToStart = snappedPoint.distanceTo(state.drawPoints[0]);
+        if (distToStart < CONFIG.SNAP_DISTANCE) {
+            startPointIndicator.material.color.setHex(0x00ff00);
+            startPointIndicator.scale.set(1.5, 1.5, 1.5);
+        } else {
+            startPointIndicator.material.color.setHex(0xffff00);
+            startPointIndicator.scale.set(1, 1, 1);
+        }
+    }
+}
+
+function finishDrawing() {
+    if (!state.isDrawing) return;
+    
+    state.isDrawing = false;
+    controls.enabled = true;
+    
+    // Releasing right after typing a point must not leave a stub behind it
+    const points = state.drawPoints;
+    if (points.length > state.drawFixedCount && state.drawFixedCount > 1 &&
+        points[points.length - 1].distanceTo(points[state.drawFixedCount - 1]) < CONFIG.MIN_POINT_DISTANCE) {
+        points.length = state.drawFixedCount;
+    }
+    
+    // Check if should close loop
+    if (state.drawPoints.length > 2) {
+        const lastPoint = state.drawPoints[state.drawPoints.length - 1];
+        const firstPoint = state.drawPoints[0];
+        const distToStart = lastPoint.distanceTo(firstPoint);
+        
+        if (distToStart < CONFIG.SNAP_DISTANCE) {
+            // Close the loop by snapping last point to first
+            state.drawPoints[state.drawPoints.length - 1] = firstPoint.clone();
+        }
+    }
+    
+    // Commit if valid
+    if (state.drawPoints.length >= 2) {
+        const { points: path, curve } = getDrawnShape();
+        commitWall(path, curve);
+    }
+    
+    // Cleanup
+    if (ghostWall) {
+        scene.remove(ghostWall);
+        ghostWall = null;
+    }
+    
+    state.drawPoints = [];
+    state.typedInput = '';
+    pathLine.visible = false;
+    hideSnap();
+    startPointIndicator.visible = false;
+    
+    updateDebugPanel();
+}
+
+function cancelDrawing() {
+    if (!state.isDrawing) return;
+    
+    state.isDrawing = false;
+    controls.enabled = true;
+    
+    if (ghostWall) {
+        scene.remove(ghostWall);
+        ghostWall = null;
+    }
+    
+    state.drawPoints = [];
+    state.typedInput = '';
+    pathLine.visible = false;
+    hideSnap();
+    startPointIndicator.visible = false;
+}
+
+// What the stroke drawn so far becomes: the outline of a shape tool, the
+// curve fitted to it while drawing arcs or splines (straight if it doesn't
+// bend), else the stroke itself, simplified if that's on. Typed and clicked
+// points always stay.
+function getDrawnShape() {
+    if (isShapeTool()) return getShapeOutline();
+    
+    const points = state.drawPoints;
+    const { enabled, tolerance } = state.simplify;
+    
+    const curve = state.wallShape === 'straight' ? null : fitCurve(state.wallShape, points, tolerance);
+    if (curve) {
+        return { points: tessellateCurve(curve, CONFIG.CURVE_SEGMENT_LENGTH), curve };
+    }
+    if (!enabled) return { points, curve: null };
+    
+    const typed = Array.from({ length: state.drawFixedCount }, (_, i) => i);
+    return { points: simplifyPath(points, tolerance, typed), curve: null };
+}
+
+// Closed outline from the shape's first point to the cursor: a rectangle
+// by two corners, or a polygon or circle by centre and a point on it
+function getShapeOutline() {
+    const [start, end] = state.drawPoints;
+    const none = { points: [], curve: null };
+    if (!end) return none;
+    
+    if (state.drawTool === 'rectangle') {
+        if (Math.abs(end.x - start.x) < CONFIG.MIN_POINT_DISTANCE ||
+            Math.abs(end.z - start.z) < CONFIG.MIN_POINT_DISTANCE) return none;
+        const corners = [start, new THREE.Vector3(end.x, 0, start.z), end, new THREE.Vector3(start.x, 0, end.z)];
+        return { points: [...corners, start].map(p => p.clone()), curve: null };
+    }
+    
+    const radius = start.distanceTo(end);
+    if (radius < CONFIG.MIN_POINT_DISTANCE) return none;
+    
+    if (state.drawTool === 'circle') {
+        const opposite = start.clone().multiplyScalar(2).sub(end);
+        const curve = { type: 'arc', controls: toControls([end, opposite, end]) };
+        return { points: tessellateCurve(curve, CONFIG.CURVE_SEGMENT_LENGTH), curve };
+    }
+    
+    const sides = state.polygonSides;
+    const angle = Math.atan2(end.z - start.z, end.x - start.x);
+    const corners = Array.from({ length: sides }, (_, i) => {
+        const a = angle + Math.PI * 2 * i / sides;
+        return new THREE.Vector3(start.x + Math.cos(a) * radius, 0, start.z + Math.sin(a) * radius);
+    });
+    corners[0] = end.clone();
+    return { points: [...corners, end.clone()], curve: null };
+}
+
+// Freehand strokes and shapes start on press; each further click places a
+// polyline point, or a shape's far point if it wasn't dragged out
+function onDrawMouseDown(event) {
+    const point = getGroundIntersection(event.clientX, event.clientY);
+    if (!point) return;
+    
+    if (!state.isDrawing) {
+        const { point: snappedPoint } = snapPoint(point, null, false);
+        startDrawing(snappedPoint);
+    } else if (state.drawTool === 'polyline') {
+        placePolylinePoint();
+    } else if (isShapeTool()) {
+        finishDrawing();
+    }
+}
+
+// Strokes end on release, and so do shapes that were dragged out
+function onDrawMouseUp() {
+    const [start, end] = state.drawPoints;
+    const dragged = isShapeTool() && end && start.distanceTo(end) >= CONFIG.MIN_POINT_DISTANCE;
+    if (state.drawTool === 'freehand' || dragged) finishDrawing();
+}
+
+// Place the loose point under the cursor; placing it on the start closes the loop
+function placePolylinePoint() {
+    const points = state.drawPoints;
+    if (points.length === state.drawFixedCount) return;
+    
+    state.drawFixedCount = points.length;
+    if (points.length > 3 && points[points.length - 1].distanceTo(points[0]) < CONFIG.SNAP_DISTANCE) {
+        finishDrawing();
+    }
+}
+
+// Backspace takes back the last placed point; taking back the first cancels
+function removePolylinePoint() {
+    if (state.drawFixedCount <= 1) {
+        cancelDrawing();
+        return;
+    }
+    
+    const loose = state.drawPoints.slice(state.drawFixedCount);
+    state.drawFixedCount--;
+    state.drawPoints = [...state.drawPoints.slice(0, state.drawFixedCount), ...loose];
+    updateGhostWall();
+    updatePathLine();
+}
+
+// Double-click and Enter end a polyline at its last placed point
+function finishPolyline() {
+    state.drawPoints.length = state.drawFixedCount;
+    finishDrawing();
+}
+
+function setDrawTool(tool) {
+    if (!DRAW_TOOLS.includes(tool)) return;
+    state.drawTool = tool;
+    setMode('wall');
+}
+
+function setPolygonSides(sides) {
+    const { min, max } = CONFIG.POLYGON_SIDES_LIMITS;
+    state.polygonSides = THREE.MathUtils.clamp(Math.round(sides), min, max);
+    updateUI();
+}
+
+function setWallShape(shape) {
+    if (shape !== 'straight' && !CURVE_TYPES.includes(shape)) return;
+    state.wallShape = shape;
+    updateUI();
+}
+
+function setSimplifyEnabled(enabled) {
+    state.simplify.enabled = enabled;
+    savePreferences();
+    updateUI();
+}
+
+function setSimplifyTolerance(tolerance) {
+    const { min, max } = CONFIG.SIMPLIFY_LIMITS;
+    state.simplify.tolerance = THREE.MathUtils.clamp(tolerance, min, max);
+    savePreferences();
+    updateUI();
+}
+
+// Where the segment being drawn starts: the last corner or typed point
+function getDrawSegmentStart() {
+    const runs = getStraightRuns(state.drawPoints, CONFIG.RUN_TOLERANCE);
+    const runStart = runs.length > 0 ? runs[runs.length - 1].start : 0;
+    return Math.max(runStart, state.drawFixedCount - 1);
+}
+
+// Keys typed while drawing build up a length ("4.5", "12' 6\"") with an
+// optional angle ("4.5<30"); Enter places the point. Returns true if used.
+function handleTypedInput(event) {
+    if (event.altKey) return false;
+    
+    if (event.key === 'Enter') {
+        if (state.typedInput) {
+            applyTypedInput();
+        } else if (state.drawTool === 'polyline') {
+            finishPolyline();
+        }
+        return true;
+    }
+    if (event.key === 'Backspace' && !state.typedInput && state.drawTool === 'polyline') {
+        removePolylinePoint();
+        return true;
+    }
+    if (event.key === 'Backspace' || (event.key === 'Escape' && state.typedInput)) {
+        state.typedInput = event.key === 'Escape' ? '' : state.typedInput.slice(0, -1);
+        return true;
+    }
+    if (/^[0-9.<'" a-z-]$/i.test(event.key)) {
+        event.preventDefault();
+        state.typedInput += event.key;
+        return true;
+    }
+    return false;
+}
+
+// Put the next point at the typed distance from the segment start, towards
+// the typed angle or else towards the cursor
+function applyTypedInput() {
+    const input = parseDimensionInput(state.typedInput, state.units);
+    state.typedInput = '';
+    if (!input) {
+        showMessage('Type a length, optionally with an angle: 4.5 or 4.5<30', true);
+        return;
+    }
+    
+    const points = state.drawPoints;
+    const startIndex = getDrawSegmentStart();
+    const start = points[startIndex];
+    let direction;
+    if (input.angle !== null) {
+        const angle = THREE.MathUtils.degToRad(input.angle);
+        direction = new THREE.Vector3(Math.cos(angle), 0, -Math.sin(angle));
+    } else {
+        direction = points[points.length - 1].clone().sub(start);
+        if (direction.lengthSq() < 1e-6) {
+            showMessage('Point the wall somewhere first, or add an angle: 4.5<30', true);
+            return;
+        }
+        direction.normalize();
+    }
+    
+    state.drawPoints = [...points.slice(0, startIndex + 1), start.clone().addScaledVector(direction, input.length)];
+    state.drawFixedCount = state.drawPoints.length;
+    updateGhostWall();
+    updatePathLine();
+    
+    // For shapes that's the far point (a circle's or polygon's radius)
+    if (isShapeTool()) finishDrawing();
+}
+
+// ============================================
+// WALL EDITING
+// ============================================
+
+// Handles sit on top of the selected wall
+function getHandleHeight() {
+    const wall = state.selectedWall;
+    if (!wall) return CONFIG.WALL_HEIGHT;
+    
+    const { height, base } = getWallProps(wall.userData);
+    return getLevelElevation(getWallLevel(wall)) + base + height;
+}
+
+function updateHandles() {
+    handleGroup.children.forEach(handle => handle.material.dispose());
+    handleGroup.clear();
+    state.hoveredHandle = null;
+    
+    const wall = state.selectedWall;
+    if (!wall || state.mode !== 'edit') return;
+    
+    const points = getEditPoints(wall);
+    const count = isClosedPath(points) ? points.length - 1 : points.length;
+    const height = getHandleHeight();
+    
+    for (let i = 0; i < count; i++) {
+        const handle = createHandle(handleGeo, { type: 'handle', index: i });
+        handle.position.set(points[i].x, height, points[i].z);
+    }
+    
+    // Doors and windows get a handle to move them and one per side to resize
+    getFittedOpenings(wall).forEach(opening => {
+        OPENING_HANDLE_PARTS.forEach(part => {
+            const handle = createHandle(openingHandleGeo, { type: 'opening-handle', opening: opening.id, part });
+            handle.position.copy(getOpeningHandlePosition(wall, opening, part));
+        });
+    });
+}
+
+function createHandle(geometry, userData) {
+    const handle = new THREE.Mesh(geometry, new THREE.MeshBasicMaterial({
+        depthTest: false,
+        transparent: true,
+        opacity: 0.9
+    }));
+    handle.renderOrder = 10;
+    handle.userData = userData;
+    handle.material.color.setHex(getHandleColor(handle));
+    handleGroup.add(handle);
+    return handle;
+}
+
+function getHandleColor(handle) {
+    const { type, index, opening } = handle.userData;
+    if (type === 'opening-handle') {
+        return opening === state.selectedOpening ? CONFIG.COLOR_HANDLE_SELECTED : CONFIG.COLOR_OPENING_HANDLE;
+    }
+    return index === state.selectedVertex ? CONFIG.COLOR_HANDLE_SELECTED : CONFIG.COLOR_HANDLE;
+}
+
+function syncHandlePositions() {
+    const wall = state.selectedWall;
+    if (!wall) return;
+    
+    const points = getEditPoints(wall);
+    const openings = new Map(getFittedOpenings(wall).map(opening => [opening.id, opening]));
+    handleGroup.children.forEach(handle => {
+        const { type, index, opening, part } = handle.userData;
+        if (type === 'opening-handle') {
+            // Openings squeezed off the wall keep their handles out of sight
+            handle.visible = openings.has(opening);
+            if (handle.visible) {
+                handle.position.copy(getOpeningHandlePosition(wall, openings.get(opening), part));
+            }
+            return;
+        }
+        const p = points[index];
+        handle.position.set(p.x, getHandleHeight(), p.z);
+    });
+}
+
+function setHoveredHandle(handle) {
+    if (state.hoveredHandle === handle) return;
+    
+    if (state.hoveredHandle) {
+        state.hoveredHandle.material.color.setHex(getHandleColor(state.hoveredHandle));
+        state.hoveredHandle.scale.setScalar(1);
+    }
+    
+    state.hoveredHandle = handle;
+    
+    if (handle) {
+        handle.material.color.setHex(CONFIG.COLOR_HANDLE_HOVER);
+        handle.scale.setScalar(1.4);
+    }
+}
+
+// Indices that move together: the first and last point of a closed loop are one vertex
+function getLinkedIndices(points, index) {
+    const last = points.length - 1;
+    if (isClosedPath(points) && (index === 0 || index === last)) {
+        return [0, last];
+    }
+    return [index];
+}
+
+function findNearestSegment(points, point) {
+    let best = 0;
+    let bestDist = Infinity;
+    const closest = new THREE.Vector3();
+    
+    for (let i = 0; i < points.length - 1; i++) {
+        const segment = new THREE.Line3(points[i], points[i + 1]);
+        segment.closestPointToPoint(point, true, closest);
+        const dist = closest.distanceTo(point);
+        if (dist < bestDist) {
+            bestDist = dist;
+            best = i;
+        }
+    }
+    
+    return best;
+}
+
+// Every wall vertex on `level` sitting on one of the given node keys
+function findAttachedVertices(keys, level) {
+    const attached = [];
+    getLevelWalls(level).forEach(wall => {
+        const indices = [];
+        wall.userData.points.forEach((p, i) => {
+            if (keys.has(getVertexKey(p))) indices.push(i);
+        });
+        if (indices.length > 0) attached.push({ wall, indices });
+    });
+    return attached;
+}
+
+// `detach` moves only this wall's vertices instead of the whole junction
+function startDrag(type, wall, index, grabPoint, detach = false) {
+    const points = wall.userData.points;
+    
+    let moved;
+    if (type === 'vertex') {
+        moved = getLinkedIndices(points, index);
+    } else {
+        moved = [...new Set([
+            ...getLinkedIndices(points, index),
+            ...getLinkedIndices(points, index + 1)
+        ])];
+    }
+    
+    let attached = [{ wall, indices: moved }];
+    if (!detach) {
+        const keys = new Set(moved.map(i => getVertexKey(points[i])));
+        attached = findAttachedVertices(keys, getWallLevel(wall));
+    }
+    
+    state.drag = {
+        type,
+        wall,
+        index,
+        targets: attached.map(({ wall: target, indices }) => ({
+            wall: target,
+            indices,
+            before: getWallData(target),
+            original: target.userData.points.map(p => p.clone())
+        })),
+        // Neighbours' junction cuts follow the moving nodes too
+        rebuildWalls: getWallsSharingNodes(attached.map(({ wall: target }) => target)),
+        // Where their building was at the last preview; its roofs follow the drag
+        bounds: getConnectedBounds(attached.map(({ wall: target }) => target)),
+        original: points.map(p => p.clone()),
+        moved,
+        grabHeight: grabPoint.y,
+        grabStart: new THREE.Vector3(grabPoint.x, 0, grabPoint.z),
+        changed: false
+    };
+    
+    controls.enabled = false;
+    canvas.style.cursor = 'grabbing';
+}
+
+function updateDrag(clientX, clientY) {
+    const drag = state.drag;
+    if (drag.type === 'opening') {
+        updateOpeningDrag(clientX, clientY);
+        return;
+    }
+    if (drag.type === 'transform') {
+        updateTransformDrag(clientX, clientY);
+        return;
+    }
+    
+    const hit = getPlaneIntersection(clientX, clientY, drag.grabHeight);
+    if (!hit) return;
+    
+    const ignorePoints = new Set();
+    drag.targets.forEach(target => {
+        target.indices.forEach(i => ignorePoints.add(target.wall.userData.points[i]));
+    });
+    if (drag.type === 'curve') {
+        drag.wall.userData.points.forEach(p => ignorePoints.add(p));
+    }
+    
+    const cursor = new THREE.Vector3(hit.x, 0, hit.z);
+    let snapped;
+    let snapIndex = drag.moved[0]; // Point the snap indicator sits on
+    let delta;
+    
+    if (drag.type === 'vertex' || (drag.type === 'curve' && drag.index !== null)) {
+        // Keep the grab offset so the vertex doesn't jump under the cursor
+        const origin = drag.original[drag.index];
+        const target = cursor.clone().add(origin).sub(drag.grabStart);
+        const reference = getVertexSnapReference(drag.original, drag.index);
+        snapped = snapPoint(target, reference, false, ignorePoints);
+        delta = snapped.point.clone().sub(origin);
+    } else {
+        // Constrain the move direction (angles, perpendicular / parallel to walls)
+        snapped = snapPoint(cursor, drag.grabStart, false, ignorePoints, ['direction']);
+        delta = snapped.point.clone().sub(drag.grabStart);
+        
+        // Pull either end of the segment onto a nearby point or edge
+        for (const i of drag.moved) {
+            const moved = drag.original[i].clone().add(delta);
+            const end = snapPoint(moved, null, false, ignorePoints, ['point', 'edge']);
+            if (end.didSnap) {
+                delta.add(end.point.clone().sub(moved));
+                snapped = end;
+                snapIndex = i;
+                break;
+            }
+        }
+    }
+    
+    drag.targets.forEach(target => {
+        const points = target.wall.userData.points;
+        target.indices.forEach(i => {
+            points[i].copy(target.original[i]).add(delta);
+        });
+    });
+    if (drag.type === 'curve') applyCurveDrag(drag, delta);
+    drag.targets.forEach(target => builder.touchWall(target.wall.userData.id));
+    rebuildWalls(drag.rebuildWalls);
+    drag.changed = drag.changed || delta.lengthSq() > 1e-10;
+    
+    showSnap(snapped, drag.type === 'curve' ? drag.original[snapIndex].clone().add(delta) :
+        drag.wall.userData.points[snapIndex]);
+    
+    syncHandlePositions();
+    previewDragFloorsAndRoofs(drag);
+}
+
+// Floors are traced again only around the touched walls (see the builder);
+// roofs are rebuilt where their building was and where it is now
+function previewDragFloorsAndRoofs(drag) {
+    const bounds = getConnectedBounds(drag.targets.map(target => target.wall));
+    regenerateAllFloors();
+    rebuildRoofsNear([drag.bounds, bounds], getWallLevel(drag.wall));
+    drag.bounds = bounds;
+}
+
+// Neighbour used for angle snapping while dragging a vertex
+function getVertexSnapReference(points, index) {
+    if (index > 0) return points[index - 1];
+    if (isClosedPath(points)) return points[points.length - 2];
+    return points[1] || null;
+}
+
+function finishDrag() {
+    const drag = state.drag;
+    state.drag = null;
+    controls.enabled = true;
+    canvas.style.cursor = '';
+    hideSnap();
+    
+    if (drag.type === 'opening') {
+        finishOpeningDrag(drag);
+        return;
+    }
+    if (drag.type === 'transform') {
+        finishTransformDrag(drag);
+        return;
+    }
+    
+    if (!drag.changed) {
+        // A click without movement selects the vertex (or clears it for segments)
+        selectVertex(drag.type === 'segment' ? null : drag.index);
+        return;
+    }
+    
+    let label = drag.type === 'vertex' ? 'Move Point' : 'Move Segment';
+    if (drag.type === 'curve') label = drag.index === null ? 'Move Wall' : 'Move Point';
+    
+    // Moved vertices that now cross or touch other walls become junctions too
+    const targetWalls = drag.targets.map(target => target.wall);
+    const { updates } = nodeJunctions(targetWalls, null, getWallLevel(drag.wall));
+    updates.forEach(({ after }) => applyWallData(after));
+    
+    const commands = drag.targets.map(target => {
+        const after = withFittedOpenings(getWallData(target.wall));
+        applyWallData(after);
+        return updateWallCommand(label, target.before, after);
+    });
+    updates.forEach(({ before, after }) => {
+        if (targetWalls.some(wall => wall.userData.id === before.id)) return;
+        commands.push(updateWallCommand(label, before, after));
+    });
+    
+    commandHistory.record(commands.length > 1 ? batchCommand(label, commands) : commands[0]);
+}
+
+function cancelDrag() {
+    const drag = state.drag;
+    state.drag = null;
+    controls.enabled = true;
+    canvas.style.cursor = '';
+    hideSnap();
+    
+    if (drag.type === 'opening') {
+        applyWallData(drag.before);
+        syncHandlePositions();
+        return;
+    }
+    if (drag.type === 'transform') {
+        previewTransform(drag.source, new THREE.Matrix4());
+        return;
+    }
+    
+    drag.targets.forEach(target => applyWallData(target.before));
+    rebuildWalls(drag.rebuildWalls);
+    syncHandlePositions();
+    previewDragFloorsAndRoofs(drag);
+}
+
+function onEditMouseDown(event) {
+    const handle = getHandleIntersection(event.clientX, event.clientY);
+    if (handle && state.selectedWall) {
+        if (handle.userData.type === 'opening-handle') {
+            startOpeningDrag(state.selectedWall, handle);
+        } else if (getWallCurve(state.selectedWall.userData)) {
+            startCurveDrag(state.selectedWall, handle.userData.index, handle.position, event.altKey);
+        } else {
+            startDrag('vertex', state.selectedWall, handle.userData.index, handle.position, event.altKey);
+        }
+        return;
+    }
+    
+    // Roofs cover their walls, so only the nearer of the two is picked
+    const wallHit = getWallHit(event.clientX, event.clientY);
+    const roofHit = getRoofHit(event.clientX, event.clientY);
+    const roof = roofHit && (!wallHit || roofHit.distance < wallHit.distance) ? roofHit.object : null;
+    const hit = roof ? null : wallHit;
+    const floor = hit || roof ? null : getFloorIntersection(event.clientX, event.clientY);
+    const picked = hit ? hit.object : floor;
+    
+    // Shift-click adds to the selection (Shift-drag boxes more in); dragging
+    // any item of a multi-selection moves all of it
+    if (event.shiftKey) {
+        if (picked) {
+            toggleSelected(picked);
+        } else if (!roof) {
+            startMarquee(event);
+        }
+        return;
+    }
+    if (picked && isMultiSelected(picked)) {
+        startTransformDrag('move', getGroundIntersection(event.clientX, event.clientY));
+        return;
+    }
+    
+    if (hasMultiSelection()) clearSelection();
+    selectRoof(roof);
+    selectWall(hit ? hit.object : null);
+    selectFloor(floor);
+    
+    if (hit && getWallCurve(hit.object.userData)) {
+        startCurveDrag(hit.object, null, hit.point, event.altKey);
+    } else if (hit) {
+        const points = hit.object.userData.points;
+        const segment = findNearestSegment(points, new THREE.Vector3(hit.point.x, 0, hit.point.z));
+        startDrag('segment', hit.object, segment, hit.point, event.altKey);
+    } else if (!roof) {
+        startMarquee(event);
+    }
+}
+
+// ============================================
+// POINT EDITING (INSERT / REMOVE / SPLIT / JOIN)
+// ============================================
+
+function selectVertex(index) {
+    state.selectedVertex = index;
+    state.selectedOpening = null;
+    updateHandles();
+    updateUI();
+}
+
+function pointsMatch(a, b) {
+    return a.distanceTo(b) < CONFIG.JOIN_TOLERANCE;
+}
+
+// Copy of a wall snapshot with a different path (openings re-fitted to it)
+function withPoints(data, points) {
+    const { points: oldPoints, ...props } = data;
+    return withFittedOpenings({ ...structuredClone(props), points: points.map(p => p.clone()) });
+}
+
+// Copy of a wall snapshot with different openings (the key is dropped when empty)
+function withOpenings(data, openings) {
+    const { openings: oldOpenings, ...rest } = data;
+    return openings.length > 0 ? { ...rest, openings } : rest;
+}
+
+function getPathLength(points) {
+    let length = 0;
+    for (let i = 1; i < points.length; i++) {
+        length += points[i].distanceTo(points[i - 1]);
+    }
+    return length;
+}
+
+function insertVertexAt(wall, point) {
+    const curve = getWallCurve(wall.userData);
+    if (curve && curve.type === 'arc') {
+        showMessage('An arc is set by its three points: drag them to reshape it');
+        return;
+    }
+    
+    const points = wall.userData.points;
+    const ground = new THREE.Vector3(point.x, 0, point.z);
+    const segment = findNearestSegment(points, ground);
+    
+    const inserted = new THREE.Vector3();
+    new THREE.Line3(points[segment], points[segment + 1]).closestPointToPoint(ground, true, inserted);
+    
+    if (curve) {
+        insertControlAt(wall, segment, inserted);
+        return;
+    }
+    
+    // Skip if it would land on an existing vertex
+    if (inserted.distanceTo(points[segment]) < CONFIG.MIN_POINT_DISTANCE / 2 ||
+        inserted.distanceTo(points[segment + 1]) < CONFIG.MIN_POINT_DISTANCE / 2) {
+        return;
+    }
+    
+    const before = getWallData(wall);
+    const newPoints = [...points.slice(0, segment + 1), inserted, ...points.slice(segment + 1)];
+    
+    commandHistory.execute(updateWallCommand('Insert Point', before, withPoints(before, newPoints)));
+    selectVertex(segment + 1);
+}
+
+function removeVertex(wall, index) {
+    const curve = getWallCurve(wall.userData);
+    const points = getEditPoints(wall);
+    const before = getWallData(wall);
+    let newPoints;
+    
+    if (curve && curve.type === 'arc' && isClosedPath(points)) {
+        showMessage('A circle needs both of its points', true);
+        return;
+    }
+    
+    if (isClosedPath(points)) {
+        const ring = points.slice(0, -1);
+        ring.splice(index, 1);
+        
+        // A loop needs three corners; anything less collapses into a line
+        newPoints = ring.length >= 3 ? [...ring, ring[0]] : ring;
+    } else {
+        newPoints = points.filter((_, i) => i !== index);
+    }
+    
+    state.selectedVertex = null;
+    
+    if (newPoints.length < 2) {
+        deleteWall(wall);
+        return;
+    }
+    
+    // A spline goes through the controls left; an arc without all three is straight
+    if (curve) {
+        const after = curve.type === 'spline' ?
+            withCurve(before, { ...curve, controls: toControls(newPoints) }) :
+            withPoints(withoutCurve(before), newPoints);
+        reshapeWall('Remove Point', wall, after);
+        return;
+    }
+    
+    commandHistory.execute(updateWallCommand('Remove Point', before, withPoints(before, newPoints)));
+}
+
+// Split points must be interior; a closed loop splits between its seam
+// (first/last point) and the chosen vertex, leaving two walls that still
+// enclose the same floor
+function canSplitAt(wall, index) {
+    if (!wall || index === null) return false;
+    const vertex = getControlVertex(wall, index);
+    return vertex !== null && vertex > 0 && vertex < wall.userData.points.length - 1;
+}
+
+// Curved walls split at a control into two plain halves
+function splitWallAt(wall, selected) {
+    if (!canSplitAt(wall, selected)) return;
+    
+    const index = getControlVertex(wall, selected);
+    const points = wall.userData.points;
+    const before = getWallData(wall);
+    const plain = withoutCurve(before);
+    
+    // Openings stay where they are: each half keeps the ones on its side
+    const splitAt = getPathLength(points.slice(0, index + 1));
+    const openings = getWallOpenings(before);
+    const first = withPoints(
+        withOpenings(plain, openings.filter(o => o.offset < splitAt)),
+        points.slice(0, index + 1)
+    );
+    const second = withPoints(
+        withOpenings({ ...plain, id: createEntityId() }, openings
+            .filter(o => o.offset >= splitAt)
+            .map(o => ({ ...o, offset: o.offset - splitAt }))),
+        points.slice(index)
+    );
+    
+    commandHistory.execute(batchCommand('Split Wall', [
+        updateWallCommand('Split Wall', before, first),
+        addWallCommand(second)
+    ]));
+    selectVertex(null);
+}
+
+// Find another wall with an endpoint on one of `wall`'s endpoints
+function findJoinCandidate(wall, preferEnd = null) {
+    const points = wall.userData.points;
+    if (isClosedPath(points)) return null;
+    
+    const ends = preferEnd === 'start' ? ['start'] :
+        preferEnd === 'end' ? ['end'] : ['end', 'start'];
+    
+    for (const end of ends) {
+        const endpoint = end === 'start' ? points[0] : points[points.length - 1];
+        
+        for (const other of getLevelWalls(getWallLevel(wall))) {
+            if (other === wall) continue;
+            
+            const otherPoints = other.userData.points;
+            if (isClosedPath(otherPoints)) continue;
+            
+            if (pointsMatch(endpoint, otherPoints[0])) {
+                return { other, end, otherEnd: 'start' };
+            }
+            if (pointsMatch(endpoint, otherPoints[otherPoints.length - 1])) {
+                return { other, end, otherEnd: 'end' };
+            }
+        }
+    }
+    
+    return null;
+}
+
+function getSelectedEnd(wall, index) {
+    if (index === null) return null;
+    if (index === 0) return 'start';
+    if (index === getEditPoints(wall).length - 1) return 'end';
+    return null;
+}
+
+function joinWalls(wall) {
+    if (!wall) return;
+    
+    const candidate = findJoinCandidate(wall, getSelectedEnd(wall, state.selectedVertex));
+    if (!candidate) {
+        showMessage('No wall shares an endpoint with the selected wall', true);
+        return;
+    }
+    
+    const { other, end, otherEnd } = candidate;
+    let ours = wall.userData.points.map(p => p.clone());
+    let theirs = other.userData.points.map(p => p.clone());
+    const oursLength = getPathLength(ours);
+    const theirsLength = getPathLength(theirs);
+    
+    // Orient both paths so ours ends where theirs starts (openings follow)
+    let ourOpenings = getWallOpenings(wall.userData);
+    let theirOpenings = getWallOpenings(other.userData);
+    if (end === 'start') {
+        ours.reverse();
+        ourOpenings = ourOpenings.map(o => ({ ...o, offset: oursLength - o.offset }));
+    }
+    if (otherEnd === 'end') {
+        theirs.reverse();
+        theirOpenings = theirOpenings.map(o => ({ ...o, offset: theirsLength - o.offset }));
+    }
+    theirOpenings = theirOpenings.map(o => ({ ...o, offset: o.offset + oursLength }));
+    
+    const merged = [...ours, ...theirs.slice(1)];
+    
+    // Snap a nearly-closed result shut so it still reads as a loop
+    if (merged.length > 3 && pointsMatch(merged[0], merged[merged.length - 1])) {
+        merged[merged.length - 1] = merged[0].clone();
+    }
+    
+    // The joined path no longer follows either wall's curve
+    const before = getWallData(wall);
+    const after = withPoints(withOpenings(withoutCurve(before), [...ourOpenings, ...theirOpenings]), merged);
+    commandHistory.execute(batchCommand('Join Walls', [
+        updateWallCommand('Join Walls', before, after),
+        deleteWallCommand(other)
+    ]));
+    selectVertex(null);
+}
+
+// ============================================
+// CURVED WALLS
+// ============================================
+
+// An arc or spline wall keeps its curve next to the tessellated points; its
+// handles are the curve's controls, and reshaping it re-tessellates the path.
+// Edits the curve can't express (splitting, joining) leave plain points.
+
+// The wall's curve, or null for plain walls (and malformed curves)
+function getWallCurve(data) {
+    return isValidCurve(data.curve) ? data.curve : null;
+}
+
+// Points the wall is edited by: its curve's controls, or its path
+function getEditPoints(wall) {
+    const curve = getWallCurve(wall.userData);
+    return curve ? getControlPoints(curve) : wall.userData.points;
+}
+
+// Copy of a wall snapshot following a new curve
+function withCurve(data, curve) {
+    return withPoints({ ...data, curve }, tessellateCurve(curve, CONFIG.CURVE_SEGMENT_LENGTH));
+}
+
+// Copy of a wall snapshot as plain points
+function withoutCurve(data) {
+    const { curve, ...rest } = data;
+    return rest;
+}
+
+// Path index of a control, or null if it isn't on the path any more
+function getControlVertex(wall, index) {
+    const curve = getWallCurve(wall.userData);
+    if (!curve) return index;
+    
+    const vertex = getControlIndices(wall.userData.points, curve)[index];
+    return vertex === undefined ? null : vertex;
+}
+
+// Swap in a reshaped wall and node it again (its path has moved off the
+// junctions it had), as one undo step
+function reshapeWall(label, wall, after) {
+    const before = getWallData(wall);
+    applyWallData(after);
+    
+    const { updates } = nodeJunctions([wall], null, getWallLevel(wall));
+    updates.forEach(update => applyWallData(update.after));
+    
+    const commands = [updateWallCommand(label, before, withFittedOpenings(getWallData(wall)))];
+    updates.forEach(update => {
+        if (update.before.id !== before.id) commands.push(updateWallCommand(label, update.before, update.after));
+    });
+    commandHistory.record(commands.length > 1 ? batchCommand(label, commands) : commands[0]);
+}
+
+// Dragging a control reshapes the curve; dragging the wall itself (`index`
+// null) moves all of it. Walls attached at its ends follow unless `detach`.
+function startCurveDrag(wall, index, grabPoint, detach = false) {
+    const controlPoints = getEditPoints(wall);
+    const moved = index === null ? controlPoints.map((_, i) => i) : getLinkedIndices(controlPoints, index);
+    
+    const points = wall.userData.points;
+    const ends = [];
+    if (moved.includes(0)) ends.push(points[0]);
+    if (moved.includes(controlPoints.length - 1)) ends.push(points[points.length - 1]);
+    const attached = detach ? [] : findAttachedVertices(new Set(ends.map(getVertexKey)), getWallLevel(wall))
+        .filter(({ wall: other }) => other !== wall);
+    const targets = [{ wall, indices: [] }, ...attached];
+    
+    state.drag = {
+        type: 'curve',
+        wall,
+        index,
+        targets: targets.map(({ wall: target, indices }) => ({
+            wall: target,
+            indices,
+            before: getWallData(target),
+            original: target.userData.points.map(p => p.clone())
+        })),
+        rebuildWalls: getWallsSharingNodes(targets.map(({ wall: target }) => target)),
+        bounds: getConnectedBounds(targets.map(({ wall: target }) => target)),
+        original: controlPoints,
+        moved,
+        grabHeight: grabPoint.y,
+        grabStart: new THREE.Vector3(grabPoint.x, 0, grabPoint.z),
+        changed: false
+    };
+    
+    controls.enabled = false;
+    canvas.style.cursor = 'grabbing';
+}
+
+// Move the dragged controls by `delta` and re-tessellate (live, like a vertex drag)
+function applyCurveDrag(drag, delta) {
+    const data = drag.wall.userData;
+    const moved = drag.original.map((p, i) => (drag.moved.includes(i) ? p.clone().add(delta) : p));
+    data.curve = { ...data.curve, controls: toControls(moved) };
+    data.points = tessellateCurve(data.curve, CONFIG.CURVE_SEGMENT_LENGTH);
+}
+
+// A spline gets a new control between the two around the clicked spot
+function insertControlAt(wall, segment, point) {
+    const curve = getWallCurve(wall.userData);
+    const index = getControlIndices(wall.userData.points, curve).filter(i => i <= segment).length;
+    const controlPoints = getControlPoints(curve);
+    if (index < 1 || index >= controlPoints.length ||
+        point.distanceTo(controlPoints[index - 1]) < CONFIG.MIN_POINT_DISTANCE / 2 ||
+        point.distanceTo(controlPoints[index]) < CONFIG.MIN_POINT_DISTANCE / 2) {
+        return;
+    }
+    
+    controlPoints.splice(index, 0, point);
+    reshapeWall('Insert Point', wall, withCurve(getWallData(wall), { ...curve, controls: toControls(controlPoints) }));
+    selectVertex(index);
+}
+
+// ============================================
+// MULTI-SELECTION
+// ============================================
+
+// Box / lasso outline, drawn over the canvas while dragging
+const marqueeOverlay = document.getElementById('marquee');
+const marqueeShape = marqueeOverlay.querySelector('polygon');
+
+function hasMultiSelection() {
+    return state.selection.walls.size + state.selection.floors.size > 0;
+}
+
+function isMultiSelected(object) {
+    const { type, id, key } = object.userData;
+    return type === 'wall' ? state.selection.walls.has(id) : state.selection.floors.has(key);
+}
+
+// Selected walls and floors on the active level: the multi-selection, or
+// else the single selected wall or floor
+function getSelectionItems() {
+    if (hasMultiSelection()) {
+        return {
+            walls: getLevelWalls(state.activeLevel).filter(wall => state.selection.walls.has(wall.userData.id)),
+            floors: getActiveFloors().filter(floor => state.selection.floors.has(floor.userData.key))
+        };
+    }
+    
+    const floor = getSelectedFloor();
+    return {
+        walls: state.selectedWall ? [state.selectedWall] : [],
+        floors: floor ? [floor] : []
+    };
+}
+
+function hasSelection() {
+    const { walls, floors } = getSelectionItems();
+    return walls.length + floors.length > 0;
+}
+
+// Select walls (by id) and floors (by key); a single item goes back to the
+// single selection, with its handles and property panel
+function setSelection(wallIds, floorKeys) {
+    const walls = [...new Set(wallIds)];
+    const floors = [...new Set(floorKeys)];
+    const isSingle = walls.length + floors.length < 2;
+    const previous = state.selection.walls;
+    
+    state.selection = isSingle ?
+        { walls: new Set(), floors: new Set() } :
+        { walls: new Set(walls), floors: new Set(floors) };
+    
+    selectRoof(null);
+    selectWall(isSingle && walls.length === 1 ? findWallById(walls[0]) : null);
+    selectFloor(isSingle && floors.length === 1 ?
+        getActiveFloors().find(floor => floor.userData.key === floors[0]) || null : null);
+    [...previous, ...state.selection.walls].forEach(id => {
+        const wall = findWallById(id);
+        if (wall) updateWallAppearance(wall);
+    });
+}
+
+function clearSelection() {
+    setSelection([], []);
+}
+
+// Shift-click adds a wall or floor to the selection, or takes it out again
+function toggleSelected(object) {
+    const { walls, floors } = getSelectionItems();
+    const toggle = (list, value) => (list.includes(value) ? list.filter(v => v !== value) : [...list, value]);
+    const wallIds = walls.map(wall => wall.userData.id);
+    const floorKeys = floors.map(floor => floor.userData.key);
+    
+    if (object.userData.type === 'wall') {
+        setSelection(toggle(wallIds, object.userData.id), floorKeys);
+    } else {
+        setSelection(wallIds, toggle(floorKeys, object.userData.key));
+    }
+}
+
+// A drag from empty ground (or a floor) draws a box, or a lasso with Alt;
+// it only starts once the mouse has moved a few pixels
+function startMarquee(event) {
+    state.marquee = {
+        start: { x: event.clientX, y: event.clientY },
+        points: [],
+        lasso: event.altKey,
+        additive: event.shiftKey,
+        active: false
+    };
+    controls.enabled = false;
+}
+
+function updateMarquee(event) {
+    const marquee = state.marquee;
+    const start = marquee.start;
+    const point = { x: event.clientX, y: event.clientY };
+    
+    if (!marquee.active) {
+        if (Math.hypot(point.x - start.x, point.y - start.y) < CONFIG.MARQUEE_THRESHOLD) return;
+        marquee.active = true;
+        marquee.points = [start];
+    }
+    
+    if (marquee.lasso) {
+        const last = marquee.points[marquee.points.length - 1];
+        if (Math.hypot(point.x - last.x, point.y - last.y) >= CONFIG.MARQUEE_THRESHOLD) {
+            marquee.points.push(point);
+        }
+    } else {
+        marquee.points = [start, { x: point.x, y: start.y }, point, { x: start.x, y: point.y }];
+    }
+    
+    marqueeShape.setAttribute('points', marquee.points.map(p => `${p.x},${p.y}`).join(' '));
+    marqueeOverlay.hidden = false;
+}
+
+// Walls and floors lying entirely inside the box / lasso get selected
+function finishMarquee() {
+    const marquee = state.marquee;
+    state.marquee = null;
+    controls.enabled = true;
+    marqueeOverlay.hidden = true;
+    if (!marquee.active || marquee.points.length < 3) return;
+    
+    // Screen positions go into x / z, which is what pointInPolygon reads
+    const polygon = marquee.points.map(p => new THREE.Vector3(p.x, 0, p.y));
+    const elevation = getActiveElevation();
+    const isInside = points => points.every(p => {
+        const projected = new THREE.Vector3(p.x, elevation, p.z).project(camera);
+        const screen = new THREE.Vector3(
+            (projected.x + 1) / 2 * window.innerWidth,
+            0,
+            (1 - projected.y) / 2 * window.innerHeight
+        );
+        return projected.z <= 1 && pointInPolygon(screen, polygon);
+    });
+    
+    const walls = getLevelWalls(state.activeLevel).filter(wall => isInside(wall.userData.points));
+    const floors = getActiveFloors().filter(floor => isInside(floor.userData.points));
+    const current = marquee.additive ? getSelectionItems() : { walls: [], floors: [] };
+    
+    setSelection(
+        [...current.walls, ...walls].map(wall => wall.userData.id),
+        [...current.floors, ...floors].map(floor => floor.userData.key)
+    );
+}
+
+// ============================================
+// TRANSFORMS (MOVE / ROTATE / MIRROR / DUPLICATE)
+// ============================================
+
+// Everything that moves, copies or goes with the selection. Floors stand for
+// the walls around them (and inside them, for courtyards); roofs come along
+// with the slabs and buildings they cover, and courtyard voids ({ key,
+// points }) and rooms with the walls that bound them.
+function getSelectionContents() {
+    const { walls, floors } = getSelectionItems();
+    const slabs = floors.filter(floor => floor.userData.type === 'slab');
+    
+    const loopKeys = new Set();
+    floors.filter(floor => floor.userData.type === 'floor').forEach(floor => {
+        [floor.userData.points, ...floor.userData.holes].forEach(loop => {
+            loop.forEach(p => loopKeys.add(getVertexKey(p)));
+        });
+    });
+    const contentWalls = getLevelWalls(state.activeLevel).filter(wall => walls.includes(wall) ||
+        (loopKeys.size > 0 && wall.userData.points.every(p => loopKeys.has(getVertexKey(p)))));
+    
+    // Outlines made only of these walls' vertices go with them
+    const vertexKeys = new Set(contentWalls.flatMap(wall => wall.userData.points.map(getVertexKey)));
+    const isCovered = points => points.every(p => vertexKeys.has(getVertexKey(p)));
+    const slabIds = new Set(slabs.map(slab => slab.userData.id));
+    
+    const roofs = state.roofs.filter(roof => {
+        const { level, slab, outline } = roof.userData;
+        if (level !== state.activeLevel) return false;
+        return slab !== undefined ? slabIds.has(slab) : outline !== null && isCovered(outline);
+    });
+    const voids = state.activeLevel !== getGroundLevel().id ? [] :
+        builder.getFloorRegions(state.activeLevel)
+            .filter(region => builder.isVoid(region.key) && isCovered(region.points))
+            .map(({ key, points }) => ({ key, points }));
+    const rooms = state.activeLevel !== getGroundLevel().id ? [] :
+        state.floors.filter(floor => !floor.userData.isVoid && isCovered(floor.userData.points))
+            .map(floor => findRoomById(floor.userData.room))
+            .filter(Boolean);
+    
+    return { walls: contentWalls, slabs, roofs, voids, rooms };
+}
+
+// Middle of the walls' and slabs' extent (data snapshots), the pivot for
+// rotating and mirroring
+function getContentsCenter({ walls, slabs }) {
+    const box = new THREE.Box3();
+    [...walls, ...slabs].forEach(data => data.points.forEach(p => box.expandByPoint(p)));
+    return box.isEmpty() ? null : box.getCenter(new THREE.Vector3()).setY(0);
+}
+
+function transformPoints(points, matrix) {
+    return points.map(p => p.clone().applyMatrix4(matrix));
+}
+
+// Key a loop gets once transformed; mirroring reverses the direction floor
+// regions trace it in
+function getTransformedLoopKey(points, matrix) {
+    const moved = transformPoints(points, matrix);
+    if (matrix.determinant() < 0) moved.reverse();
+    return getLoopKey(moved);
+}
+
+// Vertices of a loop key, at the key's precision
+function getLoopKeyPoints(key) {
+    return key.split(';').map(vertex => {
+        const [x, z] = vertex.split(',').map(Number);
+        return new THREE.Vector3(x, 0, z);
+    });
+}
+
+// Openings keep their offsets: a rigid transform leaves path lengths alone
+function transformWallData(data, matrix) {
+    const moved = { ...data, points: transformPoints(data.points, matrix) };
+    const curve = getWallCurve(data);
+    if (curve) {
+        moved.curve = { ...curve, controls: toControls(transformPoints(getControlPoints(curve), matrix)) };
+    }
+    return moved;
+}
+
+function transformSlabData(data, matrix) {
+    return {
+        ...data,
+        points: transformPoints(data.points, matrix),
+        holes: data.holes.map(hole => transformPoints(hole, matrix))
+    };
+}
+
+// Rooms move their outline, like slabs
+function transformRoomData(data, matrix) {
+    return transformSlabData(data, matrix);
+}
+
+// Slab roofs follow their slab; anchored roofs move their anchor
+function transformRoofData(data, matrix) {
+    if (data.slab !== undefined) return cloneRoofData(data);
+    return cloneRoofData({ ...data, anchor: data.anchor.clone().applyMatrix4(matrix) });
+}
+
+// Snapshot of what transforming the selection changes, taken before it starts
+function getTransformSource() {
+    const contents = getSelectionContents();
+    const { walls, floors } = getSelectionItems();
+    
+    return {
+        walls: contents.walls.map(getWallData),
+        slabs: contents.slabs.map(getSlabData),
+        roofs: contents.roofs.filter(roof => roof.userData.slab === undefined).map(getRoofData),
+        voids: contents.voids,
+        voidLoops: builder.getVoids(),
+        rooms: contents.rooms.map(getRoomData),
+        selection: {
+            walls: walls.map(wall => wall.userData.id),
+            // Ground floor keys follow their (transformed) outline
+            floors: floors.map(({ userData }) => ({
+                key: userData.key,
+                points: userData.type === 'floor' ? userData.points : null
+            }))
+        }
+    };
+}
+
+function getTransformedData(source, matrix) {
+    const moved = new Set(source.voids.map(({ key }) => key));
+    return {
+        walls: source.walls.map(data => transformWallData(data, matrix)),
+        slabs: source.slabs.map(data => transformSlabData(data, matrix)),
+        roofs: source.roofs.map(data => transformRoofData(data, matrix)),
+        voidLoops: [
+            ...source.voidLoops.filter(key => !moved.has(key)),
+            ...source.voids.map(({ points }) => getTransformedLoopKey(points, matrix))
+        ],
+        rooms: source.rooms.map(data => transformRoomData(data, matrix))
+    };
+}
+
+function getTransformCommands(label, source, matrix) {
+    const after = getTransformedData(source, matrix);
+    return [
+        ...source.walls.map((before, i) => updateWallCommand(label, before, after.walls[i])),
+        ...source.slabs.map((before, i) => updateSlabCommand(label, before, after.slabs[i])),
+        ...source.roofs.map((before, i) => updateRoofCommand(before, after.roofs[i])),
+        setVoidLoopsCommand(label, source.voidLoops, after.voidLoops),
+        setRoomOutlinesCommand(label, source.rooms, after.rooms)
+    ];
+}
+
+// Apply `commands`, node the walls they leave against the rest of the active
+// level and record it all as one undo step
+function executeAndNode(label, commands, wallIds) {
+    commands.forEach(command => command.do());
+    
+    const walls = wallIds.map(findWallById).filter(Boolean);
+    const { updates } = nodeJunctions(walls);
+    updates.forEach(({ before, after }) => {
+        applyWallData(after);
+        commands.push(updateWallCommand(label, before, after));
+    });
+    
+    commandHistory.record(commands.length > 1 ? batchCommand(label, commands) : commands[0]);
+}
+
+function selectTransformed(source, matrix) {
+    setSelection(
+        source.selection.walls,
+        source.selection.floors.map(({ key, points }) => (points ? getTransformedLoopKey(points, matrix) : key))
+    );
+}
+
+// `matrix` (a rotation or mirror) applied around `center`
+function aroundPoint(matrix, center) {
+    return new THREE.Matrix4().makeTranslation(center.x, 0, center.z)
+        .multiply(matrix)
+        .multiply(new THREE.Matrix4().makeTranslation(-center.x, 0, -center.z));
+}
+
+// `getMatrix(center)` gives the transform for the selection's centre
+function transformSelection(label, getMatrix) {
+    const source = getTransformSource();
+    const center = getContentsCenter(source);
+    if (!center) return;
+    
+    const matrix = getMatrix(center);
+    executeAndNode(label, getTransformCommands(label, source, matrix), source.walls.map(data => data.id));
+    selectTransformed(source, matrix);
+}
+
+// Quarter turn counter-clockwise as seen on the plan
+function rotateSelection() {
+    transformSelection('Rotate Selection', center => aroundPoint(new THREE.Matrix4().makeRotationY(Math.PI / 2), center));
+}
+
+// 'x' flips left / right on the plan, 'z' top / bottom
+function mirrorSelection(axis) {
+    const scale = axis === 'x' ? new THREE.Matrix4().makeScale(-1, 1, 1) : new THREE.Matrix4().makeScale(1, 1, -1);
+    transformSelection('Mirror Selection', center => aroundPoint(scale, center));
+}
+
+// Move (dragging a selected item) or rotate (R, following the mouse around
+// the centre until the next click)
+function startTransformDrag(mode, grabPoint) {
+    const source = getTransformSource();
+    const center = getContentsCenter(source);
+    if (!center) return;
+    
+    // The selection point nearest the grab snaps onto points and edges
+    const grab = new THREE.Vector3(grabPoint.x, 0, grabPoint.z);
+    const anchor = [...source.walls, ...source.slabs]
+        .flatMap(data => data.points)
+        .reduce((best, p) => (p.distanceTo(grab) < best.distanceTo(grab) ? p : best));
+    
+    state.drag = {
+        type: 'transform',
+        mode,
+        source,
+        center,
+        anchor,
+        grabStart: grab,
+        startAngle: Math.atan2(grab.z - center.z, grab.x - center.x),
+        matrix: new THREE.Matrix4(),
+        changed: false
+    };
+    
+    controls.enabled = false;
+    canvas.style.cursor = mode === 'move' ? 'grabbing' : 'crosshair';
+}
+
+function updateTransformDrag(clientX, clientY) {
+    const drag = state.drag;
+    const cursor = getGroundIntersection(clientX, clientY);
+    
+    // The moving walls can't snap onto themselves
+    const ignorePoints = new Set(drag.source.walls.flatMap(data => {
+        const wall = findWallById(data.id);
+        return wall ? wall.userData.points : [];
+    }));
+    
+    let matrix;
+    if (drag.mode === 'move') {
+        let snapped = snapPoint(cursor, drag.grabStart, false, ignorePoints, ['direction']);
+        const delta = snapped.point.clone().sub(drag.grabStart);
+        
+        const moved = drag.anchor.clone().add(delta);
+        const end = snapPoint(moved, null, false, ignorePoints, ['point', 'edge']);
+        if (end.didSnap) {
+            delta.add(end.point.clone().sub(moved));
+            snapped = end;
+        }
+        
+        matrix = new THREE.Matrix4().makeTranslation(delta.x, 0, delta.z);
+        showSnap(snapped, drag.anchor.clone().add(delta));
+    } else {
+        // Counter-clockwise on screen is a negative turn about +y
+        let angle = Math.atan2(cursor.z - drag.center.z, cursor.x - drag.center.x) - drag.startAngle;
+        if (state.snapping && state.snapTypes.angle) {
+            angle = Math.round(angle / CONFIG.ROTATE_SNAP) * CONFIG.ROTATE_SNAP;
+        }
+        matrix = aroundPoint(new THREE.Matrix4().makeRotationY(-angle), drag.center);
+    }
+    
+    drag.matrix = matrix;
+    drag.changed = drag.changed || !matrix.equals(new THREE.Matrix4());
+    previewTransform(drag.source, matrix);
+}
+
+// Show the source transformed without recording anything. Only the moved
+// walls, the walls at their nodes before and after, and the roofs around
+// their buildings are rebuilt.
+function previewTransform(source, matrix) {
+    const after = getTransformedData(source, matrix);
+    const walls = after.walls.map(data => findWallById(data.id)).filter(Boolean);
+    const left = getWallsSharingNodes(walls);
+    const areas = getTransformAreas(after);
+    
+    after.walls.forEach(data => {
+        const wall = findWallById(data.id);
+        if (!wall) return;
+        wall.userData.points = data.points;
+        builder.touchWall(data.id);
+    });
+    after.slabs.forEach(applySlabData);
+    after.roofs.forEach(data => {
+        const roof = findRoofById(data.id);
+        if (roof) roof.userData.anchor = data.anchor;
+    });
+    builder.setVoids(after.voidLoops);
+    after.rooms.forEach(applyRoomOutline);
+    
+    rebuildWalls([...new Set([...left, ...getWallsSharingNodes(walls)])]);
+    regenerateAllFloors();
+    rebuildRoofsNear([...areas, ...getTransformAreas(after)]);
+}
+
+// Plan bounds of what a transform moves, where it is now: the buildings of
+// its walls, and its slabs and roof anchors
+function getTransformAreas({ walls, slabs, roofs }) {
+    const slabPoints = slabs.flatMap(data => {
+        const slab = findSlabById(data.id);
+        return slab ? slab.userData.points : [];
+    });
+    const anchors = roofs.map(data => findRoofById(data.id))
+        .filter(roof => roof && roof.userData.anchor)
+        .map(roof => roof.userData.anchor);
+    return [
+        getConnectedBounds(walls.map(data => findWallById(data.id)).filter(Boolean)),
+        getPointsBounds([...slabPoints, ...anchors])
+    ];
+}
+
+function finishTransformDrag(drag) {
+    if (!drag.changed) return;
+    
+    const label = drag.mode === 'move' ? 'Move Selection' : 'Rotate Selection';
+    executeAndNode(label, getTransformCommands(label, drag.source, drag.matrix), drag.source.walls.map(data => data.id));
+    selectTransformed(drag.source, drag.matrix);
+}
+
+function startRotateSelection() {
+    const source = getTransformSource();
+    const center = getContentsCenter(source);
+    if (!center) return;
+    
+    // Without a cursor on the ground, the rotation starts from due east
+    startTransformDrag('rotate', state.cursorPoint || center.clone().add(new THREE.Vector3(1, 0, 0)));
+    showMessage('Move the mouse to rotate, click to place, Escape to cancel');
+}
+
+// Roofs resting on deleted slabs, and roofs over deleted buildings, go too
+function deleteSelection() {
+    const { walls, slabs, roofs } = getSelectionContents();
+    if (walls.length + slabs.length === 0) return;
+    
+    // Highest index first, so undoing puts everything back where it was
+    const commands = [
+        ...[...roofs].reverse().map(deleteRoofCommand),
+        ...[...slabs].reverse().map(deleteSlabCommand),
+        ...[...walls].reverse().map(deleteWallCommand)
+    ];
+    clearSelection();
+    commandHistory.execute(batchCommand('Delete Selection', commands));
+}
+
+// Add `data` ({ walls, slabs, roofs, voids: loop outlines, rooms }) moved by
+// `matrix` onto the active level as new entities, then select the copies.
+// Copied rooms keep their name and color; only ground floors have rooms.
+function addCopies(label, data, matrix) {
+    const level = state.activeLevel;
+    const slabIds = new Map(data.slabs.map(slab => [slab.id, createEntityId()]));
+    
+    const walls = data.walls.map(wall => ({ ...transformWallData(wall, matrix), id: createEntityId(), level }));
+    const slabs = data.slabs.map(slab => ({ ...transformSlabData(slab, matrix), id: slabIds.get(slab.id), level }));
+    const roofs = data.roofs
+        .filter(roof => roof.slab === undefined || slabIds.has(roof.slab))
+        .map(roof => {
+            const copy = { ...transformRoofData(roof, matrix), id: createEntityId(), level };
+            if (copy.slab !== undefined) copy.slab = slabIds.get(copy.slab);
+            return copy;
+        });
+    const voidLoops = builder.getVoids();
+    const voids = data.voids.map(points => getTransformedLoopKey(points, matrix));
+    const rooms = level !== getGroundLevel().id ? [] :
+        data.rooms.map(room => ({ ...transformRoomData(room, matrix), id: createEntityId() }));
+    
+    executeAndNode(label, [
+        ...walls.map(addWallCommand),
+        ...slabs.map(addSlabCommand),
+        ...roofs.map(addRoofCommand),
+        ...rooms.map(addRoomCommand),
+        setVoidLoopsCommand(label, voidLoops, [...voidLoops, ...voids])
+    ], walls.map(wall => wall.id));
+    
+    if (state.mode !== 'edit') setMode('edit');
+    setSelection(walls.map(wall => wall.id), slabs.map(slab => `slab:${slab.id}`));
+}
+
+function getSelectionData() {
+    const { walls, slabs, roofs, voids, rooms } = getSelectionContents();
+    return {
+        walls: walls.map(getWallData),
+        slabs: slabs.map(getSlabData),
+        roofs: roofs.map(getRoofData),
+        voids,
+        rooms: rooms.map(getRoomData)
+    };
+}
+
+function duplicateSelection() {
+    const data = getSelectionData();
+    if (data.walls.length + data.slabs.length === 0) return;
+    
+    const { x, z } = CONFIG.DUPLICATE_OFFSET;
+    addCopies('Duplicate', { ...data, voids: data.voids.map(({ points }) => points) },
+        new THREE.Matrix4().makeTranslation(x, 0, z));
+}
+
+// ============================================
+// CLIPBOARD (COPY / PASTE)
+// ============================================
+
+// The selection as a one-level scene file, kept in local storage (so it
+// pastes in a later session) and put on the system clipboard when allowed
+async function copySelection() {
+    const data = getSelectionData();
+    const count = data.walls.length + data.slabs.length;
+    if (count === 0) return;
+    
+    const text = stringifyScene({
+        levels: [{ ...getLevel(state.activeLevel) }],
+        ...data,
+        voids: data.voids.map(({ key }) => key)
+    });
+    
+    let copied = false;
+    try {
+        localStorage.setItem(CONFIG.CLIPBOARD_KEY, text);
+        copied = true;
+    } catch (err) {
+        // Storage can be unavailable; the system clipboard may still work
+    }
+    try {
+        await navigator.clipboard.writeText(text);
+        copied = true;
+    } catch (err) {
+        // Clipboard access can be denied; local storage keeps the copy
+    }
+    
+    if (copied) {
+        showMessage(`Copied ${count} ${count === 1 ? 'item' : 'items'}`);
+    } else {
+        showMessage('Could not copy: neither the clipboard nor local storage is available', true);
+    }
+}
+
+// A scene on the system clipboard (copied in another window) wins over the
+// last copy kept in local storage
+async function readClipboardScene() {
+    try {
+        return parseScene(await navigator.clipboard.readText());
+    } catch (err) {
+        // No clipboard access, or something other than a scene on it
+    }
+    
+    try {
+        const text = localStorage.getItem(CONFIG.CLIPBOARD_KEY);
+        return text ? parseScene(text) : null;
+    } catch (err) {
+        return null;
+    }
+}
+
+// Centred under the mouse, or next to where it was copied from; the offset
+// keeps to the snap grid so pasted layouts stay aligned
+async function pasteSelection() {
+    const target = state.cursorPoint && state.cursorPoint.clone();
+    const sceneData = await readClipboardScene();
+    const center = sceneData && getContentsCenter(sceneData);
+    if (!center) {
+        showMessage('Nothing to paste: copy a selection first', true);
+        return;
+    }
+    if (state.isDrawing || state.drag) return;
+    
+    const offset = target ? target.sub(center) : CONFIG.DUPLICATE_OFFSET.clone();
+    const grid = CONFIG.SNAP_GRID;
+    addCopies('Paste', { ...sceneData, voids: sceneData.voids.map(getLoopKeyPoints) },
+        new THREE.Matrix4().makeTranslation(Math.round(offset.x / grid) * grid, 0, Math.round(offset.z / grid) * grid));
+}
+
+// ============================================
+// DOORS AND WINDOWS
+// ============================================
+
+// Opening handles: centre moves it, the sides resize its width, sill and head its height
+const OPENING_HANDLE_PARTS = ['move', 'start', 'end', 'sill', 'head'];
+
+function isOpeningMode() {
+    return state.mode === 'door' || state.mode === 'window';
+}
+
+// Distance along a path to the point on it closest to `point`
+function getPathDistance(points, point) {
+    const segment = findNearestSegment(points, point);
+    const closest = new THREE.Line3(points[segment], points[segment + 1])
+        .closestPointToPoint(point, true, new THREE.Vector3());
+    return getPathLength(points.slice(0, segment + 1)) + closest.distanceTo(points[segment]);
+}
+
+// Position and direction of an opening's centre; `bottom` is the wall's base in world space
+function getOpeningFrame(wall, opening) {
+    const { x, z, dir } = pointAlongPath(wall.userData.points, opening.offset);
+    const bottom = getLevelElevation(getWallLevel(wall)) + getWallProps(wall.userData).base;
+    return { x, z, dir, bottom };
+}
+
+function getOpeningHandlePosition(wall, opening, part) {
+    const { x, z, dir, bottom } = getOpeningFrame(wall, opening);
+    const along = part === 'start' ? -opening.width / 2 : part === 'end' ? opening.width / 2 : 0;
+    const height = part === 'sill' ? opening.sill : part === 'head' ? opening.head : (opening.sill + opening.head) / 2;
+    return new THREE.Vector3(x + dir.x * along, bottom + height, z + dir.z * along);
+}
+
+// Stretch a unit box over an opening (placement preview)
+function showOpeningBox(mesh, wall, opening) {
+    const { x, z, dir, bottom } = getOpeningFrame(wall, opening);
+    mesh.position.set(x, bottom + (opening.sill + opening.head) / 2, z);
+    mesh.rotation.set(0, Math.atan2(-dir.z, dir.x), 0);
+    mesh.scale.set(opening.width, opening.head - opening.sill, getWallProps(wall.userData).thickness + 0.04);
+    mesh.visible = true;
+}
+
+// Fit `candidate` into the wall next to its existing openings. Returns the
+// fitted candidate, or null when it doesn't fit or would push the others aside.
+function fitOpeningCandidate(wall, candidate, fitted = getFittedOpenings(wall)) {
+    const others = fitted.filter(opening => opening.id !== candidate.id);
+    const { thickness, height } = getWallProps(wall.userData);
+    const result = fitOpenings(wall.userData.points, [...others, candidate], {
+        thickness,
+        height,
+        junctions: buildWallJunctions(getWallsSharingNodes([wall])).get(getWallLevel(wall)),
+        wallId: wall.userData.id
+    });
+    
+    const placed = result.find(opening => opening.id === candidate.id);
+    const moved = others.some(opening => {
+        const after = result.find(o => o.id === opening.id);
+        return !after || Math.abs(after.offset - opening.offset) > 1e-6 || Math.abs(after.width - opening.width) > 1e-6;
+    });
+    return placed && !moved ? placed : null;
+}
+
+function snapOpeningValue(value) {
+    return state.snapping ? Math.round(value / CONFIG.OPENING_SNAP) * CONFIG.OPENING_SNAP : value;
+}
+
+function getOpeningCandidate(wall, hitPoint, type) {
+    const offset = getPathDistance(wall.userData.points, new THREE.Vector3(hitPoint.x, 0, hitPoint.z));
+    return fitOpeningCandidate(wall, {
+        id: createEntityId(),
+        type,
+        ...CONFIG.OPENING_DEFAULTS[type],
+        offset: snapOpeningValue(offset)
+    });
+}
+
+function updateOpeningPreview(event) {
+    const hit = getWallHit(event.clientX, event.clientY);
+    if (!hit) {
+        openingPreview.visible = false;
+        return;
+    }
+    
+    const wall = hit.object;
+    const candidate = getOpeningCandidate(wall, hit.point, state.mode);
+    if (candidate) {
+        openingPreview.material.color.setHex(CONFIG.COLOR_GHOST);
+        showOpeningBox(openingPreview, wall, candidate);
+    } else {
+        // Show the blocked spot at the default size
+        const offset = getPathDistance(wall.userData.points, new THREE.Vector3(hit.point.x, 0, hit.point.z));
+        openingPreview.material.color.setHex(CONFIG.COLOR_OPENING_BLOCKED);
+        showOpeningBox(openingPreview, wall, { ...CONFIG.OPENING_DEFAULTS[state.mode], offset });
+    }
+}
+
+function placeOpening(event) {
+    const hit = getWallHit(event.clientX, event.clientY);
+    if (!hit) return;
+    
+    const wall = hit.object;
+    const type = state.mode;
+    const label = type === 'door' ? 'Door' : 'Window';
+    const candidate = getOpeningCandidate(wall, hit.point, type);
+    if (!candidate) {
+        showMessage(`No room for a ${type} there`, true);
+        return;
+    }
+    
+    const before = getWallData(wall);
+    const after = withOpenings(before, [...getFittedOpenings(wall), candidate]);
+    commandHistory.execute(updateWallCommand(`Add ${label}`, before, after));
+    updateOpeningPreview(event);
+}
+
+function findSelectedOpening() {
+    const wall = state.selectedWall;
+    if (!wall || state.selectedOpening === null) return null;
+    return getWallOpenings(wall.userData).find(opening => opening.id === state.selectedOpening) || null;
+}
+
+function selectOpening(id) {
+    state.selectedVertex = null;
+    state.selectedOpening = id;
+    updateHandles();
+    updateUI();
+}
+
+function removeOpening(wall, id) {
+    const before = getWallData(wall);
+    const opening = getWallOpenings(before).find(o => o.id === id);
+    if (!opening) return;
+    
+    state.selectedOpening = null;
+    const after = withOpenings(before, getWallOpenings(before).filter(o => o.id !== id));
+    commandHistory.execute(updateWallCommand(opening.type === 'door' ? 'Delete Door' : 'Delete Window', before, after));
+}
+
+function startOpeningDrag(wall, handle) {
+    const { opening: id, part } = handle.userData;
+    const fitted = getFittedOpenings(wall);
+    const opening = fitted.find(o => o.id === id);
+    if (!opening) return;
+    
+    const grabDistance = getPathDistance(wall.userData.points, new THREE.Vector3(handle.position.x, 0, handle.position.z));
+    state.drag = {
+        type: 'opening',
+        wall,
+        part,
+        opening,
+        fitted,
+        before: getWallData(wall),
+        grabHeight: handle.position.y,
+        grabDistance,
+        changed: false
+    };
+    
+    controls.enabled = false;
+    canvas.style.cursor = 'grabbing';
+}
+
+function updateOpeningDrag(clientX, clientY) {
+    const drag = state.drag;
+    const { wall, part, opening } = drag;
+    const candidate = { ...opening };
+    
+    if (part === 'sill' || part === 'head') {
+        // Heights are read off a vertical plane through the wall
+        const { x, z, dir, bottom } = getOpeningFrame(wall, opening);
+        const normal = new THREE.Vector3(-dir.z, 0, dir.x);
+        const plane = new THREE.Plane().setFromNormalAndCoplanarPoint(normal, new THREE.Vector3(x, 0, z));
+        mouse.x = (clientX / window.innerWidth) * 2 - 1;
+        mouse.y = -(clientY / window.innerHeight) * 2 + 1;
+        raycaster.setFromCamera(mouse, camera);
+        const hit = raycaster.ray.intersectPlane(plane, new THREE.Vector3());
+        if (!hit) return;
+        
+        const value = snapOpeningValue(hit.y - bottom);
+        if (part === 'sill') {
+            candidate.sill = Math.max(0, Math.min(value, opening.head - MIN_OPENING_HEIGHT));
+        } else {
+            candidate.head = Math.max(value, opening.sill + MIN_OPENING_HEIGHT);
+        }
+    } else {
+        const hit = getPlaneIntersection(clientX, clientY, drag.grabHeight);
+        if (!hit) return;
+        
+        const distance = getPathDistance(wall.userData.points, new THREE.Vector3(hit.x, 0, hit.z));
+        const start = opening.offset - opening.width / 2;
+        const end = opening.offset + opening.width / 2;
+        
+        if (part === 'move') {
+            candidate.offset = snapOpeningValue(opening.offset + distance - drag.grabDistance);
+        } else if (part === 'start') {
+            const side = Math.min(snapOpeningValue(distance), end - MIN_OPENING_WIDTH);
+            candidate.offset = (side + end) / 2;
+            candidate.width = end - side;
+        } else {
+            const side = Math.max(snapOpeningValue(distance), start + MIN_OPENING_WIDTH);
+            candidate.offset = (start + side) / 2;
+            candidate.width = side - start;
+        }
+    }
+    
+    // Keep the last valid spot when the cursor runs into a corner or a neighbour
+    const placed = fitOpeningCandidate(wall, candidate, drag.fitted);
+    if (!placed) return;
+    
+    wall.userData.openings = drag.fitted.map(o => o.id === placed.id ? placed : o);
+    drag.changed = ['offset', 'width', 'sill', 'head'].some(key => Math.abs(placed[key] - opening[key]) > 1e-6);
+    rebuildWallGeometry(wall);
+    syncHandlePositions();
+}
+
+function finishOpeningDrag(drag) {
+    if (!drag.changed) {
+        applyWallData(drag.before);
+        selectOpening(drag.opening.id);
+        return;
+    }
+    
+    const after = withFittedOpenings(getWallData(drag.wall));
+    applyWallData(after);
+    
+    const label = `${drag.part === 'move' ? 'Move' : 'Resize'} ${drag.opening.type === 'door' ? 'Door' : 'Window'}`;
+    state.selectedOpening = drag.opening.id;
+    commandHistory.record(updateWallCommand(label, drag.before, after));
+}
+
+// ============================================
+// WALL PROPERTIES
+// ============================================
+
+const WALL_PROPERTY_KEYS = ['height', 'thickness', 'base', 'color'];
+
+// Validated value for a property input, or null to ignore it
+function parseWallProperty(key, raw) {
+    if (key === 'color') {
+        return /^#[0-9a-f]{6}$/i.test(raw) ? raw.toLowerCase() : null;
+    }
+    
+    const value = parseFloat(raw);
+    if (!Number.isFinite(value)) return null;
+    
+    const { min, max } = CONFIG.WALL_LIMITS[key];
+    return THREE.MathUtils.clamp(value, min, max);
+}
+
+// Live edit from the property panel; the undo step is recorded on commit
+function setWallProperty(wall, key, value) {
+    if (state.propertyEdit && state.propertyEdit.wall !== wall) {
+        commitPropertyEdit();
+    }
+    if (!state.propertyEdit) {
+        state.propertyEdit = { wall, before: getWallData(wall) };
+    }
+    
+    wall.userData[key] = value;
+    
+    if (key === 'color') {
+        updateWallAppearance(wall);
+        return;
+    }
+    
+    // Thickness and height change the junction cuts of attached walls too,
+    // and the roofs of its building
+    rebuildWalls(getWallsSharingNodes([wall]));
+    rebuildRoofsNear([getConnectedBounds([wall])], getWallLevel(wall));
+    if (wall === state.selectedWall) {
+        selectionBox.setFromObject(wall);
+        syncHandlePositions();
+    }
+}
+
+function commitPropertyEdit() {
+    const edit = state.propertyEdit;
+    state.propertyEdit = null;
+    if (!edit || !state.walls.includes(edit.wall)) return;
+    
+    // A lower or thicker wall may squeeze its doors and windows
+    const after = withFittedOpenings(getWallData(edit.wall));
+    if (WALL_PROPERTY_KEYS.every(key => edit.before[key] === after[key])) return;
+    
+    applyWallData(after);
+    commandHistory.record(updateWallCommand('Edit Wall', edit.before, after));
+}
+
+// Fill every input for `key` in `container` except the one being typed into
+function setPropertyInputs(container, attribute, key, value) {
+    container.querySelectorAll(`[${attribute}="${key}"]`).forEach(input => {
+        if (input !== document.activeElement) input.value = value;
+    });
+}
+
+function updatePropertyPanel() {
+    const panel = document.getElementById('property-panel');
+    const wall = state.mode === 'edit' ? state.selectedWall : null;
+    panel.hidden = !wall;
+    if (!wall) return;
+    
+    const props = getWallProps(wall.userData);
+    WALL_PROPERTY_KEYS.forEach(key => setPropertyInputs(panel, 'data-prop', key, props[key]));
+}
+
+function updateWallDefaultInputs() {
+    const section = document.getElementById('wall-defaults');
+    WALL_PROPERTY_KEYS.forEach(key => {
+        setPropertyInputs(section, 'data-default', key, state.wallDefaults[key]);
+    });
+}
+
+// Slider and number ranges come from CONFIG.WALL_LIMITS, ROOF_LIMITS,
+// SECTION_LIMITS, SIMPLIFY_LIMITS and POLYGON_SIDES_LIMITS
+function setupPropertyInputs() {
+    Object.assign(document.getElementById('polygon-sides'), CONFIG.POLYGON_SIDES_LIMITS);
+
+    document.querySelectorAll('[data-prop], [data-default], [data-roof], [data-section], [data-simplify]').forEach(input => {
+        const key = input.dataset.prop || input.dataset.default || input.dataset.roof;
+        let limits = CONFIG.WALL_LIMITS[key] || CONFIG.ROOF_LIMITS[key];
+        if (input.dataset.section) limits = CONFIG.SECTION_LIMITS;
+        if (input.dataset.simplify) limits = CONFIG.SIMPLIFY_LIMITS;
+        if (!limits) return;
+        
+        input.min = limits.min;
+        input.max = limits.max;
+        input.step = limits.step;
+    });
+}
+
+// ============================================
+// ROOF PROPERTIES
+// ============================================
+
+const ROOF_PROPERTY_KEYS = ['style', 'pitch', 'overhang'];
+
+// Validated value for a roof panel input, or null to ignore it
+function parseRoofProperty(key, raw) {
+    if (key === 'style') {
+        return ROOF_STYLES.includes(raw) ? raw : null;
+    }
+    
+    const value = parseFloat(raw);
+    if (!Number.isFinite(value)) return null;
+    
+    const { min, max } = CONFIG.ROOF_LIMITS[key];
+    return THREE.MathUtils.clamp(value, min, max);
+}
+
+// Live edit from the roof panel; the undo step is recorded on commit
+function setRoofProperty(roof, key, value) {
+    if (state.roofEdit && state.roofEdit.roof !== roof) {
+        commitRoofEdit();
+    }
+    if (!state.roofEdit) {
+        state.roofEdit = { roof, before: getRoofData(roof) };
+    }
+    
+    roof.userData[key] = value;
+    rebuildRoofGeometry(roof);
+}
+
+function commitRoofEdit() {
+    const edit = state.roofEdit;
+    state.roofEdit = null;
+    if (!edit || !state.roofs.includes(edit.roof)) return;
+    
+    const after = getRoofData(edit.roof);
+    if (ROOF_PROPERTY_KEYS.every(key => edit.before[key] === after[key])) return;
+    
+    commandHistory.record(updateRoofCommand(edit.before, after));
+}
+
+function updateRoofPanel() {
+    const panel = document.getElementById('roof-panel');
+    const roof = state.mode === 'edit' ? state.selectedRoof : null;
+    panel.hidden = !roof;
+    if (!roof) return;
+    
+    ROOF_PROPERTY_KEYS.forEach(key => setPropertyInputs(panel, 'data-roof', key, roof.userData[key]));
+    
+    const { style, outline } = roof.userData;
+    document.getElementById('roof-gable-note').hidden =
+        style !== 'gabled' || !outline || isRectangle(outline);
+}
+
+// ============================================
+// ROOM PROPERTIES
+// ============================================
+
+const ROOM_PROPERTY_KEYS = ['name', 'color'];
+
+// Validated value for a room panel input, or null to ignore it
+function parseRoomProperty(key, raw) {
+    if (key === 'color') {
+        return /^#[0-9a-f]{6}$/i.test(raw) ? raw.toLowerCase() : null;
+    }
+    
+    const name = raw.trim();
+    return name.length > 0 ? name : null;
+}
+
+// Live edit from the room panel; the undo step is recorded on commit
+function setRoomProperty(room, key, value) {
+    if (state.roomEdit && state.roomEdit.room !== room) {
+        commitRoomEdit();
+    }
+    if (!state.roomEdit) {
+        state.roomEdit = { room, before: getRoomData(room) };
+    }
+    
+    room[key] = value;
+    const floor = getRoomFloor(room);
+    if (floor) updateFloorAppearance(floor);
+    updateRoomList();
+}
+
+function commitRoomEdit() {
+    const edit = state.roomEdit;
+    state.roomEdit = null;
+    if (!edit || findRoomById(edit.room.id) !== edit.room) return;
+    
+    const after = getRoomData(edit.room);
+    if (ROOM_PROPERTY_KEYS.every(key => edit.before[key] === after[key])) return;
+    
+    commandHistory.record(updateRoomCommand(edit.before, after));
+}
+
+function updateRoomPanel() {
+    const panel = document.getElementById('room-panel');
+    const room = state.mode === 'edit' ? getSelectedRoom() : null;
+    panel.hidden = !room;
+    if (!room) return;
+    
+    ROOM_PROPERTY_KEYS.forEach(key => setPropertyInputs(panel, 'data-room', key, room[key]));
+    document.getElementById('room-area').textContent = formatArea(getRoomArea(room.points, room.holes), state.units);
+    document.getElementById('room-perimeter').textContent =
+        formatLength(getRoomPerimeter(room.points, room.holes), state.units);
+}
+
+let roomListRows = []; // { id, content } the room list shows, to redo only the rows that changed
+
+// Every room with a floor, with its color and area; clicking one selects it.
+// While the same rooms are listed (a drag resizing one), only rows whose
+// content changed are replaced.
+function updateRoomList() {
+    const selected = getSelectedRoom();
+    const rows = getActiveRooms().map(room => ({
+        id: room.id,
+        name: room.name,
+        color: room.color,
+        area: formatArea(getRoomArea(room.points, room.holes), state.units),
+        selected: room === selected
+    }));
+    const contents = rows.map(row => JSON.stringify(row));
+    const list = document.getElementById('room-list');
+    
+    if (rows.length === roomListRows.length && rows.every((row, i) => row.id === roomListRows[i].id)) {
+        rows.forEach((row, i) => {
+            if (contents[i] !== roomListRows[i].content) list.children[i].replaceWith(createRoomListItem(row));
+        });
+    } else {
+        document.getElementById('room-count').textContent = `Rooms: ${rows.length}`;
+        list.replaceChildren(...rows.map(createRoomListItem));
+    }
+    roomListRows = rows.map((row, i) => ({ id: row.id, content: contents[i] }));
+}
+
+function createRoomListItem(row) {
+    const item = document.createElement('li');
+    item.dataset.roomId = String(row.id);
+    item.classList.toggle('selected', row.selected);
+    
+    const swatch = document.createElement('span');
+    swatch.className = 'room-swatch';
+    swatch.style.background = row.color;
+    
+    const name = document.createElement('span');
+    name.className = 'room-name';
+    name.textContent = row.name;
+    
+    const area = document.createElement('span');
+    area.className = 'room-area';
+    area.textContent = row.area;
+    
+    item.append(swatch, name, area);
+    return item;
+}
+
+// ============================================
+// INTERACTION HANDLERS
+// ============================================
+
+// Clicks on the toolbar or floating panels never reach the scene
+function isOverUI(event) {
+    return Boolean(event.target.closest && event.target.closest('#toolbar, .property-panel, #debug-panel'));
+}
+
+function onMouseDown(event) {
+    if (event.button !== 0) return;
+    if (isOverUI(event)) return;
+    
+    // A rotation follows the mouse until the click that places it
+    if (state.drag && state.drag.type === 'transform') {
+        finishDrag();
+        return;
+    }
+    
+    if (state.mode === 'wall') {
+        onDrawMouseDown(event);
+    } else if (state.mode === 'edit') {
+        onEditMouseDown(event);
+    } else if (isOpeningMode()) {
+        placeOpening(event);
+    }
+}
+
+function onMouseMove(event) {
+    const point = getGroundIntersection(event.clientX, event.clientY);
+    state.cursorPoint = isOverUI(event) ? null : point;
+    
+    if (state.isDrawing) {
+        updateDrawing(point);
+    } else if (state.drag) {
+        updateDrag(event.clientX, event.clientY);
+    } else if (state.marquee) {
+        updateMarquee(event);
+    } else if (isOpeningMode()) {
+        if (!isOverUI(event)) updateOpeningPreview(event);
+    } else if (state.mode === 'edit') {
+        const handle = getHandleIntersection(event.clientX, event.clientY);
+        setHoveredHandle(handle);
+        canvas.style.cursor = handle ? 'grab' : '';
+        
+        const wall = handle ? null : getWallIntersection(event.clientX, event.clientY);
+        
+        const previous = state.hoveredWall;
+        state.hoveredWall = wall;
+        
+        if (previous && previous !== wall) {
+            updateWallAppearance(previous);
+        }
+        if (wall) {
+            updateWallAppearance(wall);
+        }
+    }
+}
+
+function onDoubleClick(event) {
+    if (state.isDrawing && state.drawTool === 'polyline') {
+        finishPolyline();
+        return;
+    }
+    if (state.mode !== 'edit' || isOverUI(event)) return;
+    
+    const hit = getWallHit(event.clientX, event.clientY);
+    if (!hit) return;
+    
+    selectWall(hit.object);
+    insertVertexAt(hit.object, hit.point);
+}
+
+function onMouseUp(event) {
+    if (state.isDrawing) {
+        onDrawMouseUp();
+    } else if (state.drag && state.drag.mode !== 'rotate') {
+        finishDrag();
+    } else if (state.marquee) {
+        finishMarquee();
+    }
+}
+
+function onKeyDown(event) {
+    // Leave typing in panel fields alone (Backspace must not delete the wall)
+    const tag = event.target.tagName;
+    if ((tag === 'INPUT' && event.target.type !== 'checkbox') || tag === 'SELECT') return;
+    
+    if (event.ctrlKey || event.metaKey) {
+        const key = event.key.toLowerCase();
+        
+        if (key === 'z') {
+            event.preventDefault();
+            if (event.shiftKey) {
+                redo();
+            } else {
+                undo();
+            }
+        } else if (key === 'y') {
+            event.preventDefault();
+            redo();
+        } else if (['c', 'v', 'd'].includes(key) && !state.isDrawing && !state.drag) {
+            event.preventDefault();
+            if (key === 'c') copySelection();
+            if (key === 'v') pasteSelection();
+            if (key === 'd') duplicateSelection();
+        }
+        return;
+    }
+    
+    // Typed lengths take the keys (F included) while drawing
+    if (state.isDrawing && handleTypedInput(event)) return;
+    
+    if (event.key === 'Escape') {
+        if (state.isDrawing) {
+            cancelDrawing();
+        } else if (state.drag) {
+            cancelDrag();
+        } else if (state.mode === 'edit') {
+            clearSelection();
+        }
+        return;
+    }
+    
+    if (event.key.toLowerCase() === 'f') {
+        frameSelection();
+        return;
+    }
+    if (event.key === 'Home') {
+        frameAll();
+        return;
+    }
+    if (event.key.toLowerCase() === 'r' && !state.drag && hasSelection()) {
+        startRotateSelection();
+        return;
+    }
+    
+    if (event.key === 'Delete' || event.key === 'Backspace') {
+        if (hasMultiSelection() && !state.drag) {
+            deleteSelection();
+        } else if (state.selectedRoof && state.mode === 'edit') {
+            commandHistory.execute(deleteRoofCommand(state.selectedRoof));
+        } else if (findSelectedOpening() && !state.drag) {
+            removeOpening(state.selectedWall, state.selectedOpening);
+        } else if (state.selectedWall && !state.drag) {
+            if (state.selectedVertex !== null) {
+                removeVertex(state.selectedWall, state.selectedVertex);
+            } else {
+                deleteWall(state.selectedWall);
+            }
+        } else if (state.mode === 'edit') {
+            const floor = getSelectedFloor();
+            if (floor && floor.userData.type === 'slab') {
+                deleteSlab(floor);
+            }
+        }
+    }
+}
+
+// ============================================
+// CAMERA MODES
+// ============================================
+
+// A camera view: orbit angles around `target`, the height of the area framed
+// at the target, and the field of view (the ortho camera has none)
+function getCameraView() {
+    const offset = camera.position.clone().sub(controls.target);
+    const spherical = new THREE.Spherical().setFromVector3(offset);
+    
+    if (camera.isOrthographicCamera) {
+        return {
+            target: controls.target.clone(),
+            polar: 0,
+            azimuth: controls.getAzimuthalAngle(),
+            height: (camera.top - camera.bottom) / camera.zoom,
+            fov: CONFIG.CAM_2D_FOV
+        };
+    }
+    
+    const fov = THREE.MathUtils.degToRad(camera.fov);
+    return {
+        target: controls.target.clone(),
+        polar: spherical.phi,
+        azimuth: spherical.theta,
+        height: 2 * spherical.radius * Math.tan(fov / 2),
+        fov: camera.fov
+    };
+}
+
+// The perspective camera keeps the framed height by moving closer or further
+// as its field of view changes, so narrowing it blends into the ortho view
+function applyCameraView(view) {
+    controls.target.copy(view.target);
+    
+    if (camera.isOrthographicCamera) {
+        const aspect = window.innerWidth / window.innerHeight;
+        camera.top = view.height / 2;
+        camera.bottom = -view.height / 2;
+        camera.left = -view.height * aspect / 2;
+        camera.right = view.height * aspect / 2;
+        camera.zoom = 1;
+        camera.position.setFromSpherical(new THREE.Spherical(CONFIG.CAM_2D_HEIGHT, 1e-4, view.azimuth)).add(view.target);
+    } else {
+        const distance = view.height / (2 * Math.tan(THREE.MathUtils.degToRad(view.fov) / 2));
+        camera.fov = view.fov;
+        camera.position.setFromSpherical(new THREE.Spherical(distance, view.polar, view.azimuth)).add(view.target);
+    }
+    
+    camera.updateProjectionMatrix();
+    camera.lookAt(view.target);
+}
+
+function startCameraTransition(to, swapTo = null) {
+    cameraTransition.active = true;
+    cameraTransition.from = getCameraView();
+    cameraTransition.to = to;
+    cameraTransition.swapTo = swapTo;
+    cameraTransition.progress = 0;
     
+    // Free the orbit limits so they can't fight the blend
     controls.enabled = false;
+    controls.minPolarAngle = 0;
+    controls.maxPolarAngle = Math.PI;
+}
+
+function useCamera(next) {
+    camera = next;
+    controls.object = next;
+}
+
+// Last 3D orbit angles, restored when leaving 2D mode
+const saved3DView = { polar: 0, azimuth: 0 };
+
+function setCameraMode(mode) {
+    if (state.cameraMode === mode) return;
     
-    // Show start indicator
-    startPointIndicator.position.set(point.x, 0.05, point.z);
-    startPointIndicator.visible = true;
-    startPointIndicator.material.color.setHex(0xffff00);
-    startPointIndicator.scale.set(1, 1, 1);
+    state.cameraMode = mode;
+    if (cameraTransition.active) finishCameraTransition();
+    
+    const view = getCameraView();
+    if (mode === '2d') {
+        saved3DView.polar = view.polar;
+        saved3DView.azimuth = view.azimuth;
+        // Plans read north-up: -z at the top of the screen
+        startCameraTransition({ ...view, polar: 0, azimuth: 0, fov: CONFIG.CAM_2D_FOV }, orthoCamera);
+    } else {
+        // Take over from the ortho camera with a matching, nearly flat perspective
+        useCamera(perspectiveCamera);
+        applyCameraView({ ...view, fov: CONFIG.CAM_2D_FOV });
+        startCameraTransition({ ...view, ...saved3DView, fov: CONFIG.CAM_FOV });
+    }
+    
+    updateUI();
 }
 
-function updateDrawing(currentPoint) {
-    if (!state.isDrawing || state.drawPoints.length === 0) return;
+function finishCameraTransition() {
+    const { to, swapTo } = cameraTransition;
+    cameraTransition.active = false;
     
-    const lastPoint = state.drawPoints[state.drawPoints.length - 1];
+    if (swapTo) useCamera(swapTo);
+    applyCameraView(to);
     
-    // Snap the current point
-    const canSnapToStart = state.drawPoints.length > 2;
-    const { point: snappedPoint, didSnap } = snapPoint(currentPoint, lastPoint, canSnapToStart);
+    controls.enabled = true;
+    controls.enableRotate = state.cameraMode === '3d';
+    controls.minPolarAngle = 0;
+    controls.maxPolarAngle = state.cameraMode === '2d' ? 0.001 : Math.PI / 2 - 0.05;
+}
+
+function updateCameraTransition(deltaTime) {
+    if (!cameraTransition.active) return;
     
-    // Update indicators
-    snapIndicator.position.set(snappedPoint.x, 0.06, snappedPoint.z);
-    snapIndicator.visible = didSnap;
-    snapIndicator.material.color.setHex(didSnap ? CONFIG.COLOR_GHOST_SNAP : CONFIG.COLOR_GHOST);
+    cameraTransition.progress += deltaTime / cameraTransition.duration;
+    if (cameraTransition.progress >= 1) {
+        finishCameraTransition();
+        return;
+    }
     
-    if (didSnap && ghostWall) {
-        ghostWall.material.color.setHex(CONFIG.COLOR_GHOST_SNAP);
-    } else if (ghostWall) {
-        ghostWall.material.color.setHex(CONFIG.COLOR_GHOST);
+    const t = cameraTransition.progress;
+    const ease = t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2;
+    const { from, to } = cameraTransition;
+    
+    // Turn the short way round
+    let azimuthDelta = (to.azimuth - from.azimuth) % (Math.PI * 2);
+    if (azimuthDelta > Math.PI) azimuthDelta -= Math.PI * 2;
+    if (azimuthDelta < -Math.PI) azimuthDelta += Math.PI * 2;
+    
+    applyCameraView({
+        target: from.target.clone().lerp(to.target, ease),
+        polar: from.polar + (to.polar - from.polar) * ease,
+        azimuth: from.azimuth + azimuthDelta * ease,
+        // Height and field of view blend geometrically, so zooms feel even
+        height: from.height * Math.pow(to.height / from.height, ease),
+        fov: from.fov * Math.pow(to.fov / from.fov, ease)
+    });
+}
+
+// ============================================
+// FRAMING
+// ============================================
+
+// Box around every visible wall, slab and roof
+function getSceneBounds() {
+    const box = new THREE.Box3();
+    [...state.walls, ...state.slabs, ...state.roofs]
+        .filter(mesh => mesh.visible)
+        .forEach(mesh => box.expandByObject(mesh));
+    return box;
+}
+
+function getSelectionBounds() {
+    const box = new THREE.Box3();
+    const opening = findSelectedOpening();
+    if (opening) {
+        const wall = state.selectedWall;
+        const fitted = getFittedOpenings(wall).find(o => o.id === opening.id) || opening;
+        ['start', 'end', 'sill', 'head'].forEach(part => box.expandByPoint(getOpeningHandlePosition(wall, fitted, part)));
+        return box;
     }
     
-    // Add point if far enough from last
-    const distFromLast = lastPoint.distanceTo(snappedPoint);
-    if (distFromLast >= CONFIG.MIN_POINT_DISTANCE) {
-        state.drawPoints.push(snappedPoint.clone());
-        updateGhostWall();
-        updatePathLine();
-    } else {
-        // Update last point for visual feedback
-        state.drawPoints[state.drawPoints.length - 1] = snappedPoint.clone();
-        updateGhostWall();
-        updatePathLine();
+    if (state.selectedRoof) {
+        box.expandByObject(state.selectedRoof);
+        return box;
     }
     
-    // Check for loop closing
-    if (state.drawPoints.length > 2) {
-        const distToStart = snappedPoint.distanceTo(state.drawPoints[0]);
-        if (distToStart < CONFIG.SNAP_DISTANCE) {
-            startPointIndicator.material.color.setHex(0x00ff00);
-            startPointIndicator.scale.set(1.5, 1.5, 1.5);
-        } else {
-            startPointIndicator.material.color.setHex(0xffff00);
-            startPointIndicator.scale.set(1, 1, 1);
-        }
+    const { walls, floors } = getSelectionItems();
+    [...walls, ...floors].forEach(mesh => box.expandByObject(mesh));
+    return box;
+}
+
+// Move the camera (keeping its angle) so the box fills the view
+function frameBounds(box) {
+    if (box.isEmpty()) return false;
+    
+    if (cameraTransition.active) finishCameraTransition();
+    
+    const sphere = box.getBoundingSphere(new THREE.Sphere());
+    const radius = Math.max(sphere.radius, 1);
+    const aspect = window.innerWidth / window.innerHeight;
+    const view = getCameraView();
+    
+    // Height that fits the sphere across both screen axes; a perspective
+    // camera sees less at the sphere's near side
+    let height = 2 * radius * CONFIG.FRAME_MARGIN / Math.min(1, aspect);
+    if (camera.isPerspectiveCamera) {
+        height /= Math.cos(THREE.MathUtils.degToRad(view.fov) / 2);
     }
+    
+    startCameraTransition({ ...view, target: sphere.center, height });
+    return true;
 }
 
-function finishDrawing() {
-    if (!state.isDrawing) return;
+function frameAll() {
+    if (!frameBounds(getSceneBounds())) {
+        showMessage('Nothing to frame yet');
+    }
+}
+
+function frameSelection() {
+    if (!frameBounds(getSelectionBounds())) {
+        showMessage('Select a wall, floor, roof or opening to frame it');
+    }
+}
+
+// ============================================
+// SECTION VIEW
+// ============================================
+
+// Building meshes are clipped by the section plane; `capped` ones must be
+// closed solids, since the stencil passes count their faces to find the inside
+function makeSectionable(mesh, capped = true) {
+    mesh.material.clippingPlanes = sectionPlanes;
+    mesh.material.clipShadows = true;
+    if (capped) mesh.layers.enable(SECTION_LAYER);
+}
+
+function getSectionElevation() {
+    return getActiveElevation() + state.section.height;
+}
+
+// Picking ignores whatever the section plane has cut away
+function isBelowSection(intersection) {
+    return !state.section.enabled || intersection.point.y <= getSectionElevation() + 1e-6;
+}
+
+function updateSectionPlane() {
+    const elevation = getSectionElevation();
+    sectionPlane.constant = elevation;
+    sectionCap.position.y = elevation;
+    sectionPlanes.length = 0;
+    if (state.section.enabled) sectionPlanes.push(sectionPlane);
+}
+
+function setSectionEnabled(enabled) {
+    state.section.enabled = enabled;
+    updateSectionPlane();
+    updateUI();
+}
+
+function setSectionHeight(height) {
+    const { min, max } = CONFIG.SECTION_LIMITS;
+    // Rounded so repeated scroll steps don't drift into long decimals
+    state.section.height = Math.round(THREE.MathUtils.clamp(height, min, max) * 1000) / 1000;
+    updateSectionPlane();
+    updateUI();
+}
+
+// Shift + scroll moves the cut instead of zooming
+function onSectionWheel(event) {
+    if (!state.section.enabled || !event.shiftKey || isOverUI(event)) return;
     
-    state.isDrawing = false;
-    controls.enabled = true;
+    event.preventDefault();
+    event.stopPropagation();
+    // Some browsers turn Shift + wheel into horizontal scrolling
+    const delta = event.deltaY || event.deltaX;
+    setSectionHeight(state.section.height - Math.sign(delta) * CONFIG.SECTION_SCROLL_STEP);
+}
+
+// Fill the cut faces: count how often each pixel's view ray enters and leaves
+// the clipped solids, then draw the cap plane where it ends up inside one
+function renderSectionCaps() {
+    const layers = camera.layers.mask;
+    const autoClear = renderer.autoClear;
+    const shadowUpdate = renderer.shadowMap.autoUpdate;
+    renderer.autoClear = false;
+    renderer.shadowMap.autoUpdate = false;
+    camera.layers.set(SECTION_LAYER);
     
-    // Check if should close loop
-    if (state.drawPoints.length > 2) {
-        const lastPoint = state.drawPoints[state.drawPoints.length - 1];
-        const firstPoint = state.drawPoints[0];
-        const distToStart = lastPoint.distanceTo(firstPoint);
-        
-        if (distToStart < CONFIG.SNAP_DISTANCE) {
-            // Close the loop by snapping last point to first
-            state.drawPoints[state.drawPoints.length - 1] = firstPoint.clone();
+    sectionStencilMaterials.forEach(material => {
+        scene.overrideMaterial = material;
+        renderer.render(scene, camera);
+    });
+    scene.overrideMaterial = null;
+    camera.layers.mask = layers;
+    
+    renderer.render(sectionCapScene, camera); // Resets the stencil as it draws
+    
+    renderer.autoClear = autoClear;
+    renderer.shadowMap.autoUpdate = shadowUpdate;
+}
+
+// ============================================
+// INTERIOR VISIBILITY
+// ============================================
+
+// Opacity each wall, slab and roof is easing towards ({ target, opacity }).
+// Kept out of userData, which walls save verbatim.
+const fadeStates = new WeakMap();
+const visibilityBox = new THREE.Box3();
+const visibilityRay = new THREE.Raycaster();
+
+function getMeshLevel(mesh) {
+    return mesh.userData.type === 'wall' ? getWallLevel(mesh) : mesh.userData.level;
+}
+
+function isUpperLevel(mesh) {
+    return getLevelElevation(getMeshLevel(mesh)) > getActiveElevation() + 1e-6;
+}
+
+// Hidden by the toolbar toggles, or (roofs and upper levels) for being above
+// the camera or right in front of it
+function isHidden(mesh) {
+    const isRoof = mesh.userData.type === 'roof';
+    if (isRoof && (!state.showRoofs || mesh.userData.outline === null)) return true;
+    
+    const upper = isUpperLevel(mesh);
+    if (upper && !state.showUpperLevels) return true;
+    if (!state.autoVisibility || !(isRoof || upper)) return false;
+    
+    visibilityBox.setFromObject(mesh);
+    return visibilityBox.isEmpty() ||
+        visibilityBox.min.y > camera.position.y ||
+        visibilityBox.distanceToPoint(camera.position) < CONFIG.AUTO_HIDE_DISTANCE;
+}
+
+// Points the user is looking at: the hovered / selected elements (handles
+// draw on top of everything, so they need no clearing)
+function getFocusPoints() {
+    const points = [];
+    const addMesh = mesh => {
+        if (!mesh || !mesh.visible) return;
+        visibilityBox.setFromObject(mesh);
+        if (!visibilityBox.isEmpty()) points.push({ mesh, point: visibilityBox.getCenter(new THREE.Vector3()) });
+    };
+    
+    // A long wall can peek out from behind others, so each segment's middle
+    // counts (corners would catch the walls joined to it)
+    const wall = state.selectedWall;
+    if (wall) {
+        addMesh(wall);
+        const { height, base } = getWallProps(wall.userData);
+        const y = getLevelElevation(getWallLevel(wall)) + base + height / 2;
+        const path = wall.userData.points;
+        for (let i = 0; i < path.length - 1; i++) {
+            const middle = path[i].clone().add(path[i + 1]).multiplyScalar(0.5).setY(y);
+            points.push({ mesh: wall, point: middle });
         }
     }
     
-    // Commit if valid
-    if (state.drawPoints.length >= 2) {
-        commitWall(state.drawPoints);
-        regenerateAllFloors();
+    if (state.hoveredWall !== wall) addMesh(state.hoveredWall);
+    addMesh(state.selectedRoof);
+    addMesh(getSelectedFloor());
+    if (hasMultiSelection()) {
+        const { walls, floors } = getSelectionItems();
+        [...walls, ...floors].forEach(addMesh);
+    }
+    return points;
+}
+
+// Walls on the way from the camera to any focus point
+function findOccludingWalls() {
+    const occluders = new Set();
+    getFocusPoints().forEach(({ mesh, point }) => {
+        const direction = point.clone().sub(camera.position);
+        const distance = direction.length();
+        const walls = queryWallMeshes([camera.position, point]).filter(wall => wall.visible);
+        visibilityRay.set(camera.position, direction.normalize());
+        visibilityRay.far = distance - 0.05;
+        visibilityRay.intersectObjects(walls, false).forEach(hit => {
+            if (hit.object !== mesh) occluders.add(hit.object);
+        });
+    });
+    return occluders;
+}
+
+function applyOpacity(mesh, opacity) {
+    const material = mesh.material;
+    const faded = opacity < 0.999;
+    if (material.transparent !== faded) {
+        material.transparent = faded;
+        material.needsUpdate = true;
+    }
+    material.opacity = opacity;
+    material.depthWrite = !faded;
+    mesh.visible = opacity > 0.01;
+}
+
+// Ease every wall, slab and roof towards its target opacity (called every frame)
+function updateVisibility(deltaTime) {
+    const occluders = state.autoVisibility ? findOccludingWalls() : new Set();
+    const step = Math.min(1, deltaTime * CONFIG.FADE_SPEED);
+    
+    [...state.walls, ...state.slabs, ...state.roofs].forEach(mesh => {
+        let target = 1;
+        if (isHidden(mesh)) {
+            target = 0;
+        } else if (occluders.has(mesh)) {
+            target = CONFIG.FADE_OPACITY;
+        }
+        
+        // New meshes start where they should be instead of fading in
+        const fade = fadeStates.get(mesh) || { opacity: target };
+        fade.target = target;
+        fade.opacity += (target - fade.opacity) * step;
+        if (Math.abs(target - fade.opacity) < 0.005) fade.opacity = target;
+        fadeStates.set(mesh, fade);
+        applyOpacity(mesh, fade.opacity);
+    });
+}
+
+function setShowUpperLevels(show) {
+    state.showUpperLevels = show;
+    updateUI();
+}
+
+function setAutoVisibility(enabled) {
+    state.autoVisibility = enabled;
+    updateUI();
+}
+
+// ============================================
+// WALL BATCHES
+// ============================================
+
+// Walls that look plain (opaque, not hovered or selected) are drawn from
+// merged meshes, one per grid cell and color, instead of one draw call each.
+// Their own meshes stay in the scene for picking, with the material hidden.
+// A batch is rebuilt when one of its walls changes shape or stops (or starts)
+// looking plain, so an edit only touches the batches of its own cells.
+const wallBatches = new Map(); // Batch key → merged mesh
+const wallBatchEntries = new Map(); // Wall mesh → { key, plain, color, geometry, y }
+
+function isWallPlain(wall) {
+    const material = wall.material;
+    return state.batchWalls && wall.visible && !material.transparent &&
+        material.emissive.getHex() === 0 && Boolean(wall.geometry.attributes.position);
+}
+
+// Cell of the wall's first point plus its color
+function getWallBatchKey(wall) {
+    const [first] = wall.userData.points;
+    const i = Math.floor(first.x / CONFIG.WALL_BATCH_CELL);
+    const j = Math.floor(first.z / CONFIG.WALL_BATCH_CELL);
+    return `${i},${j}|${wall.material.color.getHexString()}`;
+}
+
+// One geometry from the walls' own, lifted to their level
+function mergeWallGeometries(walls) {
+    const length = walls.reduce((sum, wall) => sum + wall.geometry.attributes.position.array.length, 0);
+    const positions = new Float32Array(length);
+    const normals = new Float32Array(length);
+    let offset = 0;
+    walls.forEach(wall => {
+        const { position, normal } = wall.geometry.attributes;
+        positions.set(position.array, offset);
+        normals.set(normal.array, offset);
+        for (let i = offset + 1; i < offset + position.array.length; i += 3) {
+            positions[i] += wall.position.y;
+        }
+        offset += position.array.length;
+    });
+    
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+    geometry.setAttribute('normal', new THREE.BufferAttribute(normals, 3));
+    geometry.computeBoundingSphere();
+    return geometry;
+}
+
+function removeWallBatch(key) {
+    const batch = wallBatches.get(key);
+    if (!batch) return;
+    
+    scene.remove(batch);
+    batch.geometry.dispose();
+    batch.material.dispose();
+    wallBatches.delete(key);
+}
+
+function rebuildWallBatch(key, walls) {
+    removeWallBatch(key);
+    if (walls.length === 0) return;
+    
+    const batch = new THREE.Mesh(mergeWallGeometries(walls), new THREE.MeshStandardMaterial({
+        color: walls[0].material.color,
+        roughness: 0.7,
+        metalness: 0.2
+    }));
+    batch.castShadow = true;
+    batch.receiveShadow = true;
+    batch.userData = { type: 'wall-batch' };
+    makeSectionable(batch);
+    scene.add(batch);
+    wallBatches.set(key, batch);
+}
+
+// Sort walls into batches after this frame's appearance changes (called every frame)
+function updateWallBatches() {
+    const dirty = new Set();
+    const current = new Set(state.walls);
+    wallBatchEntries.forEach((entry, wall) => {
+        if (current.has(wall)) return;
+        dirty.add(entry.key);
+        wallBatchEntries.delete(wall);
+    });
+    
+    state.walls.forEach(wall => {
+        const plain = isWallPlain(wall);
+        const color = wall.material.color.getHex();
+        const entry = wallBatchEntries.get(wall);
+        if (entry && entry.plain === plain && entry.color === color &&
+            entry.geometry === wall.geometry && entry.y === wall.position.y) return;
+        
+        const key = plain ? getWallBatchKey(wall) : null;
+        if (entry) dirty.add(entry.key);
+        dirty.add(key);
+        wallBatchEntries.set(wall, { key, plain, color, geometry: wall.geometry, y: wall.position.y });
+        wall.material.visible = !plain;
+    });
+    dirty.delete(null);
+    if (dirty.size === 0) return;
+    
+    const members = new Map([...dirty].map(key => [key, []]));
+    state.walls.forEach(wall => {
+        const list = members.get(wallBatchEntries.get(wall).key);
+        if (list) list.push(wall);
+    });
+    members.forEach((walls, key) => rebuildWallBatch(key, walls));
+}
+
+function setBatchWalls(enabled) {
+    state.batchWalls = enabled;
+    updateUI();
+}
+
+// ============================================
+// STATS OVERLAY
+// ============================================
+
+const statsPanel = document.getElementById('stats-panel');
+const stats = {
+    frames: 0,
+    elapsed: 0,
+    fps: 0,
+    frameTime: 0,
+    drawCalls: 0,
+    triangles: 0,
+    timings: {} // Name → smoothed milliseconds
+};
+
+// Run `fn`, adding its duration to the named timing
+function measure(name, fn) {
+    const start = performance.now();
+    const result = fn();
+    const time = performance.now() - start;
+    const previous = stats.timings[name];
+    stats.timings[name] = previous === undefined ? time : previous + (time - previous) * CONFIG.STATS_SMOOTHING;
+    return result;
+}
+
+function formatTiming(name) {
+    const time = stats.timings[name];
+    return time === undefined ? '–' : `${time.toFixed(2)} ms`;
+}
+
+// Count the frame; the overlay text changes a few times a second
+function updateStats(deltaTime) {
+    stats.frames++;
+    stats.elapsed += deltaTime;
+    stats.drawCalls = renderer.info.render.calls;
+    stats.triangles = renderer.info.render.triangles;
+    if (stats.elapsed < CONFIG.STATS_INTERVAL) return;
+    
+    stats.fps = stats.frames / stats.elapsed;
+    stats.frameTime = stats.elapsed * 1000 / stats.frames;
+    stats.frames = 0;
+    stats.elapsed = 0;
+    if (state.showStats) updateStatsPanel();
+}
+
+function updateStatsPanel() {
+    const batched = [...wallBatchEntries.values()].filter(entry => entry.key !== null).length;
+    statsPanel.textContent = [
+        `${stats.fps.toFixed(0)} FPS · ${stats.frameTime.toFixed(1)} ms / frame`,
+        `Draw calls: ${stats.drawCalls} · Triangles: ${stats.triangles}`,
+        `Walls: ${state.walls.length} (${batched} in ${wallBatches.size} batches) · Floors: ${state.floors.length}`,
+        `Render: ${formatTiming('render')} · Batches: ${formatTiming('batches')}`,
+        `Snap: ${formatTiming('snap')} · Pick: ${formatTiming('pick')}`,
+        `Rebuild: ${formatTiming('rebuild')} (walls ${formatTiming('walls')}, floors ${formatTiming('floors')}, roofs ${formatTiming('roofs')})`
+    ].join('\n');
+}
+
+function setShowStats(show) {
+    state.showStats = show;
+    if (show) updateStatsPanel();
+    updateUI();
+}
+
+// ============================================
+// DIMENSIONS
+// ============================================
+
+const dimensionLayer = document.getElementById('dimension-layer');
+const dimensionLabels = []; // Pooled label elements, reused every frame
+const projectedPoint = new THREE.Vector3();
+const viewFrustum = new THREE.Frustum();
+const viewProjection = new THREE.Matrix4();
+
+// Plan angle of a → b in degrees, counter-clockwise from +x (-z is up the screen)
+function getPlanAngle(a, b) {
+    const degrees = THREE.MathUtils.radToDeg(Math.atan2(a.z - b.z, b.x - a.x));
+    return degrees < 0 ? degrees + 360 : degrees;
+}
+
+// Show label `index` at a world position, or skip it when off screen
+function placeDimensionLabel(index, position, text, className) {
+    projectedPoint.copy(position).project(camera);
+    if (projectedPoint.z > 1 || Math.abs(projectedPoint.x) > 1 || Math.abs(projectedPoint.y) > 1) return index;
+    
+    if (!dimensionLabels[index]) {
+        const label = document.createElement('div');
+        dimensionLayer.appendChild(label);
+        dimensionLabels.push(label);
     }
-    
-    // Cleanup
-    if (ghostWall) {
-        scene.remove(ghostWall);
-        ghostWall = null;
+    // Only what changed is written, so a still view costs no DOM updates
+    const label = dimensionLabels[index];
+    const left = `${(projectedPoint.x + 1) / 2 * window.innerWidth}px`;
+    const top = `${(1 - projectedPoint.y) / 2 * window.innerHeight}px`;
+    if (label.className !== `dimension-label ${className}`) label.className = `dimension-label ${className}`;
+    if (label.textContent !== text) label.textContent = text;
+    if (label.style.left !== left) label.style.left = left;
+    if (label.style.top !== top) label.style.top = top;
+    label.hidden = false;
+    return index + 1;
+}
+
+// Plan bounds of what the camera sees: the corners of its frustum, cut down
+// to DIMENSION_RANGE around a perspective camera, whose far plane is 1 km out
+function getViewBounds() {
+    const corners = [];
+    [-1, 1].forEach(x => [-1, 1].forEach(y => [-1, 1].forEach(z => {
+        corners.push(new THREE.Vector3(x, y, z).unproject(camera));
+    })));
+    const bounds = getPointsBounds(corners);
+    if (camera.isPerspectiveCamera) {
+        const { x, z } = camera.position;
+        const range = CONFIG.DIMENSION_RANGE;
+        bounds.minX = Math.max(bounds.minX, x - range);
+        bounds.minZ = Math.max(bounds.minZ, z - range);
+        bounds.maxX = Math.min(bounds.maxX, x + range);
+        bounds.maxZ = Math.min(bounds.maxZ, z + range);
     }
-    
-    state.drawPoints = [];
-    pathLine.visible = false;
-    snapIndicator.visible = false;
-    startPointIndicator.visible = false;
-    
-    updateDebugPanel();
+    return bounds;
 }
 
-function cancelDrawing() {
-    if (!state.isDrawing) return;
+// Walls on the active level in view: found in the spatial index by the view's
+// plan bounds, then checked against the frustum
+function getWallsInView() {
+    viewProjection.multiplyMatrices(camera.projectionMatrix, camera.matrixWorldInverse);
+    viewFrustum.setFromProjectionMatrix(viewProjection);
+    return builder.queryWalls(getViewBounds(), state.activeLevel)
+        .map(data => findWallById(data.id))
+        .filter(wall => wall.visible && viewFrustum.intersectsObject(wall));
+}
+
+// Lengths of the straight runs of walls on the active level, plus the live
+// length and angle (or typed input) of the segment being drawn
+function updateDimensionLabels() {
+    let count = 0;
     
-    state.isDrawing = false;
-    controls.enabled = true;
+    if (state.showDimensions) {
+        getWallsInView().forEach(wall => {
+            const { height, base } = getWallProps(wall.userData);
+            const y = getActiveElevation() + base + height;
+            const points = wall.userData.points;
+            getStraightRuns(points, CONFIG.RUN_TOLERANCE).forEach(({ start, end }) => {
+                const length = getPathLength(points.slice(start, end + 1));
+                if (length < CONFIG.DIMENSION_MIN_LENGTH) return;
+                const middle = points[start].clone().add(points[end]).multiplyScalar(0.5).setY(y);
+                count = placeDimensionLabel(count, middle, formatLength(length, state.units), 'wall');
+            });
+        });
+    }
     
-    if (ghostWall) {
-        scene.remove(ghostWall);
-        ghostWall = null;
+    if (state.isDrawing && state.drawPoints.length > 0) {
+        const points = state.drawPoints;
+        const start = points[getDrawSegmentStart()];
+        const end = points[points.length - 1];
+        let text = state.typedInput ?
+            `${state.typedInput}_` :
+            `${formatLength(start.distanceTo(end), state.units)}  ${formatAngle(getPlanAngle(start, end))}`;
+        if (!state.typedInput && state.drawTool === 'rectangle') {
+            const width = formatLength(Math.abs(end.x - start.x), state.units);
+            text = `${width} × ${formatLength(Math.abs(end.z - start.z), state.units)}`;
+        }
+        if (state.typedInput || start.distanceTo(end) > 1e-3) {
+            const position = end.clone().setY(getActiveElevation() + state.wallDefaults.height);
+            count = placeDimensionLabel(count, position, text, 'live');
+        }
     }
     
-    state.drawPoints = [];
-    pathLine.visible = false;
-    snapIndicator.visible = false;
-    startPointIndicator.visible = false;
+    for (let i = count; i < dimensionLabels.length; i++) {
+        dimensionLabels[i].hidden = true;
+    }
+}
+
+function setShowDimensions(show) {
+    state.showDimensions = show;
+    updateUI();
 }
 
 // ============================================
-// INTERACTION HANDLERS
+// PREFERENCES
 // ============================================
 
-function onMouseDown(event) {
-    if (event.button !== 0) return;
-    if (event.target.closest('#toolbar')) return;
-    
-    if (state.mode === 'wall') {
-        const point = getGroundIntersection(event.clientX, event.clientY);
-        if (point) {
-            const { point: snappedPoint } = snapPoint(point, null, false);
-            startDrawing(snappedPoint);
+// Storage can be unavailable (private windows, file://); defaults apply then
+function loadPreferences() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(CONFIG.PREFERENCES_KEY)) || {};
+        if (UNIT_SYSTEMS.includes(saved.units)) state.units = saved.units;
+        SNAP_TYPES.forEach(({ id }) => {
+            if (saved.snapTypes && typeof saved.snapTypes[id] === 'boolean') state.snapTypes[id] = saved.snapTypes[id];
+        });
+        if (saved.simplify && typeof saved.simplify.enabled === 'boolean') state.simplify.enabled = saved.simplify.enabled;
+        if (saved.simplify && Number.isFinite(saved.simplify.tolerance)) {
+            const { min, max } = CONFIG.SIMPLIFY_LIMITS;
+            state.simplify.tolerance = THREE.MathUtils.clamp(saved.simplify.tolerance, min, max);
         }
-    } else if (state.mode === 'edit') {
-        const wall = getWallIntersection(event.clientX, event.clientY);
-        selectWall(wall);
+    } catch (err) {
+        // Keep the defaults
     }
 }
 
-function onMouseMove(event) {
-    const point = getGroundIntersection(event.clientX, event.clientY);
-    
-    if (state.isDrawing) {
-        updateDrawing(point);
-    } else if (state.mode === 'edit') {
-        const wall = getWallIntersection(event.clientX, event.clientY);
-        
-        if (state.hoveredWall && state.hoveredWall !== state.selectedWall) {
-            state.hoveredWall.material.color.setHex(CONFIG.COLOR_WALL);
-        }
-        
-        state.hoveredWall = wall;
-        
-        if (wall && wall !== state.selectedWall) {
-            wall.material.color.setHex(CONFIG.COLOR_WALL_HOVER);
-        }
+function savePreferences() {
+    try {
+        const preferences = { units: state.units, snapTypes: state.snapTypes, simplify: state.simplify };
+        localStorage.setItem(CONFIG.PREFERENCES_KEY, JSON.stringify(preferences));
+    } catch (err) {
+        // Not persisted this session
     }
 }
 
-function onMouseUp(event) {
-    if (state.isDrawing) {
-        finishDrawing();
-    }
+function setUnits(units) {
+    if (!UNIT_SYSTEMS.includes(units)) return;
+    state.units = units;
+    savePreferences();
+    updateUI();
 }
 
-function onKeyDown(event) {
-    if (event.key === 'Escape') {
-        if (state.isDrawing) {
-            cancelDrawing();
-        }
-        return;
+// ============================================
+// UI UPDATES
+// ============================================
+
+function setMode(mode) {
+    cancelDrawing(); // A polyline can still be open when the mode changes
+    state.mode = mode;
+    if (mode !== 'edit') {
+        clearSelection();
     }
+    openingPreview.visible = false;
+    if (isOpeningMode()) {
+        showMessage(`Click a wall to place a ${mode}`);
+    }
+    updateHandles();
+    updateUI();
+}
+
+function updateUI() {
+    document.getElementById('cam-3d').classList.toggle('active', state.cameraMode === '3d');
+    document.getElementById('cam-2d').classList.toggle('active', state.cameraMode === '2d');
+    document.getElementById('mode-wall').classList.toggle('active', state.mode === 'wall');
+    document.querySelectorAll('[data-draw-tool]').forEach(button => {
+        button.classList.toggle('active', state.mode === 'wall' && state.drawTool === button.dataset.drawTool);
+    });
+    document.getElementById('mode-edit').classList.toggle('active', state.mode === 'edit');
+    document.getElementById('mode-door').classList.toggle('active', state.mode === 'door');
+    document.getElementById('mode-window').classList.toggle('active', state.mode === 'window');
+    document.getElementById('snap-toggle').checked = state.snapping;
+    document.getElementById('wall-shape').value = state.wallShape;
+    document.getElementById('polygon-sides').value = state.polygonSides;
+    document.getElementById('simplify-toggle').checked = state.simplify.enabled;
+    document.querySelectorAll('[data-simplify]').forEach(input => {
+        // Curves are always fitted to the simplified stroke
+        input.disabled = !state.simplify.enabled && state.wallShape === 'straight';
+        if (input !== document.activeElement) input.value = state.simplify.tolerance;
+    });
+    document.querySelectorAll('[data-snap]').forEach(input => {
+        input.checked = state.snapTypes[input.dataset.snap];
+        input.disabled = !state.snapping;
+    });
+    document.getElementById('undo').disabled = !commandHistory.canUndo();
+    document.getElementById('redo').disabled = !commandHistory.canRedo();
     
-    if (event.key === 'Delete' || event.key === 'Backspace') {
-        if (state.selectedWall) {
-            deleteWall(state.selectedWall);
-        }
+    const wall = state.mode === 'edit' ? state.selectedWall : null;
+    document.getElementById('remove-point').disabled = !wall || state.selectedVertex === null;
+    document.getElementById('split-wall').disabled = !canSplitAt(wall, state.selectedVertex);
+    document.getElementById('join-walls').disabled = !wall || !findJoinCandidate(wall);
+    
+    const floor = state.mode === 'edit' ? getSelectedFloor() : null;
+    const voidButton = document.getElementById('toggle-void');
+    voidButton.disabled = !floor || !floor.userData.nested;
+    voidButton.textContent = floor && floor.userData.isVoid ? 'Make Room' : 'Make Void';
+    
+    document.getElementById('show-roofs').checked = state.showRoofs;
+    document.getElementById('show-upper-levels').checked = state.showUpperLevels;
+    document.getElementById('auto-visibility').checked = state.autoVisibility;
+    document.getElementById('batch-walls').checked = state.batchWalls;
+    document.getElementById('show-stats').checked = state.showStats;
+    statsPanel.hidden = !state.showStats;
+    document.getElementById('units').value = state.units;
+    document.getElementById('show-dimensions').checked = state.showDimensions;
+    
+    document.getElementById('section-toggle').checked = state.section.enabled;
+    document.querySelectorAll('[data-section]').forEach(input => {
+        input.disabled = !state.section.enabled;
+        if (input !== document.activeElement) input.value = state.section.height;
+    });
+    // Both are built over the selected loop
+    const loop = getSelectedLoop();
+    document.getElementById('add-roof').disabled = !loop;
+    document.getElementById('add-upper-floor').disabled = !loop;
+    
+    const selected = hasSelection();
+    document.querySelectorAll('[data-selection]').forEach(button => {
+        button.disabled = !selected;
+    });
+    
+    updateLevelUI();
+    updatePropertyPanel();
+    updateRoofPanel();
+    updateRoomPanel();
+    updateRoomList();
+}
+
+function updateLevelUI() {
+    const select = document.getElementById('active-level');
+    const levels = builder.getLevels();
+    select.replaceChildren(...[...levels].reverse().map(level => {
+        const option = document.createElement('option');
+        option.value = String(levels.indexOf(level));
+        option.textContent = `${level.name} (${level.elevation.toFixed(2)} m)`;
+        option.selected = level.id === state.activeLevel;
+        return option;
+    }));
+    
+    const elevationInput = document.getElementById('level-elevation');
+    if (elevationInput !== document.activeElement) {
+        elevationInput.value = getActiveElevation();
     }
+    
+    document.getElementById('remove-level').disabled =
+        levels.length < 2 || !isLevelEmpty(state.activeLevel);
+}
+
+function updateDebugPanel() {
+    document.getElementById('wall-count').textContent = `Walls: ${state.walls.length}`;
+    updateRoomList();
 }
 
 // ============================================
-// CAMERA MODES
+// ACTIONS
 // ============================================
 
-function setCameraMode(mode) {
-    if (state.cameraMode === mode) return;
-    
-    state.cameraMode = mode;
+function clearAll() {
+    if (state.walls.length === 0 && state.slabs.length === 0 && state.roofs.length === 0 &&
+        builder.getLevels().length === 1) return;
     
-    cameraTransition.active = true;
-    cameraTransition.startPos.copy(camera.position);
-    cameraTransition.startZoom = camera.zoom;
-    cameraTransition.progress = 0;
+    // One command for the whole scene so a single undo restores everything
+    commandHistory.execute(replaceSceneCommand('Clear All', {
+        levels: [{ ...DEFAULT_LEVEL }],
+        walls: [],
+        slabs: [],
+        roofs: [],
+        voids: [],
+        rooms: []
+    }));
+}
+
+// ============================================
+// SCENE EXPORT / IMPORT
+// ============================================
+
+function showMessage(text, isError = false) {
+    const hint = document.getElementById('hint-text');
+    hint.textContent = text;
+    hint.classList.toggle('error', isError);
     
-    if (mode === '2d') {
-        cameraTransition.targetPos.copy(CONFIG.CAM_2D_POS);
-        cameraTransition.targetZoom = 1.5;
-        controls.enableRotate = false;
+    // Restart the fade animation
+    hint.style.animation = 'none';
+    void hint.offsetHeight;
+    hint.style.animation = '';
+}
+
+function reportSceneError(err) {
+    if (err instanceof SceneFormatError) {
+        showMessage(`Could not load scene: ${err.message}`, true);
     } else {
-        cameraTransition.targetPos.copy(CONFIG.CAM_3D_POS);
-        cameraTransition.targetZoom = 1;
-        controls.enableRotate = true;
+        console.error(err);
+        showMessage('Could not load scene: unexpected error (see console).', true);
     }
+}
+
+function loadScene(sceneData) {
+    if (state.isDrawing) cancelDrawing();
+    selectWall(null);
     
-    updateUI();
+    commandHistory.execute(replaceSceneCommand('Load Scene', sceneData));
+    showMessage(`Loaded ${sceneData.walls.length} walls`);
 }
 
-function updateCameraTransition(deltaTime) {
-    if (!cameraTransition.active) return;
+function getSceneData() {
+    return {
+        levels: builder.getLevels().map(level => ({ ...level })),
+        walls: state.walls.map(getWallData),
+        slabs: state.slabs.map(getSlabData),
+        roofs: state.roofs.map(getRoofData),
+        voids: builder.getVoids(),
+        rooms: getActiveRooms().map(getRoomData)
+    };
+}
+
+function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
     
-    cameraTransition.progress += deltaTime / cameraTransition.duration;
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
     
-    if (cameraTransition.progress >= 1) {
-        cameraTransition.progress = 1;
-        cameraTransition.active = false;
-        
-        if (state.cameraMode === '2d') {
-            controls.minPolarAngle = 0;
-            controls.maxPolarAngle = 0.001;
-        } else {
-            controls.minPolarAngle = 0;
-            controls.maxPolarAngle = Math.PI / 2 - 0.05;
-        }
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+function exportScene() {
+    const json = stringifyScene(getSceneData());
+    downloadBlob(new Blob([json], { type: 'application/json' }), 'freeform-scene.json');
+}
+
+async function importSceneFile(file) {
+    try {
+        loadScene(parseScene(await file.text()));
+    } catch (err) {
+        reportSceneError(err);
     }
+}
+
+async function copyShareString() {
+    const text = await encodeShareString(getSceneData());
     
-    const t = cameraTransition.progress;
-    const ease = t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2;
-    
-    camera.position.lerpVectors(
-        cameraTransition.startPos,
-        cameraTransition.targetPos,
-        ease
-    );
-    
-    camera.zoom = cameraTransition.startZoom + 
-        (cameraTransition.targetZoom - cameraTransition.startZoom) * ease;
-    camera.updateProjectionMatrix();
+    try {
+        await navigator.clipboard.writeText(text);
+        showMessage('Share string copied to clipboard');
+    } catch (err) {
+        // Clipboard access can be denied; let the user copy it by hand
+        window.prompt('Copy this share string:', text);
+    }
+}
+
+async function pasteShareString() {
+    const text = window.prompt('Paste a share string:');
+    if (!text) return;
     
-    camera.lookAt(0, 0, 0);
+    try {
+        loadScene(await decodeShareString(text));
+    } catch (err) {
+        reportSceneError(err);
+    }
 }
 
 // ============================================
-// UI UPDATES
+// MODEL EXPORT (GLB / OBJ / STL)
 // ============================================
 
-function updateUI() {
-    document.getElementById('cam-3d').classList.toggle('active', state.cameraMode === '3d');
-    document.getElementById('cam-2d').classList.toggle('active', state.cameraMode === '2d');
-    document.getElementById('mode-wall').classList.toggle('active', state.mode === 'wall');
-    document.getElementById('mode-edit').classList.toggle('active', state.mode === 'edit');
-    document.getElementById('snap-toggle').checked = state.snapping;
+// One part per wall, floor, slab and roof, carrying its scene file record
+// (floors, which scene files don't store, get their outline). `solid` swaps
+// the floor sheets, open roof shells and touching wall pieces for closed
+// solids; those geometries are made for the export and marked `temporary`.
+function getModelParts(solid) {
+    const doc = serializeScene(getSceneData());
+    const parts = [];
+    const junctions = solid && buildWallJunctions();
+    const addPart = (mesh, name, color, metadata, geometry = mesh.geometry) => {
+        mesh.updateWorldMatrix(true, false);
+        parts.push({
+            name,
+            geometry,
+            matrix: mesh.matrixWorld.clone(),
+            color,
+            metadata,
+            temporary: geometry !== mesh.geometry
+        });
+    };
+    
+    state.walls.forEach((wall, i) => {
+        const record = doc.walls[i];
+        const geometry = solid ? createWallGeometry(wall, junctions, true) : wall.geometry;
+        if (geometry) addPart(wall, `wall-${record.id}`, getWallProps(wall.userData).color, { type: 'wall', ...record }, geometry);
+    });
+    
+    state.floors.filter(floor => !floor.userData.isVoid).forEach((floor, i) => {
+        const { level, key, points, holes } = floor.userData;
+        const room = findRoomById(floor.userData.room);
+        const metadata = { type: 'floor', level, key, points: serializePoints(points) };
+        if (holes.length > 0) metadata.holes = holes.map(serializePoints);
+        if (room) Object.assign(metadata, { room: room.id, name: room.name });
+        
+        if (!solid) {
+            addPart(floor, `floor-${i + 1}`, getFloorColor(floor), metadata);
+            return;
+        }
+        
+        // Placed like a slab, its top where the floor sheet is
+        const placement = new THREE.Object3D();
+        placement.rotation.x = -Math.PI / 2;
+        placement.position.y = getLevelElevation(level) - CONFIG.FLOOR_THICKNESS / 2;
+        addPart(placement, `floor-${i + 1}`, getFloorColor(floor), metadata, createSlabGeometry(points, holes));
+    });
+    
+    state.slabs.forEach((slab, i) => {
+        const record = doc.slabs[i];
+        addPart(slab, `slab-${record.id}`, CONFIG.COLOR_FLOOR, { type: 'slab', ...record });
+    });
+    
+    const outlines = new Map();
+    state.roofs.forEach((roof, i) => {
+        const outline = roof.userData.outline;
+        if (!outline) return;
+        
+        const record = doc.roofs[i];
+        const metadata = { type: 'roof', ...record, outline: serializePoints(outline) };
+        const footprint = solid && getRoofFootprint(roof.userData, outlines);
+        const geometry = solid ? footprint && createRoofGeometryOver(footprint, roof.userData, true) : roof.geometry;
+        if (geometry) addPart(roof, `roof-${record.id}`, CONFIG.COLOR_ROOF, metadata, geometry);
+    });
+    
+    return parts;
 }
 
-function updateDebugPanel() {
-    document.getElementById('wall-count').textContent = `Walls: ${state.walls.length}`;
-    document.getElementById('floor-count').textContent = `Floors: ${state.floors.length}`;
+async function exportModelFile(format) {
+    const { label, extension } = MODEL_FORMATS[format];
+    const parts = getModelParts(format === 'stl');
+    if (parts.length === 0) {
+        showMessage('Nothing to export yet');
+        return;
+    }
+    
+    try {
+        downloadBlob(await exportModel(parts, format), `freeform-model.${extension}`);
+        showMessage(`Exported ${parts.length} objects to ${label}`);
+    } catch (err) {
+        console.error(err);
+        showMessage(`Could not export ${label}: unexpected error (see console).`, true);
+    } finally {
+        parts.filter(part => part.temporary).forEach(part => part.geometry.dispose());
+    }
 }
 
 // ============================================
-// ACTIONS
+// PLAN EXPORT (SVG / DXF)
 // ============================================
 
-function clearAll() {
-    state.walls.forEach(wall => {
-        scene.remove(wall);
-        wall.geometry.dispose();
+// Floor plan of the active level from the same noded wall paths the floors
+// come from: walls cut at the section height (so doors and windows leave
+// gaps), dimension strings along the outside of each building, and a label
+// with the name and area (to wall centre lines, less any holes) for every room
+function getPlanData() {
+    const level = state.activeLevel;
+    const junctions = buildWallJunctions();
+    const plan = { title: getLevel(level).name, walls: [], windows: [], dimensions: [], rooms: [] };
+    
+    getLevelWalls(level).forEach(wall => {
+        const { points } = wall.userData;
+        const { height, thickness, base } = getWallProps(wall.userData);
+        plan.walls.push(...createWallPlanOutlines(points, height, thickness, {
+            junctions: junctions.get(level),
+            wallId: wall.userData.id,
+            base,
+            openings: getWallOpenings(wall.userData),
+            cutHeight: state.section.height
+        }));
+        
+        // Glass line across each window the cut passes through
+        const cut = THREE.MathUtils.clamp(state.section.height - base, 0, height);
+        getFittedOpenings(wall, junctions).forEach(({ type, offset, width, sill, head }) => {
+            if (type !== 'window' || cut < sill || cut > head) return;
+            const { x, z, dir } = pointAlongPath(points, offset);
+            const half = width / 2;
+            plan.windows.push([{ x: x - dir.x * half, z: z - dir.z * half }, { x: x + dir.x * half, z: z + dir.z * half }]);
+        });
     });
-    state.walls = [];
-    state.selectedWall = null;
-    selectionBox.visible = false;
     
-    clearFloors();
-    updateDebugPanel();
+    // Outlines of islands inside another building's rooms aren't exterior walls
+    const boundaries = builder.getBuildingOutlines(level);
+    const outside = boundaries.filter(boundary => !boundaries.some(other => (
+        other !== boundary && pointInPolygon(boundary[0], other)
+    )));
+    outside.forEach(points => {
+        // Start on the sharpest corner, so no straight side is split at the seam
+        const turn = i => {
+            const a = points[(i - 1 + points.length) % points.length];
+            const b = points[i];
+            const c = points[(i + 1) % points.length];
+            const angle = Math.atan2(c.z - b.z, c.x - b.x) - Math.atan2(b.z - a.z, b.x - a.x);
+            return Math.abs(Math.atan2(Math.sin(angle), Math.cos(angle)));
+        };
+        const start = points.reduce((best, p, i) => (turn(i) > turn(best) ? i : best), 0);
+        const ring = [...points.slice(start), ...points.slice(0, start), points[start]];
+        
+        getStraightRuns(ring, CONFIG.RUN_TOLERANCE).forEach(({ start: from, end: to }) => {
+            const length = ring[from].distanceTo(ring[to]);
+            if (length < CONFIG.DIMENSION_MIN_LENGTH) return;
+            plan.dimensions.push({ from: ring[from], to: ring[to], text: formatLength(length, state.units) });
+        });
+    });
+    
+    // Ground floor rooms have names; rooms drawn on upper levels are numbered
+    const names = new Map(state.floors.filter(floor => floor.userData.level === level).map(floor => {
+        const room = findRoomById(floor.userData.room);
+        return [floor.userData.key, room && room.name];
+    }));
+    builder.getFloorRegions(level)
+        .filter(region => !(region.nested && builder.isVoid(region.key)))
+        .forEach(({ key, points, holes }, i) => {
+            plan.rooms.push({
+                point: getInteriorPoint(points, holes),
+                lines: [names.get(key) || `Room ${i + 1}`, formatArea(getRoomArea(points, holes), state.units)]
+            });
+        });
+    
+    return plan;
+}
+
+function exportPlanFile(format) {
+    const { label, extension } = PLAN_FORMATS[format];
+    const plan = getPlanData();
+    if (plan.walls.length === 0) {
+        showMessage('No walls on this level to draw');
+        return;
+    }
+    
+    downloadBlob(exportPlan(plan, format), `freeform-plan.${extension}`);
+    showMessage(`Exported the ${plan.title} plan to ${label}`);
 }
 
 // ============================================
 // EVENT LISTENERS
 // ============================================
 
+builder.on('wall-added', addWallMesh);
+builder.on('wall-removed', removeWallMesh);
+builder.on('wall-changed', updateWallMesh);
+// Walls of a removed level fall to the ground, and elevations move walls up or down
+builder.on('levels-changed', () => state.walls.forEach(wall => state.staleWalls.add(wall)));
+builder.on('change', scheduleRefresh);
+
 window.addEventListener('mousedown', onMouseDown);
 window.addEventListener('mousemove', onMouseMove);
 window.addEventListener('mouseup', onMouseUp);
+window.addEventListener('dblclick', onDoubleClick);
 window.addEventListener('keydown', onKeyDown);
+// Capture phase, so Shift + scroll reaches us before the orbit controls zoom
+window.addEventListener('wheel', onSectionWheel, { capture: true, passive: false });
 
 window.addEventListener('resize', () => {
-    camera.aspect = window.innerWidth / window.innerHeight;
-    camera.updateProjectionMatrix();
+    perspectiveCamera.aspect = window.innerWidth / window.innerHeight;
+    perspectiveCamera.updateProjectionMatrix();
+    if (camera.isOrthographicCamera) {
+        applyCameraView(getCameraView());
+    }
     renderer.setSize(window.innerWidth, window.innerHeight);
 });
 
 // UI
-document.getElementById('mode-wall').addEventListener('click', () => {
-    state.mode = 'wall';
-    if (state.selectedWall) {
-        state.selectedWall.material.color.setHex(CONFIG.COLOR_WALL);
-        state.selectedWall = null;
-        selectionBox.visible = false;
+document.getElementById('mode-wall').addEventListener('click', () => setMode('wall'));
+document.getElementById('mode-edit').addEventListener('click', () => setMode('edit'));
+document.getElementById('mode-door').addEventListener('click', () => setMode('door'));
+document.getElementById('mode-window').addEventListener('click', () => setMode('window'));
+document.querySelectorAll('[data-draw-tool]').forEach(button => {
+    button.addEventListener('click', () => setDrawTool(button.dataset.drawTool));
+});
+
+document.getElementById('remove-point').addEventListener('click', () => {
+    if (state.selectedWall && state.selectedVertex !== null) {
+        removeVertex(state.selectedWall, state.selectedVertex);
     }
-    updateUI();
 });
+document.getElementById('split-wall').addEventListener('click', () => {
+    splitWallAt(state.selectedWall, state.selectedVertex);
+});
+document.getElementById('join-walls').addEventListener('click', () => {
+    joinWalls(state.selectedWall);
+});
+document.getElementById('toggle-void').addEventListener('click', toggleSelectedFloorVoid);
 
-document.getElementById('mode-edit').addEventListener('click', () => {
-    state.mode = 'edit';
-    updateUI();
+document.getElementById('rotate-selection').addEventListener('click', rotateSelection);
+document.getElementById('mirror-x').addEventListener('click', () => mirrorSelection('x'));
+document.getElementById('mirror-z').addEventListener('click', () => mirrorSelection('z'));
+document.getElementById('duplicate-selection').addEventListener('click', duplicateSelection);
+document.getElementById('delete-selection').addEventListener('click', deleteSelection);
+document.getElementById('copy-selection').addEventListener('click', copySelection);
+document.getElementById('paste-selection').addEventListener('click', pasteSelection);
+
+document.getElementById('active-level').addEventListener('change', (e) => {
+    setActiveLevel(builder.getLevels()[Number(e.target.value)].id);
+});
+document.getElementById('level-elevation').addEventListener('change', (e) => {
+    setActiveLevelElevation(parseFloat(e.target.value));
+});
+document.getElementById('add-level').addEventListener('click', addLevel);
+document.getElementById('remove-level').addEventListener('click', removeActiveLevel);
+document.getElementById('add-upper-floor').addEventListener('click', addUpperFloor);
+
+document.getElementById('add-roof').addEventListener('click', addRoof);
+document.getElementById('show-roofs').addEventListener('change', (e) => {
+    setShowRoofs(e.target.checked);
+});
+document.getElementById('show-upper-levels').addEventListener('change', (e) => {
+    setShowUpperLevels(e.target.checked);
+});
+document.getElementById('auto-visibility').addEventListener('change', (e) => {
+    setAutoVisibility(e.target.checked);
+});
+document.getElementById('batch-walls').addEventListener('change', (e) => {
+    setBatchWalls(e.target.checked);
+});
+document.getElementById('show-stats').addEventListener('change', (e) => {
+    setShowStats(e.target.checked);
+});
+document.getElementById('units').addEventListener('change', (e) => {
+    setUnits(e.target.value);
+});
+document.getElementById('show-dimensions').addEventListener('change', (e) => {
+    setShowDimensions(e.target.checked);
+});
+
+const propertyPanel = document.getElementById('property-panel');
+propertyPanel.querySelectorAll('[data-prop]').forEach(input => {
+    const key = input.dataset.prop;
+    input.addEventListener('input', () => {
+        const value = parseWallProperty(key, input.value);
+        if (!state.selectedWall || value === null) return;
+        setWallProperty(state.selectedWall, key, value);
+        setPropertyInputs(propertyPanel, 'data-prop', key, value);
+    });
+    input.addEventListener('change', () => {
+        commitPropertyEdit();
+        if (state.selectedWall) {
+            input.value = getWallProps(state.selectedWall.userData)[key];
+        }
+    });
+});
+
+const roofPanel = document.getElementById('roof-panel');
+roofPanel.querySelectorAll('[data-roof]').forEach(input => {
+    const key = input.dataset.roof;
+    input.addEventListener('input', () => {
+        const value = parseRoofProperty(key, input.value);
+        if (!state.selectedRoof || value === null) return;
+        setRoofProperty(state.selectedRoof, key, value);
+        setPropertyInputs(roofPanel, 'data-roof', key, value);
+    });
+    input.addEventListener('change', () => {
+        commitRoofEdit();
+        if (state.selectedRoof) {
+            input.value = state.selectedRoof.userData[key];
+        }
+    });
+});
+
+const roomPanel = document.getElementById('room-panel');
+roomPanel.querySelectorAll('[data-room]').forEach(input => {
+    const key = input.dataset.room;
+    input.addEventListener('input', () => {
+        const room = getSelectedRoom();
+        const value = parseRoomProperty(key, input.value);
+        if (!room || value === null) return;
+        setRoomProperty(room, key, value);
+    });
+    input.addEventListener('change', () => {
+        commitRoomEdit();
+        const room = getSelectedRoom();
+        if (room) input.value = room[key];
+    });
+});
+
+document.getElementById('room-list').addEventListener('click', (e) => {
+    const item = e.target.closest('[data-room-id]');
+    const room = item && getActiveRooms().find(r => String(r.id) === item.dataset.roomId);
+    if (room) selectRoom(room);
+});
+
+document.getElementById('wall-shape').addEventListener('change', (e) => {
+    setWallShape(e.target.value);
+});
+document.getElementById('polygon-sides').addEventListener('change', (e) => {
+    const sides = parseFloat(e.target.value);
+    if (Number.isFinite(sides)) setPolygonSides(sides);
+    e.target.value = state.polygonSides;
+});
+document.getElementById('simplify-toggle').addEventListener('change', (e) => {
+    setSimplifyEnabled(e.target.checked);
+});
+document.querySelectorAll('[data-simplify]').forEach(input => {
+    input.addEventListener('input', () => {
+        const tolerance = parseFloat(input.value);
+        if (Number.isFinite(tolerance)) setSimplifyTolerance(tolerance);
+    });
+});
+
+document.querySelectorAll('#wall-defaults [data-default]').forEach(input => {
+    input.addEventListener('change', () => {
+        const key = input.dataset.default;
+        const value = parseWallProperty(key, input.value);
+        if (value !== null) state.wallDefaults[key] = value;
+        input.value = state.wallDefaults[key];
+    });
 });
 
 document.getElementById('cam-3d').addEventListener('click', () => setCameraMode('3d'));
 document.getElementById('cam-2d').addEventListener('click', () => setCameraMode('2d'));
+document.getElementById('frame-all').addEventListener('click', frameAll);
+document.getElementById('frame-selection').addEventListener('click', frameSelection);
+
+document.getElementById('section-toggle').addEventListener('change', (e) => {
+    setSectionEnabled(e.target.checked);
+});
+document.querySelectorAll('[data-section]').forEach(input => {
+    input.addEventListener('input', () => {
+        const height = parseFloat(input.value);
+        if (Number.isFinite(height)) setSectionHeight(height);
+    });
+});
 
 document.getElementById('snap-toggle').addEventListener('change', (e) => {
     state.snapping = e.target.checked;
+    updateUI();
+});
+
+document.getElementById('export-scene').addEventListener('click', exportScene);
+document.getElementById('import-scene').addEventListener('click', () => {
+    document.getElementById('import-file').click();
 });
+document.getElementById('import-file').addEventListener('change', (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (file) importSceneFile(file);
+});
+document.getElementById('copy-share').addEventListener('click', copyShareString);
+document.querySelectorAll('[data-model-format]').forEach(button => {
+    button.addEventListener('click', () => exportModelFile(button.dataset.modelFormat));
+});
+document.querySelectorAll('[data-plan-format]').forEach(button => {
+    button.addEventListener('click', () => exportPlanFile(button.dataset.planFormat));
+});
+document.getElementById('paste-share').addEventListener('click', pasteShareString);
 
+document.getElementById('undo').addEventListener('click', undo);
+document.getElementById('redo').addEventListener('click', redo);
 document.getElementById('clear-all').addEventListener('click', clearAll);
 
 // ============================================
@@ -933,18 +5839,29 @@ function animate(currentTime) {
     
     updateCameraTransition(deltaTime);
     controls.update();
+    updateVisibility(deltaTime);
+    measure('batches', updateWallBatches);
     
     if (state.selectedWall) {
         selectionBox.update();
     }
     
-    renderer.render(scene, camera);
+    measure('render', () => renderer.render(scene, camera));
+    updateStats(deltaTime);
+    if (state.section.enabled) {
+        renderSectionCaps();
+    }
+    updateDimensionLabels();
 }
 
 // ============================================
 // INITIALIZATION
 // ============================================
 
+loadPreferences();
+setupPropertyInputs();
+setupSnapToggles();
+updateWallDefaultInputs();
 updateUI();
 updateDebugPanel();
 animate();
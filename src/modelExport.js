@@ -0,0 +1,97 @@
+/**
+ * Freeform Builder - Model Export
+ *
+ * Writes the built model out as binary glTF (.glb), Wavefront OBJ or STL,
+ * entirely in the browser.
+ *
+ * The caller describes the model as parts: one mesh each, with a unique
+ * name, its geometry, a world matrix, a color and plain-data metadata (the
+ * wall, floor, slab or roof record it was built from). glTF keeps the
+ * metadata as node `extras`; OBJ has no metadata of its own, so it goes in a
+ * `#` comment line after each object's `o` line. STL keeps geometry only and
+ * expects closed solids, so the caller should hand it watertight parts.
+ *
+ * Units are metres with +Y up, as in the scene.
+ */
+
+import * as THREE from 'three';
+import { GLTFExporter } from 'three/addons/exporters/GLTFExporter.js';
+import { OBJExporter } from 'three/addons/exporters/OBJExporter.js';
+import { STLExporter } from 'three/addons/exporters/STLExporter.js';
+
+export const MODEL_FORMATS = {
+    glb: { label: 'glTF', extension: 'glb', mimeType: 'model/gltf-binary' },
+    obj: { label: 'OBJ', extension: 'obj', mimeType: 'model/obj' },
+    stl: { label: 'STL', extension: 'stl', mimeType: 'model/stl' }
+};
+
+/**
+ * @typedef {Object} ModelPart
+ * @property {string} name - Unique object name
+ * @property {THREE.BufferGeometry} geometry
+ * @property {THREE.Matrix4} matrix - Placement in the world
+ * @property {THREE.ColorRepresentation} color
+ * @property {Object} metadata - JSON-safe data about the part
+ */
+
+// One scene of plain meshes, sharing a material per color
+function buildExportScene(parts) {
+    const exportScene = new THREE.Scene();
+    const materials = new Map();
+
+    parts.forEach(({ name, geometry, matrix, color, metadata }) => {
+        const hex = new THREE.Color(color).getHex();
+        if (!materials.has(hex)) {
+            materials.set(hex, new THREE.MeshStandardMaterial({
+                name: `#${hex.toString(16).padStart(6, '0')}`,
+                color: hex,
+                roughness: 0.8,
+                metalness: 0.1
+            }));
+        }
+
+        const mesh = new THREE.Mesh(geometry, materials.get(hex));
+        mesh.name = name;
+        mesh.userData = metadata;
+        matrix.decompose(mesh.position, mesh.quaternion, mesh.scale);
+        exportScene.add(mesh);
+    });
+
+    exportScene.updateMatrixWorld(true);
+    return { exportScene, materials: [...materials.values()] };
+}
+
+function toOBJ(exportScene) {
+    const text = new OBJExporter().parse(exportScene);
+    const metadata = new Map(exportScene.children.map(mesh => [mesh.name, mesh.userData]));
+
+    return text.replace(/^o (.*)$/gm, (line, name) => (
+        metadata.has(name) ? `${line}\n# ${JSON.stringify(metadata.get(name))}` : line
+    ));
+}
+
+/**
+ * Export parts to a model file.
+ *
+ * @param {ModelPart[]} parts
+ * @param {string} format - A MODEL_FORMATS key
+ * @returns {Promise<Blob>}
+ */
+export async function exportModel(parts, format) {
+    const { mimeType } = MODEL_FORMATS[format];
+    const { exportScene, materials } = buildExportScene(parts);
+
+    try {
+        if (format === 'glb') {
+            const buffer = await new GLTFExporter().parseAsync(exportScene, { binary: true });
+            return new Blob([buffer], { type: mimeType });
+        }
+        if (format === 'obj') {
+            return new Blob([toOBJ(exportScene)], { type: mimeType });
+        }
+        const data = new STLExporter().parse(exportScene, { binary: true });
+        return new Blob([data], { type: mimeType });
+    } finally {
+        materials.forEach(material => material.dispose());
+    }
+}
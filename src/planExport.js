@@ -0,0 +1,256 @@
+/**
+ * Freeform Builder - Plan Export
+ *
+ * Writes a top-down floor plan as SVG or DXF. The caller describes the plan
+ * in ground-plane coordinates (metres, level-local x and z):
+ *
+ * - walls: cut outlines of the wall pieces (see createWallPlanOutlines), drawn
+ *   as filled polygons in SVG and closed polylines in DXF
+ * - windows: glass lines across the gaps windows leave in the walls
+ * - dimensions: straight sides of the exterior outlines, each running
+ *   counter-clockwise round its building so the outside is on its right;
+ *   they get a dimension line offset outwards with extension lines and ticks
+ * - rooms: a label point and its text lines (name, area)
+ *
+ * SVG keeps the plan's orientation (-z up the page) at 1:100 when printed;
+ * DXF flips z into +y so the drawing reads the same way; its drawing units
+ * are metres (R12 has no way to say so).
+ */
+
+export const PLAN_FORMATS = {
+    svg: { label: 'SVG', extension: 'svg', mimeType: 'image/svg+xml' },
+    dxf: { label: 'DXF', extension: 'dxf', mimeType: 'application/dxf' }
+};
+
+const DIMENSION_OFFSET = 1; // Dimension line distance outside the wall centre line
+const EXTENSION_GAP = 0.3; // Extension lines start clear of the wall
+const EXTENSION_OVERRUN = 0.15;
+const TICK_SIZE = 0.15;
+const DIMENSION_TEXT_HEIGHT = 0.25;
+const ROOM_TEXT_HEIGHT = 0.3;
+const MARGIN = 1;
+const SVG_MM_PER_METRE = 10; // 1:100
+
+/**
+ * @typedef {Object} Plan
+ * @property {string} [title]
+ * @property {Array<{ contour: Array<{x: number, z: number}>,
+ *     holes: Array<Array<{x: number, z: number}>> }>} walls
+ * @property {Array<Array<{x: number, z: number}>>} windows - [from, to] lines
+ * @property {Array<{ from: {x: number, z: number}, to: {x: number, z: number},
+ *     text: string }>} dimensions
+ * @property {Array<{ point: {x: number, z: number}, lines: string[] }>} rooms
+ */
+
+// ============================================
+// LAYOUT
+// ============================================
+
+// Lines and texts of a dimension string outside the side from → to
+function layoutDimension({ from, to, text }, lines, texts) {
+    const length = Math.hypot(to.x - from.x, to.z - from.z);
+    if (length < 1e-6) return;
+
+    const d = { x: (to.x - from.x) / length, z: (to.z - from.z) / length };
+    const n = { x: d.z, z: -d.x }; // Outwards
+    const out = (p, distance) => ({ x: p.x + n.x * distance, z: p.z + n.z * distance });
+
+    const a = out(from, DIMENSION_OFFSET);
+    const b = out(to, DIMENSION_OFFSET);
+    lines.push({ layer: 'DIMENSIONS', from: a, to: b });
+    [from, to].forEach(p => {
+        lines.push({ layer: 'DIMENSIONS', from: out(p, EXTENSION_GAP), to: out(p, DIMENSION_OFFSET + EXTENSION_OVERRUN) });
+    });
+
+    // Architectural ticks: short strokes at 45° across each end
+    const half = TICK_SIZE / 2 / Math.SQRT2;
+    [a, b].forEach(p => {
+        lines.push({
+            layer: 'DIMENSIONS',
+            from: { x: p.x - (d.x + n.x) * half, z: p.z - (d.z + n.z) * half },
+            to: { x: p.x + (d.x + n.x) * half, z: p.z + (d.z + n.z) * half }
+        });
+    });
+
+    // Along the line, outside it, read from below or from the right
+    let angle = Math.atan2(d.z, d.x);
+    if (angle >= Math.PI / 2 - 1e-6) angle -= Math.PI;
+    if (angle < -Math.PI / 2 - 1e-6) angle += Math.PI;
+    texts.push({
+        layer: 'DIMENSIONS',
+        point: out({ x: (from.x + to.x) / 2, z: (from.z + to.z) / 2 }, DIMENSION_OFFSET + DIMENSION_TEXT_HEIGHT * 0.8),
+        text,
+        angle,
+        height: DIMENSION_TEXT_HEIGHT
+    });
+}
+
+// Everything as polygons, lines and texts, plus the drawing's bounds
+function layoutPlan(plan) {
+    const lines = plan.windows.map(([from, to]) => ({ layer: 'OPENINGS', from, to }));
+    const texts = [];
+
+    plan.dimensions.forEach(dimension => layoutDimension(dimension, lines, texts));
+
+    plan.rooms.forEach(({ point, lines: labelLines }) => {
+        const spacing = ROOM_TEXT_HEIGHT * 1.4;
+        labelLines.forEach((text, i) => {
+            texts.push({
+                layer: 'ROOMS',
+                point: { x: point.x, z: point.z + (i - (labelLines.length - 1) / 2) * spacing },
+                text,
+                angle: 0,
+                height: ROOM_TEXT_HEIGHT
+            });
+        });
+    });
+
+    const points = [
+        ...plan.walls.flatMap(({ contour }) => contour),
+        ...lines.flatMap(({ from, to }) => [from, to]),
+        ...texts.map(({ point }) => point)
+    ];
+    const bounds = points.length === 0 ? { minX: 0, minZ: 0, maxX: 0, maxZ: 0 } : {
+        minX: Math.min(...points.map(p => p.x)) - MARGIN,
+        minZ: Math.min(...points.map(p => p.z)) - MARGIN,
+        maxX: Math.max(...points.map(p => p.x)) + MARGIN,
+        maxZ: Math.max(...points.map(p => p.z)) + MARGIN
+    };
+
+    return { walls: plan.walls, lines, texts, bounds };
+}
+
+function round(value) {
+    return Number(value.toFixed(4));
+}
+
+// ============================================
+// SVG
+// ============================================
+
+function escapeXML(text) {
+    return String(text).replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[c]);
+}
+
+function svgRing(ring) {
+    return `M${ring.map(p => `${round(p.x)} ${round(p.z)}`).join(' L')} Z`;
+}
+
+function svgLines(lines, layer) {
+    return lines.filter(line => line.layer === layer).map(({ from, to }) => (
+        `    <line x1="${round(from.x)}" y1="${round(from.z)}" x2="${round(to.x)}" y2="${round(to.z)}"/>`
+    ));
+}
+
+function svgTexts(texts, layer) {
+    return texts.filter(text => text.layer === layer).map(({ point, text, angle }) => {
+        const x = round(point.x);
+        const y = round(point.z);
+        const rotate = angle ? ` transform="rotate(${round(angle * 180 / Math.PI)} ${x} ${y})"` : '';
+        return `    <text x="${x}" y="${y}"${rotate}>${escapeXML(text)}</text>`;
+    });
+}
+
+function toSVG(plan) {
+    const { walls, lines, texts, bounds } = layoutPlan(plan);
+    const width = round(bounds.maxX - bounds.minX);
+    const height = round(bounds.maxZ - bounds.minZ);
+    const textStyle = 'font-family="sans-serif" text-anchor="middle" dominant-baseline="central" stroke="none"';
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<svg xmlns="http://www.w3.org/2000/svg" width="${round(width * SVG_MM_PER_METRE)}mm" ` +
+            `height="${round(height * SVG_MM_PER_METRE)}mm" viewBox="${round(bounds.minX)} ${round(bounds.minZ)} ${width} ${height}">`,
+        `  <title>${escapeXML(plan.title || 'Floor plan')}</title>`,
+        `  <rect x="${round(bounds.minX)}" y="${round(bounds.minZ)}" width="${width}" height="${height}" fill="#ffffff"/>`,
+        // Stroked in the fill color so pieces of one wall show no seams
+        '  <g id="walls" fill="#333333" stroke="#333333" stroke-width="0.01" fill-rule="evenodd">',
+        ...walls.map(({ contour, holes }) => `    <path d="${[contour, ...holes].map(svgRing).join(' ')}"/>`),
+        '  </g>',
+        '  <g id="openings" stroke="#333333" stroke-width="0.02">',
+        ...svgLines(lines, 'OPENINGS'),
+        '  </g>',
+        '  <g id="dimensions" stroke="#666666" stroke-width="0.01" fill="#666666">',
+        ...svgLines(lines, 'DIMENSIONS'),
+        `    <g font-size="${DIMENSION_TEXT_HEIGHT}" ${textStyle}>`,
+        ...svgTexts(texts, 'DIMENSIONS').map(line => `  ${line}`),
+        '    </g>',
+        '  </g>',
+        `  <g id="rooms" font-size="${ROOM_TEXT_HEIGHT}" fill="#222222" ${textStyle}>`,
+        ...svgTexts(texts, 'ROOMS'),
+        '  </g>',
+        '</svg>',
+        ''
+    ].join('\n');
+}
+
+// ============================================
+// DXF (R12, ASCII)
+// ============================================
+
+// Layer name → ACI color
+const DXF_LAYERS = { WALLS: 7, OPENINGS: 5, DIMENSIONS: 8, ROOMS: 3 };
+
+// Non-ASCII characters (², °) as \U+XXXX escapes
+function dxfText(text) {
+    return String(text).replace(/[^\x20-\x7e]/g, c => `\\U+${c.charCodeAt(0).toString(16).toUpperCase().padStart(4, '0')}`);
+}
+
+function dxfPoint(p, code = 10) {
+    return [[code, round(p.x)], [code + 10, round(-p.z)], [code + 20, 0]];
+}
+
+function dxfPolyline(ring, layer) {
+    return [
+        [0, 'POLYLINE'], [8, layer], [66, 1], [70, 1], [10, 0], [20, 0], [30, 0],
+        ...ring.flatMap(p => [[0, 'VERTEX'], [8, layer], ...dxfPoint(p)]),
+        [0, 'SEQEND'], [8, layer]
+    ];
+}
+
+function toDXF(plan) {
+    const { walls, lines, texts, bounds } = layoutPlan(plan);
+    const layers = Object.entries(DXF_LAYERS);
+
+    const pairs = [
+        [0, 'SECTION'], [2, 'HEADER'],
+        [9, '$ACADVER'], [1, 'AC1009'],
+        [9, '$EXTMIN'], ...dxfPoint({ x: bounds.minX, z: bounds.maxZ }),
+        [9, '$EXTMAX'], ...dxfPoint({ x: bounds.maxX, z: bounds.minZ }),
+        [0, 'ENDSEC'],
+
+        [0, 'SECTION'], [2, 'TABLES'],
+        [0, 'TABLE'], [2, 'LTYPE'], [70, 1],
+        [0, 'LTYPE'], [2, 'CONTINUOUS'], [70, 0], [3, 'Solid line'], [72, 65], [73, 0], [40, 0],
+        [0, 'ENDTAB'],
+        [0, 'TABLE'], [2, 'LAYER'], [70, layers.length],
+        ...layers.flatMap(([name, color]) => [[0, 'LAYER'], [2, name], [70, 0], [62, color], [6, 'CONTINUOUS']]),
+        [0, 'ENDTAB'],
+        [0, 'ENDSEC'],
+
+        [0, 'SECTION'], [2, 'ENTITIES'],
+        ...walls.flatMap(({ contour, holes }) => [contour, ...holes].flatMap(ring => dxfPolyline(ring, 'WALLS'))),
+        ...lines.flatMap(({ layer, from, to }) => [[0, 'LINE'], [8, layer], ...dxfPoint(from), ...dxfPoint(to, 11)]),
+        // Middle-centred; y is flipped, so angles turn the other way
+        ...texts.flatMap(({ layer, point, text, angle, height }) => [
+            [0, 'TEXT'], [8, layer], ...dxfPoint(point), [40, height], [1, dxfText(text)],
+            [50, round(-angle * 180 / Math.PI)], [72, 1], ...dxfPoint(point, 11), [73, 2]
+        ]),
+        [0, 'ENDSEC'],
+        [0, 'EOF']
+    ];
+
+    return pairs.map(([code, value]) => `${String(code).padStart(3)}\n${value}`).join('\n') + '\n';
+}
+
+/**
+ * Write a plan drawing.
+ *
+ * @param {Plan} plan
+ * @param {string} format - A PLAN_FORMATS key
+ * @returns {Blob}
+ */
+export function exportPlan(plan, format) {
+    const text = format === 'dxf' ? toDXF(plan) : toSVG(plan);
+    return new Blob([text], { type: PLAN_FORMATS[format].mimeType });
+}
@@ -0,0 +1,299 @@
+/**
+ * Freeform Builder - Planar Face Extraction
+ *
+ * Finds the minimal closed regions (rooms) enclosed by a set of wall paths.
+ *
+ * Wall paths are merged into one planar graph on the ground plane (vertices
+ * are shared when their keys match), dangling edges are pruned, and every
+ * undirected edge becomes a pair of half-edges. Walking the half-edges with
+ * the "next edge clockwise around the end vertex" rule traces each face of
+ * the graph exactly once; faces with positive signed area are the bounded
+ * rooms, the remaining one per connected component is its outer boundary.
+ *
+ * Runs in O(E log E), so long freehand loops, shared walls between adjacent
+ * rooms and hundreds of walls are all handled in a single pass.
+ *
+ * findFloorRegions adds containment analysis on top: a component drawn
+ * entirely inside a room (a courtyard, an atrium, a room inside a room) is
+ * cut out of that room's floor as a hole, and its own faces are flagged as
+ * nested so callers can decide whether they are rooms or voids.
+ */
+
+import { createSpatialIndex, getPointsBounds } from './spatialIndex.js';
+
+const AREA_EPSILON = 1e-6;
+const REGION_CELL_SIZE = 16; // Grid for finding the rooms around a point
+
+export function getVertexKey(v) {
+    return `${v.x.toFixed(3)},${v.z.toFixed(3)}`;
+}
+
+// Shoelace area on the ground plane (x, z); positive for faces traced as rooms
+export function signedArea(points) {
+    let area = 0;
+    for (let i = 0; i < points.length; i++) {
+        const a = points[i];
+        const b = points[(i + 1) % points.length];
+        area += a.x * b.z - b.x * a.z;
+    }
+    return area / 2;
+}
+
+// Rotation-independent identity of a closed loop (same vertices, same order)
+export function getLoopKey(points) {
+    const keys = points.map(getVertexKey);
+    let start = 0;
+    for (let i = 1; i < keys.length; i++) {
+        if (keys[i] < keys[start]) start = i;
+    }
+    return [...keys.slice(start), ...keys.slice(0, start)].join(';');
+}
+
+// Even-odd point-in-polygon test on the ground plane
+export function pointInPolygon(point, polygon) {
+    let inside = false;
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+        const a = polygon[i];
+        const b = polygon[j];
+        if ((a.z > point.z) !== (b.z > point.z) &&
+            point.x < (b.x - a.x) * (point.z - a.z) / (b.z - a.z) + a.x) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+// Build the undirected graph: vertex key -> point, and a de-duplicated edge list
+function buildGraph(paths) {
+    const vertices = new Map();
+    const edgeKeys = new Set();
+    const edges = [];
+
+    paths.forEach(points => {
+        for (let i = 0; i < points.length - 1; i++) {
+            const k1 = getVertexKey(points[i]);
+            const k2 = getVertexKey(points[i + 1]);
+            if (k1 === k2) continue;
+
+            if (!vertices.has(k1)) vertices.set(k1, points[i]);
+            if (!vertices.has(k2)) vertices.set(k2, points[i + 1]);
+
+            // Overlapping walls share one edge
+            const edgeKey = k1 < k2 ? `${k1}|${k2}` : `${k2}|${k1}`;
+            if (edgeKeys.has(edgeKey)) continue;
+            edgeKeys.add(edgeKey);
+            edges.push([k1, k2]);
+        }
+    });
+
+    return { vertices, edges };
+}
+
+// Repeatedly strip vertices of degree < 2; they can't bound a face
+function pruneDanglingEdges(edges) {
+    const adj = new Map();
+    edges.forEach(([a, b]) => {
+        if (!adj.has(a)) adj.set(a, new Set());
+        if (!adj.has(b)) adj.set(b, new Set());
+        adj.get(a).add(b);
+        adj.get(b).add(a);
+    });
+
+    const stack = [...adj.keys()].filter(key => adj.get(key).size < 2);
+    while (stack.length > 0) {
+        const key = stack.pop();
+        const neighbors = adj.get(key);
+        if (!neighbors) continue;
+
+        neighbors.forEach(other => {
+            const otherNeighbors = adj.get(other);
+            otherNeighbors.delete(key);
+            if (otherNeighbors.size < 2) stack.push(other);
+        });
+        adj.delete(key);
+    }
+
+    return edges.filter(([a, b]) => adj.has(a) && adj.has(b));
+}
+
+// Union-find over vertex keys, to tell connected components apart
+function labelComponents(edges) {
+    const parent = new Map();
+    const find = key => {
+        let root = key;
+        while (parent.get(root) !== root) root = parent.get(root);
+        parent.set(key, root);
+        return root;
+    };
+
+    edges.forEach(([a, b]) => {
+        if (!parent.has(a)) parent.set(a, a);
+        if (!parent.has(b)) parent.set(b, b);
+        parent.set(find(a), find(b));
+    });
+
+    return find;
+}
+
+/**
+ * Trace every face of the planar graph formed by `paths`.
+ *
+ * @param {Array<Array<{x: number, z: number}>>} paths - Wall point lists
+ * @returns {{ faces: Array, boundaries: Array }} Bounded faces (rooms) and
+ *     the outer boundary of each connected component, both as
+ *     { points, area, component } with points counter-clockwise and no
+ *     repeated end point. Faces also carry their loop `key`.
+ */
+export function extractFaces(paths) {
+    const { vertices, edges: rawEdges } = buildGraph(paths);
+    const edges = pruneDanglingEdges(rawEdges);
+    if (edges.length === 0) return { faces: [], boundaries: [] };
+
+    const componentOf = labelComponents(edges);
+
+    // Half-edges: index 2i is a->b, 2i+1 is b->a; twin(h) = h ^ 1
+    const origin = new Array(edges.length * 2);
+    const outgoing = new Map();
+
+    edges.forEach(([a, b], i) => {
+        origin[2 * i] = a;
+        origin[2 * i + 1] = b;
+    });
+
+    for (let h = 0; h < origin.length; h++) {
+        const from = origin[h];
+        if (!outgoing.has(from)) outgoing.set(from, []);
+        outgoing.get(from).push(h);
+    }
+
+    // Sort each vertex's outgoing half-edges by angle, remember their slot
+    const slot = new Array(origin.length);
+    outgoing.forEach((list, key) => {
+        const p = vertices.get(key);
+        const angleOf = h => {
+            const q = vertices.get(origin[h ^ 1]);
+            return Math.atan2(q.z - p.z, q.x - p.x);
+        };
+        list.sort((h1, h2) => angleOf(h1) - angleOf(h2));
+        list.forEach((h, i) => { slot[h] = i; });
+    });
+
+    // next(h) for h = u->v: the half-edge leaving v just before twin(h) in angular order
+    function next(h) {
+        const twin = h ^ 1;
+        const list = outgoing.get(origin[twin]);
+        return list[(slot[twin] - 1 + list.length) % list.length];
+    }
+
+    const visited = new Uint8Array(origin.length);
+    const faces = [];
+    const boundaries = [];
+
+    for (let start = 0; start < origin.length; start++) {
+        if (visited[start]) continue;
+
+        const points = [];
+        let h = start;
+        while (!visited[h]) {
+            visited[h] = 1;
+            points.push(vertices.get(origin[h]));
+            h = next(h);
+        }
+
+        if (points.length < 3) continue;
+
+        const area = signedArea(points);
+        const component = componentOf(origin[start]);
+
+        if (area > AREA_EPSILON) {
+            faces.push({ points, area, component, key: getLoopKey(points) });
+        } else if (area < -AREA_EPSILON) {
+            boundaries.push({ points: points.reverse(), area: -area, component });
+        }
+    }
+
+    return { faces, boundaries };
+}
+
+/**
+ * Extract the bounded faces of the planar graph formed by `paths`.
+ *
+ * @param {Array<Array<{x: number, z: number}>>} paths - Wall point lists
+ * @returns {Array<Array<{x: number, z: number}>>} One point list per room,
+ *     counter-clockwise (positive signed area), without a repeated end point.
+ */
+export function findPlanarFaces(paths) {
+    return extractFaces(paths).faces.map(face => face.points);
+}
+
+/**
+ * Rooms with containment: each component nested inside a room becomes a
+ * hole in that room's floor.
+ *
+ * @param {Array<Array<{x: number, z: number}>>} paths - Wall point lists
+ * @returns {Array<{ points: Array, holes: Array<Array>, key: string,
+ *     nested: boolean, depth: number }>} `nested` faces sit inside another
+ *     room; `depth` counts how many rooms enclose them.
+ */
+export function findFloorRegions(paths) {
+    return nestFaces(extractFaces(paths));
+}
+
+/**
+ * findFloorRegions for faces that are already traced. They may come from
+ * several extractFaces calls over groups of paths that share no vertex, so
+ * a group can be traced again on its own when only its paths change.
+ *
+ * @param {{ faces: Array, boundaries: Array }} traced - As from extractFaces
+ * @returns {Array} As from findFloorRegions
+ */
+export function nestFaces({ faces, boundaries }) {
+    const regions = faces.map(face => ({
+        points: face.points,
+        holes: [],
+        key: face.key,
+        nested: false,
+        depth: 0,
+        component: face.component,
+        area: face.area
+    }));
+
+    // Immediate container of each component: the smallest room around it
+    const index = createSpatialIndex(REGION_CELL_SIZE);
+    regions.forEach(region => index.insert(region, getPointsBounds(region.points)));
+    const containerOf = new Map();
+    boundaries.forEach(boundary => {
+        let container = null;
+        index.query(getPointsBounds([boundary.points[0]])).forEach(region => {
+            if (region.component === boundary.component) return;
+            if (container && region.area >= container.area) return;
+            if (region.area <= boundary.area) return;
+            if (pointInPolygon(boundary.points[0], region.points)) {
+                container = region;
+            }
+        });
+
+        if (container) {
+            container.holes.push(boundary.points);
+            containerOf.set(boundary.component, container);
+        }
+    });
+
+    // Depth follows the chain of containers
+    const depthOf = component => {
+        let depth = 0;
+        let container = containerOf.get(component);
+        while (container) {
+            depth++;
+            container = containerOf.get(container.component);
+        }
+        return depth;
+    };
+
+    regions.forEach(region => {
+        region.depth = depthOf(region.component);
+        region.nested = region.depth > 0;
+    });
+
+    return regions.map(({ points, holes, key, nested, depth }) => ({ points, holes, key, nested, depth }));
+}
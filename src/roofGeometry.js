@@ -0,0 +1,647 @@
+/**
+ * Freeform Builder - Roof Geometry
+ *
+ * Builds roof meshes over a ground-plane outline:
+ *
+ * - Flat: a slab of FLAT_ROOF_THICKNESS over the outline (any shape; holes
+ *   such as courtyards stay open).
+ * - Gabled: two slopes meeting at a ridge along the long side, with
+ *   vertical gable ends. Needs a rectangle; other outlines get a hipped roof.
+ * - Hipped: every eave rises at the same pitch. The roof faces are the
+ *   faces of the outline's straight skeleton, so concave L, T and U
+ *   footprints get proper valleys and ridges.
+ *
+ * The straight skeleton is found by wavefront propagation: every edge moves
+ * inward at unit speed and vertices slide along the angle bisectors. Edge
+ * events (an edge shrinks to nothing) and split events (a reflex vertex
+ * runs into an opposite edge) are processed in time order; the traces left
+ * by the vertices are the ridges, hips and valleys. A vertex stuck between
+ * two opposite parallel edges (the ridge of a rectangular arm) is resolved
+ * immediately by running along the ridge to its nearer neighbour.
+ *
+ * `overhang` pushes the eaves out past the outline; the roof is lowered so
+ * its surface still meets `base` (the wall tops) along the outline itself.
+ *
+ * Pitched roofs are open shells unless `closed` is set, which caps them
+ * underneath at eave height (and moves gable ends out to the overhang) so
+ * they form a watertight solid, e.g. for STL export.
+ */
+
+import * as THREE from 'three';
+
+export const ROOF_STYLES = ['flat', 'gabled', 'hipped'];
+export const FLAT_ROOF_THICKNESS = 0.2;
+
+const EPSILON = 1e-9;
+const EVENT_EPSILON = 1e-7;
+const KEY_PRECISION = 1e5;
+
+// ============================================
+// 2D HELPERS (ground plane x, z)
+// ============================================
+
+function sub(a, b) {
+    return { x: a.x - b.x, z: a.z - b.z };
+}
+
+function dot(a, b) {
+    return a.x * b.x + a.z * b.z;
+}
+
+function cross(a, b) {
+    return a.x * b.z - a.z * b.x;
+}
+
+function length(v) {
+    return Math.hypot(v.x, v.z);
+}
+
+function normalize(v) {
+    const l = length(v);
+    return l < EPSILON ? null : { x: v.x / l, z: v.z / l };
+}
+
+function ringArea(ring) {
+    let area = 0;
+    for (let i = 0; i < ring.length; i++) {
+        const a = ring[i];
+        const b = ring[(i + 1) % ring.length];
+        area += a.x * b.z - b.x * a.z;
+    }
+    return area / 2;
+}
+
+// Counter-clockwise copy without repeated or collinear points
+function cleanRing(points) {
+    let ring = points.map(p => ({ x: p.x, z: p.z }));
+    if (ring.length > 1 && length(sub(ring[0], ring[ring.length - 1])) < 1e-6) {
+        ring.pop();
+    }
+
+    let changed = true;
+    while (changed && ring.length >= 3) {
+        changed = false;
+        for (let i = 0; i < ring.length; i++) {
+            const prev = ring[(i - 1 + ring.length) % ring.length];
+            const next = ring[(i + 1) % ring.length];
+            const a = sub(ring[i], prev);
+            const b = sub(next, ring[i]);
+            if (length(a) < 1e-6 || Math.abs(cross(a, b)) < 1e-9 * length(a) * length(b) && dot(a, b) > 0) {
+                ring.splice(i, 1);
+                changed = true;
+                break;
+            }
+        }
+    }
+
+    if (ring.length < 3) return null;
+    return ringArea(ring) < 0 ? ring.reverse() : ring;
+}
+
+// Speed of a wavefront vertex between two edges moving along their inward
+// normals at unit speed; null when the edges are opposite and parallel
+function bisectorVelocity(nL, nR) {
+    const d = dot(nL, nR);
+    if (1 + d < 1e-9) return null;
+    return { x: (nL.x + nR.x) / (1 + d), z: (nL.z + nR.z) / (1 + d) };
+}
+
+function inwardNormals(ring) {
+    return ring.map((p, i) => {
+        const d = normalize(sub(ring[(i + 1) % ring.length], p)) || { x: 1, z: 0 };
+        return { x: -d.z, z: d.x };
+    });
+}
+
+// Offset a counter-clockwise ring outward by `distance` (mitered)
+function outsetRing(ring, distance) {
+    if (distance <= 0) return ring;
+
+    const normals = inwardNormals(ring);
+    return ring.map((p, i) => {
+        const nL = normals[(i - 1 + ring.length) % ring.length];
+        const nR = normals[i];
+        const v = bisectorVelocity(nL, nR) || nR;
+        return { x: p.x - v.x * distance, z: p.z - v.z * distance };
+    });
+}
+
+/**
+ * True for four corners at right angles (within `tolerance` radians).
+ *
+ * @param {Array<{x: number, z: number}>} points
+ */
+export function isRectangle(points, tolerance = 0.02) {
+    const ring = cleanRing(points);
+    if (!ring || ring.length !== 4) return false;
+
+    return ring.every((p, i) => {
+        const a = normalize(sub(ring[(i + 1) % 4], p));
+        const b = normalize(sub(ring[(i + 3) % 4], p));
+        return Math.abs(dot(a, b)) < Math.sin(tolerance);
+    });
+}
+
+// ============================================
+// STRAIGHT SKELETON
+// ============================================
+
+/**
+ * Faces of the straight skeleton of a simple polygon.
+ *
+ * @param {Array<{x: number, z: number}>} points - Outline (any orientation)
+ * @returns {Array<{ edge: number, points: Array<{x, z, t}> }> | null} One
+ *     face per outline edge of the cleaned, counter-clockwise outline; `t`
+ *     is how far inside the outline each point lies (the wavefront time)
+ */
+export function straightSkeletonFaces(points) {
+    const ring = cleanRing(points);
+    if (!ring) return null;
+
+    const n = ring.length;
+    const normals = inwardNormals(ring);
+    const edges = ring.map((p, i) => ({
+        start: p,
+        dir: { x: normals[i].z, z: -normals[i].x },
+        normal: normals[i]
+    }));
+
+    const arcs = [];
+    const active = new Set();
+
+    function addArc(from, to, left, right) {
+        if (length(sub(from, to)) < 1e-7) return;
+        arcs.push({ from, to, faces: [left, right] });
+    }
+
+    function makeVertex(p, t, eL, eR) {
+        const v = {
+            p: { x: p.x, z: p.z },
+            t0: t,
+            eL,
+            eR,
+            vel: bisectorVelocity(edges[eL].normal, edges[eR].normal),
+            origin: { x: p.x, z: p.z, t },
+            prev: null,
+            next: null
+        };
+        active.add(v);
+        return v;
+    }
+
+    function posAt(v, t) {
+        if (!v.vel) return { x: v.p.x, z: v.p.z, t };
+        const dt = t - v.t0;
+        return { x: v.p.x + v.vel.x * dt, z: v.p.z + v.vel.z * dt, t };
+    }
+
+    function isReflex(v) {
+        return cross(edges[v.eL].dir, edges[v.eR].dir) < -EPSILON;
+    }
+
+    function lavOf(v) {
+        const list = [v];
+        for (let u = v.next; u !== v; u = u.next) list.push(u);
+        return list;
+    }
+
+    function link(a, b) {
+        a.next = b;
+        b.prev = a;
+    }
+
+    // A wavefront loop down to two vertices has collapsed into a ridge
+    function finalizeIfCollapsed(v, t) {
+        if (!active.has(v)) return;
+        const lav = lavOf(v);
+        if (lav.length > 2) return;
+
+        lav.forEach(u => {
+            addArc(u.origin, posAt(u, t), u.eL, u.eR);
+            active.delete(u);
+        });
+        if (lav.length === 2) {
+            addArc(posAt(lav[0], t), posAt(lav[1], t), lav[0].eR, lav[0].eL);
+        }
+    }
+
+    // Replace `a` and `b` (neighbours, a before b) by one vertex at `p`
+    function merge(a, b, p, t) {
+        addArc(a.origin, p, a.eL, a.eR);
+        addArc(b.origin, p, b.eL, b.eR);
+        active.delete(a);
+        active.delete(b);
+
+        if (a.prev === b) {
+            // Only these two were left
+            return null;
+        }
+
+        const w = makeVertex(p, t, a.eL, b.eR);
+        link(a.prev, w);
+        link(w, b.next);
+        return w;
+    }
+
+    // Vertices between opposite parallel edges run along the ridge at once
+    function resolveRidges(t) {
+        let found = true;
+        while (found) {
+            found = false;
+            for (const v of active) {
+                if (v.vel) continue;
+                found = true;
+
+                const here = posAt(v, t);
+                const prev = posAt(v.prev, t);
+                const next = posAt(v.next, t);
+                const usePrev = length(sub(prev, here)) <= length(sub(next, here));
+                const target = usePrev ? prev : next;
+
+                addArc(here, target, v.eL, v.eR);
+                active.delete(v);
+                const neighbor = usePrev ? v.prev : v.next;
+                addArc(neighbor.origin, target, neighbor.eL, neighbor.eR);
+                active.delete(neighbor);
+
+                // Those two were the whole loop: the ridge closes it
+                if (v.prev === v.next) break;
+
+                const w = usePrev ?
+                    makeVertex(target, t, neighbor.eL, v.eR) :
+                    makeVertex(target, t, v.eL, neighbor.eR);
+                if (usePrev) {
+                    link(neighbor.prev, w);
+                    link(w, v.next);
+                } else {
+                    link(v.prev, w);
+                    link(w, neighbor.next);
+                }
+                finalizeIfCollapsed(w, t);
+                break;
+            }
+        }
+    }
+
+    function edgeEventTime(v, t) {
+        const e = edges[v.eR];
+        const a = posAt(v, t);
+        const b = posAt(v.next, t);
+        const span = dot(sub(b, a), e.dir);
+        if (span <= EVENT_EPSILON) return t;
+
+        const va = v.vel || { x: 0, z: 0 };
+        const vb = v.next.vel || { x: 0, z: 0 };
+        const rate = dot(sub(vb, va), e.dir);
+        return rate < -EPSILON ? t - span / rate : Infinity;
+    }
+
+    // When and where reflex vertex `v` hits the wavefront segment a -> a.next
+    function splitEvent(v, a, t) {
+        const e = edges[a.eR];
+        if (a.eR === v.eL || a.eR === v.eR || a === v || a.next === v) return null;
+
+        const p = posAt(v, t);
+        const distance = dot(sub(p, e.start), e.normal);
+        const approach = dot(v.vel, e.normal);
+        if (approach >= 1 - EPSILON || distance < t - EVENT_EPSILON) return null;
+
+        const hit = (distance - approach * t) / (1 - approach);
+        if (hit < t - EVENT_EPSILON) return null;
+
+        const x = posAt(v, hit);
+        const s = posAt(a, hit);
+        const f = posAt(a.next, hit);
+        const span = dot(sub(f, s), e.dir);
+        if (span <= EVENT_EPSILON) return null;
+
+        const u = dot(sub(x, s), e.dir) / span;
+        if (u < -1e-6 || u > 1 + 1e-6) return null;
+
+        return { time: Math.max(hit, t), point: x };
+    }
+
+    // Initial wavefront: the outline itself
+    const initial = ring.map((p, i) => makeVertex(p, 0, (i - 1 + n) % n, i));
+    initial.forEach((v, i) => link(v, initial[(i + 1) % n]));
+
+    let time = 0;
+    let guard = 0;
+    const maxSteps = 4 * n * n + 16;
+
+    while (active.size > 0 && guard++ < maxSteps) {
+        resolveRidges(time);
+        if (active.size === 0) break;
+
+        let best = null;
+        const seen = new Set();
+
+        active.forEach(start => {
+            if (seen.has(start)) return;
+            const lav = lavOf(start);
+            lav.forEach(v => seen.add(v));
+
+            lav.forEach(v => {
+                const te = edgeEventTime(v, time);
+                if (te < Infinity && (!best || te < best.time - EVENT_EPSILON ||
+                    (best.type === 'split' && te <= best.time + EVENT_EPSILON))) {
+                    best = { type: 'edge', time: te, v };
+                }
+
+                if (!v.vel || !isReflex(v)) return;
+                lav.forEach(a => {
+                    const split = splitEvent(v, a, time);
+                    if (split && (!best || split.time < best.time - EVENT_EPSILON)) {
+                        best = { type: 'split', time: split.time, v, a, point: split.point };
+                    }
+                });
+            });
+        });
+
+        if (!best) break;
+        time = Math.max(time, best.time);
+
+        if (best.type === 'edge') {
+            const { v } = best;
+            const a = posAt(v, time);
+            const b = posAt(v.next, time);
+            const p = { x: (a.x + b.x) / 2, z: (a.z + b.z) / 2, t: time };
+            const w = merge(v, v.next, p, time);
+            if (w) finalizeIfCollapsed(w, time);
+        } else {
+            const { v, a, point } = best;
+            const b = a.next;
+            const p = { x: point.x, z: point.z, t: time };
+            addArc(v.origin, p, v.eL, v.eR);
+            active.delete(v);
+
+            const v1 = makeVertex(p, time, v.eL, a.eR);
+            const v2 = makeVertex(p, time, a.eR, v.eR);
+            const before = v.prev;
+            const after = v.next;
+            link(before, v1);
+            link(v1, b);
+            link(a, v2);
+            link(v2, after);
+
+            finalizeIfCollapsed(v1, time);
+            finalizeIfCollapsed(v2, time);
+        }
+    }
+
+    // Anything left (numerical trouble): stop it where it is
+    active.forEach(v => {
+        addArc(v.origin, posAt(v, time), v.eL, v.eR);
+    });
+
+    return ring.map((p, i) => traceFace(ring, i, arcs));
+}
+
+function pointKey(p) {
+    return `${Math.round(p.x * KEY_PRECISION)},${Math.round(p.z * KEY_PRECISION)}`;
+}
+
+// Walk the skeleton arcs of edge i's face from its end back to its start
+function traceFace(ring, edge, arcs) {
+    const start = { ...ring[edge], t: 0 };
+    const end = { ...ring[(edge + 1) % ring.length], t: 0 };
+
+    const nodes = new Map();
+    const adjacency = new Map();
+    const addNode = p => {
+        const key = pointKey(p);
+        if (!nodes.has(key)) {
+            nodes.set(key, p);
+            adjacency.set(key, new Set());
+        }
+        return key;
+    };
+
+    arcs.forEach(arc => {
+        if (arc.faces[0] !== edge && arc.faces[1] !== edge) return;
+        const a = addNode(arc.from);
+        const b = addNode(arc.to);
+        if (a === b) return;
+        adjacency.get(a).add(b);
+        adjacency.get(b).add(a);
+    });
+
+    const startKey = pointKey(start);
+    const endKey = pointKey(end);
+    if (!adjacency.has(endKey)) return { edge, points: [start, end] };
+
+    const points = [start, end];
+    const visited = new Set([endKey]);
+    let current = endKey;
+
+    while (current !== startKey) {
+        const options = [...adjacency.get(current)].filter(key => !visited.has(key));
+        if (options.length === 0) break;
+
+        // Prefer closing the face as soon as the start is reachable
+        const next = options.includes(startKey) ? startKey : options[0];
+        if (next !== startKey) points.push(nodes.get(next));
+        visited.add(next);
+        current = next;
+    }
+
+    return { edge, points };
+}
+
+// ============================================
+// MESH BUILDING
+// ============================================
+
+function createBuilder() {
+    const positions = [];
+    const normals = [];
+
+    const ab = new THREE.Vector3();
+    const ac = new THREE.Vector3();
+
+    // Flat-shaded triangle; `up` flips it to face upwards (null keeps winding)
+    function triangle(a, b, c, up = true) {
+        ab.subVectors(b, a);
+        ac.subVectors(c, a);
+        const n = ab.clone().cross(ac);
+        if (n.lengthSq() < 1e-14) return;
+
+        let [p, q, r] = [a, b, c];
+        if (up !== null && (n.y < 0) === up) {
+            [q, r] = [r, q];
+            n.negate();
+        }
+        n.normalize();
+
+        [p, q, r].forEach(v => {
+            positions.push(v.x, v.y, v.z);
+            normals.push(n.x, n.y, n.z);
+        });
+    }
+
+    // Planar polygon of 3D points, triangulated in its ground projection
+    function polygon(points3d, up = true) {
+        if (points3d.length < 3) return;
+
+        const contour = points3d.map(p => new THREE.Vector2(p.x, p.z));
+        if (Math.abs(THREE.ShapeUtils.area(contour)) < 1e-10) return;
+
+        THREE.ShapeUtils.triangulateShape(contour, []).forEach(([i, j, k]) => {
+            triangle(points3d[i], points3d[j], points3d[k], up);
+        });
+    }
+
+    function toGeometry() {
+        if (positions.length === 0) return null;
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+        geometry.setAttribute('normal', new THREE.Float32BufferAttribute(normals, 3));
+        geometry.computeBoundingBox();
+        geometry.computeBoundingSphere();
+        return geometry;
+    }
+
+    return { triangle, polygon, toGeometry };
+}
+
+function buildFlatRoof(builder, ring, holes, base, overhang) {
+    const outer = outsetRing(ring, overhang);
+    const innerRings = holes
+        .map(cleanRing)
+        .filter(Boolean)
+        .map(hole => [...hole].reverse());
+
+    const top = base + FLAT_ROOF_THICKNESS;
+    const all = [outer, ...innerRings].flat();
+    const triangles = THREE.ShapeUtils.triangulateShape(
+        outer.map(p => new THREE.Vector2(p.x, p.z)),
+        innerRings.map(r => r.map(p => new THREE.Vector2(p.x, p.z)))
+    );
+
+    triangles.forEach(([i, j, k]) => {
+        const [a, b, c] = [all[i], all[j], all[k]];
+        builder.triangle(
+            new THREE.Vector3(a.x, top, a.z),
+            new THREE.Vector3(b.x, top, b.z),
+            new THREE.Vector3(c.x, top, c.z),
+            true
+        );
+        builder.triangle(
+            new THREE.Vector3(a.x, base, a.z),
+            new THREE.Vector3(b.x, base, b.z),
+            new THREE.Vector3(c.x, base, c.z),
+            false
+        );
+    });
+
+    [outer, ...innerRings].forEach(r => {
+        for (let i = 0; i < r.length; i++) {
+            const p = r[i];
+            const q = r[(i + 1) % r.length];
+            const p0 = new THREE.Vector3(p.x, base, p.z);
+            const q0 = new THREE.Vector3(q.x, base, q.z);
+            const p1 = new THREE.Vector3(p.x, top, p.z);
+            const q1 = new THREE.Vector3(q.x, top, q.z);
+            // Rings run counter-clockwise (holes reversed), so this faces out
+            builder.triangle(p0, q1, q0, null);
+            builder.triangle(p0, p1, q1, null);
+        }
+    });
+}
+
+function buildGabledRoof(builder, ring, base, slope, overhang, closed) {
+    // Ridge runs along the longer pair of sides
+    const side0 = sub(ring[1], ring[0]);
+    const side1 = sub(ring[2], ring[1]);
+    const alongFirst = length(side0) >= length(side1);
+
+    const u = normalize(alongFirst ? side0 : side1);
+    const v = { x: -u.z, z: u.x };
+    const center = {
+        x: ring.reduce((sum, p) => sum + p.x, 0) / 4,
+        z: ring.reduce((sum, p) => sum + p.z, 0) / 4
+    };
+    const halfLength = length(alongFirst ? side0 : side1) / 2;
+    const halfSpan = length(alongFirst ? side1 : side0) / 2;
+
+    const ridge = base + halfSpan * slope;
+    const eave = base - overhang * slope;
+    const at = (s, w, y) => new THREE.Vector3(
+        center.x + u.x * s + v.x * w,
+        y,
+        center.z + u.z * s + v.z * w
+    );
+
+    const l = halfLength + overhang;
+    const w = halfSpan + overhang;
+
+    // Two roof planes
+    [-1, 1].forEach(sign => {
+        builder.polygon([at(-l, sign * w, eave), at(l, sign * w, eave), at(l, 0, ridge), at(-l, 0, ridge)]);
+    });
+
+    if (closed) {
+        // Gable ends under the overhang, facing outwards, and the eave plane
+        [-1, 1].forEach(sign => {
+            const s = sign * l;
+            const [a, b] = sign < 0 ? [at(s, -w, eave), at(s, w, eave)] : [at(s, w, eave), at(s, -w, eave)];
+            builder.triangle(a, b, at(s, 0, ridge), null);
+        });
+        builder.polygon([at(-l, -w, eave), at(l, -w, eave), at(l, w, eave), at(-l, w, eave)], false);
+        return;
+    }
+
+    // Gable ends on the wall line
+    [-1, 1].forEach(sign => {
+        const s = sign * halfLength;
+        builder.triangle(at(s, -halfSpan, base), at(s, halfSpan, base), at(s, 0, ridge), null);
+    });
+}
+
+function buildHippedRoof(builder, ring, base, slope, overhang, closed) {
+    const outline = outsetRing(ring, overhang);
+    const faces = straightSkeletonFaces(outline);
+    if (!faces) return;
+
+    const eave = base - overhang * slope;
+    faces.forEach(face => {
+        builder.polygon(face.points.map(p => new THREE.Vector3(p.x, eave + p.t * slope, p.z)));
+    });
+
+    // Every face starts on an eave edge, so the eave outline closes the shell
+    if (closed) {
+        builder.polygon(outline.map(p => new THREE.Vector3(p.x, eave, p.z)), false);
+    }
+}
+
+/**
+ * Build the BufferGeometry for a roof over an outline.
+ *
+ * @param {Array<{x: number, z: number}>} outline - Ground-plane footprint
+ * @param {Object} options
+ * @param {string} [options.style='hipped'] - One of ROOF_STYLES
+ * @param {number} [options.pitch=30] - Slope in degrees (gabled, hipped)
+ * @param {number} [options.overhang=0] - Eave overhang past the outline
+ * @param {number} [options.base=0] - Height where the roof meets the outline
+ * @param {Array<Array<{x: number, z: number}>>} [options.holes] - Openings
+ *     (flat roofs only)
+ * @param {boolean} [options.closed=false] - Cap pitched roofs into a solid
+ * @returns {THREE.BufferGeometry|null}
+ */
+export function createRoofGeometry(outline, { style = 'hipped', pitch = 30, overhang = 0, base = 0, holes = [], closed = false } = {}) {
+    const ring = cleanRing(outline);
+    if (!ring) return null;
+
+    const builder = createBuilder();
+    const slope = Math.tan(THREE.MathUtils.degToRad(THREE.MathUtils.clamp(pitch, 1, 75)));
+
+    if (style === 'flat') {
+        buildFlatRoof(builder, ring, holes, base, overhang);
+    } else if (style === 'gabled' && isRectangle(ring)) {
+        buildGabledRoof(builder, ring, base, slope, overhang, closed);
+    } else {
+        buildHippedRoof(builder, ring, base, slope, overhang, closed);
+    }
+
+    return builder.toGeometry();
+}
@@ -0,0 +1,118 @@
+/**
+ * Freeform Builder - Rooms
+ *
+ * Floors are found afresh from the walls on every change, so anything a user
+ * attaches to a room (its name, its floor color) lives on a separate room
+ * record that remembers the outline it last covered. After each change the
+ * new floor regions are matched to those records by overlap: the pairs that
+ * share the most area are taken first, so a room that is reshaped, moved or
+ * split keeps its identity on the region that holds most of it.
+ *
+ * Outlines are point lists on the ground plane ({ x, z }), with optional
+ * holes, as produced by findFloorRegions.
+ */
+
+import { signedArea, pointInPolygon } from './planarFaces.js';
+
+const OVERLAP_SAMPLES = 24; // Grid samples per side of the shared bounding box
+
+/**
+ * Floor area of an outline less its holes.
+ *
+ * @param {Array<{x: number, z: number}>} points
+ * @param {Array<Array<{x: number, z: number}>>} [holes]
+ * @returns {number}
+ */
+export function getRoomArea(points, holes = []) {
+    const area = Math.abs(signedArea(points));
+    return holes.reduce((sum, hole) => sum - Math.abs(signedArea(hole)), area);
+}
+
+/**
+ * Length of an outline plus its holes' outlines.
+ *
+ * @param {Array<{x: number, z: number}>} points
+ * @param {Array<Array<{x: number, z: number}>>} [holes]
+ * @returns {number}
+ */
+export function getRoomPerimeter(points, holes = []) {
+    const ringLength = ring => ring.reduce((sum, p, i) => {
+        const next = ring[(i + 1) % ring.length];
+        return sum + Math.hypot(next.x - p.x, next.z - p.z);
+    }, 0);
+    return [points, ...holes].reduce((sum, ring) => sum + ringLength(ring), 0);
+}
+
+function getBounds(points) {
+    return {
+        minX: Math.min(...points.map(p => p.x)),
+        minZ: Math.min(...points.map(p => p.z)),
+        maxX: Math.max(...points.map(p => p.x)),
+        maxZ: Math.max(...points.map(p => p.z))
+    };
+}
+
+function isInside(point, { points, holes = [] }) {
+    return pointInPolygon(point, points) && !holes.some(hole => pointInPolygon(point, hole));
+}
+
+// Area two outlines share, estimated on a grid over their common bounds
+function getOverlapArea(a, b) {
+    const boundsA = getBounds(a.points);
+    const boundsB = getBounds(b.points);
+    const minX = Math.max(boundsA.minX, boundsB.minX);
+    const minZ = Math.max(boundsA.minZ, boundsB.minZ);
+    const maxX = Math.min(boundsA.maxX, boundsB.maxX);
+    const maxZ = Math.min(boundsA.maxZ, boundsB.maxZ);
+    if (maxX <= minX || maxZ <= minZ) return 0;
+
+    const stepX = (maxX - minX) / OVERLAP_SAMPLES;
+    const stepZ = (maxZ - minZ) / OVERLAP_SAMPLES;
+    let hits = 0;
+    for (let i = 0; i < OVERLAP_SAMPLES; i++) {
+        for (let j = 0; j < OVERLAP_SAMPLES; j++) {
+            const point = { x: minX + (i + 0.5) * stepX, z: minZ + (j + 0.5) * stepZ };
+            if (isInside(point, a) && isInside(point, b)) hits++;
+        }
+    }
+    return hits * stepX * stepZ;
+}
+
+/**
+ * Pair floor regions with the rooms they came from.
+ *
+ * A pair only counts when the shared area is at least `minOverlap` of the
+ * smaller of the two, so a region that merely clips an old room's corner
+ * starts a room of its own.
+ *
+ * @param {Array<{ points: Array, holes?: Array<Array> }>} rooms - Room outlines
+ * @param {Array<{ points: Array, holes?: Array<Array> }>} regions - New regions
+ * @param {number} [minOverlap]
+ * @returns {Array<number>} Index into `rooms` for each region, or -1
+ */
+export function matchRooms(rooms, regions, minOverlap = 0.2) {
+    const roomAreas = rooms.map(room => getRoomArea(room.points, room.holes));
+    const regionAreas = regions.map(region => getRoomArea(region.points, region.holes));
+
+    const pairs = [];
+    regions.forEach((region, regionIndex) => {
+        rooms.forEach((room, roomIndex) => {
+            const overlap = getOverlapArea(room, region);
+            if (overlap > 0 && overlap >= minOverlap * Math.min(roomAreas[roomIndex], regionAreas[regionIndex])) {
+                pairs.push({ regionIndex, roomIndex, overlap });
+            }
+        });
+    });
+
+    // Largest overlaps first; ties keep the earlier room and region
+    pairs.sort((a, b) => b.overlap - a.overlap);
+
+    const matches = regions.map(() => -1);
+    const taken = new Set();
+    pairs.forEach(({ regionIndex, roomIndex }) => {
+        if (matches[regionIndex] !== -1 || taken.has(roomIndex)) return;
+        matches[regionIndex] = roomIndex;
+        taken.add(roomIndex);
+    });
+    return matches;
+}
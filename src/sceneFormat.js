@@ -0,0 +1,591 @@
+/**
+ * Freeform Builder - Scene Format
+ *
+ * Versioned JSON representation of a build, used for file export/import and
+ * for compact copy/paste share strings.
+ *
+ * Schema (version 2):
+ *
+ *   {
+ *       "format": "freeform-builder-scene",
+ *       "version": 2,
+ *       "savedAt": "2026-01-01T12:00:00.000Z",   // Informational only
+ *       "levels": [                              // >= 1, any order
+ *           { "id": 0, "name": "Level 0", "elevation": 0 }
+ *       ],
+ *       "walls": [
+ *           {
+ *               "id": 1712345678901.123,         // Number or string, unique
+ *               "points": [[0, 0], [4, 0], ...], // [x, z] ground-plane path, >= 2 points
+ *               "height": 2.5,                   // Optional; missing values fall back
+ *               "thickness": 0.15,               //   to the app defaults
+ *               "base": 0,                       // Bottom height above the ground
+ *               "color": "#5a5a5a",
+ *               "level": 0,                      // Level id; the lowest level if missing
+ *               "openings": [                    // Optional doors and windows
+ *                   { "id": 1712345678904.5, "type": "door", // "door" or "window"
+ *                     "offset": 1.2,             // Centre, as distance along the path
+ *                     "width": 0.9, "sill": 0, "head": 2.1 } // Heights above the base
+ *               ],
+ *               "curve": {                       // Optional: arc or spline the points
+ *                   "type": "arc",               //   follow ("arc" or "spline"; see curves.js)
+ *                   "controls": [[0, 0], [2, 1], [4, 0]]
+ *               },
+ *               ...                              // Other per-wall properties
+ *           }
+ *       ],
+ *       "slabs": [                               // Optional: upper floor slabs
+ *           {
+ *               "id": 1712345678902.456,
+ *               "level": 1,                      // Level the slab is the floor of
+ *               "points": [[0, 0], [4, 0], ...], // Outline, >= 3 points
+ *               "holes": [[[1, 1], ...]]         // Optional cut-outs
+ *           }
+ *       ],
+ *       "roofs": [                               // Optional
+ *           {
+ *               "id": 1712345678903.789,
+ *               "level": 0,                      // Level of the outline it covers
+ *               "style": "hipped",               // "flat", "gabled" or "hipped"
+ *               "pitch": 30,                     // Degrees
+ *               "overhang": 0.3,
+ *               "anchor": [2, 2]                 // Point inside the walled outline,
+ *           }                                    //   or "slab": <id> to cover a slab
+ *       ],
+ *       "voids": ["3.000,3.000;6.000,3.000;..."], // Optional: nested loops left open
+ *       "rooms": [                               // Optional: ground floor rooms
+ *           {
+ *               "id": 1712345678905.321,
+ *               "name": "Kitchen",
+ *               "color": "#4a4a4a",              // Floor color
+ *               "points": [[0, 0], [4, 0], ...], // Outline it last covered, >= 3 points
+ *               "holes": [[[1, 1], ...]]         // Optional
+ *           }
+ *       ]
+ *   }
+ *
+ * Wall and slab points are level-local: the level's elevation lifts them.
+ *
+ * Roofs don't store their outline: an anchored roof covers whichever wall
+ * outline on its level contains the anchor, so it follows wall edits.
+ *
+ * `voids` lists loop keys (see getLoopKey in planarFaces.js) of nested rooms
+ * that were switched to courtyards/atriums instead of getting a floor.
+ *
+ * Floors are found from the walls, so `rooms` only hold what the user gave a
+ * room: each goes to the ground floor its outline overlaps most on load (see
+ * rooms.js), and floors without one get a new room.
+ *
+ * Per-wall properties are copied verbatim from the wall's `userData` (every
+ * key except `type`, `id` and `points`), so new wall features only need to
+ * store JSON-safe values there to be saved.
+ *
+ * Share strings are the same JSON, deflate-compressed and base64url-encoded,
+ * prefixed with SHARE_PREFIX so pasted text can be recognised.
+ *
+ * Bumping SCENE_VERSION requires a migration from the previous version in
+ * MIGRATIONS; files from newer versions are rejected rather than guessed at.
+ */
+
+import * as THREE from 'three';
+import { ROOF_STYLES } from './roofGeometry.js';
+import { OPENING_TYPES } from './wallGeometry.js';
+import { isValidCurve } from './curves.js';
+
+export const SCENE_FORMAT = 'freeform-builder-scene';
+export const SCENE_VERSION = 2;
+export const SHARE_PREFIX = 'FFB1:';
+
+// The single level of a new scene (and of every version 1 file)
+export const DEFAULT_LEVEL = Object.freeze({ id: 0, name: 'Level 0', elevation: 0 });
+
+// MIGRATIONS[n] upgrades a version-n document to version n + 1
+const MIGRATIONS = {
+    // v1 had no levels: everything sat on a single ground level
+    1: doc => ({
+        ...doc,
+        version: 2,
+        levels: [{ ...DEFAULT_LEVEL }],
+        slabs: []
+    })
+};
+
+const RESERVED_WALL_KEYS = new Set(['type', 'id', 'points']);
+
+export class SceneFormatError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'SceneFormatError';
+    }
+}
+
+// ============================================
+// SERIALIZATION
+// ============================================
+
+function roundCoord(value) {
+    return Math.round(value * 1e4) / 1e4;
+}
+
+export function serializePoints(points) {
+    return points.map(p => [roundCoord(p.x), roundCoord(p.z)]);
+}
+
+function serializeWall(wallData) {
+    const record = {
+        id: wallData.id,
+        points: serializePoints(wallData.points)
+    };
+
+    Object.keys(wallData).forEach(key => {
+        if (RESERVED_WALL_KEYS.has(key) || wallData[key] === undefined) return;
+        record[key] = JSON.parse(JSON.stringify(wallData[key]));
+    });
+
+    // Curve controls are rounded like the points they pass through
+    if (isValidCurve(record.curve)) {
+        record.curve.controls = record.curve.controls.map(([x, z]) => [roundCoord(x), roundCoord(z)]);
+    }
+
+    return record;
+}
+
+function serializeSlab(slab) {
+    const record = {
+        id: slab.id,
+        level: slab.level,
+        points: serializePoints(slab.points)
+    };
+    if (slab.holes && slab.holes.length > 0) {
+        record.holes = slab.holes.map(serializePoints);
+    }
+    return record;
+}
+
+function serializeRoof(roof) {
+    const record = {
+        id: roof.id,
+        level: roof.level,
+        style: roof.style,
+        pitch: roundCoord(roof.pitch),
+        overhang: roundCoord(roof.overhang)
+    };
+    if (roof.slab !== undefined) {
+        record.slab = roof.slab;
+    } else {
+        record.anchor = serializePoints([roof.anchor])[0];
+    }
+    return record;
+}
+
+function serializeRoom(room) {
+    const record = {
+        id: room.id,
+        name: room.name,
+        color: room.color,
+        points: serializePoints(room.points)
+    };
+    if (room.holes && room.holes.length > 0) {
+        record.holes = room.holes.map(serializePoints);
+    }
+    return record;
+}
+
+// Build a scene document from { levels, walls: [{ id, points, ...props }], slabs, roofs, voids, rooms }
+export function serializeScene({ levels = [DEFAULT_LEVEL], walls, slabs = [], roofs = [], voids = [], rooms = [] }) {
+    const doc = {
+        format: SCENE_FORMAT,
+        version: SCENE_VERSION,
+        savedAt: new Date().toISOString(),
+        levels: levels.map(({ id, name, elevation }) => ({ id, name, elevation: roundCoord(elevation) })),
+        walls: walls.map(serializeWall)
+    };
+
+    if (slabs.length > 0) {
+        doc.slabs = slabs.map(serializeSlab);
+    }
+
+    if (roofs.length > 0) {
+        doc.roofs = roofs.map(serializeRoof);
+    }
+
+    if (voids.length > 0) {
+        doc.voids = [...voids];
+    }
+
+    if (rooms.length > 0) {
+        doc.rooms = rooms.map(serializeRoom);
+    }
+
+    return doc;
+}
+
+export function stringifyScene(sceneData) {
+    return JSON.stringify(serializeScene(sceneData), null, 2);
+}
+
+// ============================================
+// PARSING & VALIDATION
+// ============================================
+
+function isFiniteNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value);
+}
+
+function isValidId(id) {
+    return isFiniteNumber(id) || (typeof id === 'string' && id.length > 0);
+}
+
+// `owner` names the record in error messages, e.g. "Wall 3"
+function parsePoint(point, owner, pointIndex) {
+    if (!Array.isArray(point) || point.length !== 2 || !point.every(isFiniteNumber)) {
+        throw new SceneFormatError(
+            `${owner}: point ${pointIndex + 1} must be an [x, z] pair of numbers.`
+        );
+    }
+    return new THREE.Vector3(point[0], 0, point[1]);
+}
+
+function parseLevel(record, index, seenIds) {
+    if (!record || typeof record !== 'object' || Array.isArray(record)) {
+        throw new SceneFormatError(`Level ${index + 1} is not an object.`);
+    }
+
+    const { id, name, elevation } = record;
+    if (!isValidId(id)) {
+        throw new SceneFormatError(`Level ${index + 1} has a missing or invalid id.`);
+    }
+    if (seenIds.has(id)) {
+        throw new SceneFormatError(`Level ${index + 1} reuses id ${id}.`);
+    }
+    seenIds.add(id);
+
+    if (!isFiniteNumber(elevation)) {
+        throw new SceneFormatError(`Level ${index + 1} needs a numeric "elevation".`);
+    }
+
+    return {
+        id,
+        name: typeof name === 'string' && name.length > 0 ? name : `Level ${index}`,
+        elevation
+    };
+}
+
+function parseSlab(record, index, seenIds, levelIds) {
+    const owner = `Slab ${index + 1}`;
+    if (!record || typeof record !== 'object' || Array.isArray(record)) {
+        throw new SceneFormatError(`${owner} is not an object.`);
+    }
+
+    const { id, level, points, holes = [] } = record;
+    if (!isValidId(id)) {
+        throw new SceneFormatError(`${owner} has a missing or invalid id.`);
+    }
+    if (seenIds.has(id)) {
+        throw new SceneFormatError(`${owner} reuses id ${id}.`);
+    }
+    seenIds.add(id);
+
+    if (!levelIds.has(level)) {
+        throw new SceneFormatError(`${owner} is on unknown level ${level}.`);
+    }
+    if (!Array.isArray(points) || points.length < 3) {
+        throw new SceneFormatError(`${owner} needs at least 3 points.`);
+    }
+    if (!Array.isArray(holes) || !holes.every(hole => Array.isArray(hole) && hole.length >= 3)) {
+        throw new SceneFormatError(`${owner}: "holes" must be a list of outlines with at least 3 points.`);
+    }
+
+    return {
+        id,
+        level,
+        points: points.map((p, i) => parsePoint(p, owner, i)),
+        holes: holes.map(hole => hole.map((p, i) => parsePoint(p, `${owner} hole`, i)))
+    };
+}
+
+function parseRoof(record, index, seenIds, levelIds, slabIds) {
+    const owner = `Roof ${index + 1}`;
+    if (!record || typeof record !== 'object' || Array.isArray(record)) {
+        throw new SceneFormatError(`${owner} is not an object.`);
+    }
+
+    const { id, level, style, pitch, overhang, anchor, slab } = record;
+    if (!isValidId(id)) {
+        throw new SceneFormatError(`${owner} has a missing or invalid id.`);
+    }
+    if (seenIds.has(id)) {
+        throw new SceneFormatError(`${owner} reuses id ${id}.`);
+    }
+    seenIds.add(id);
+
+    if (!levelIds.has(level)) {
+        throw new SceneFormatError(`${owner} is on unknown level ${level}.`);
+    }
+    if (!ROOF_STYLES.includes(style)) {
+        throw new SceneFormatError(`${owner} has unknown style "${style}".`);
+    }
+    if (!isFiniteNumber(pitch) || !isFiniteNumber(overhang)) {
+        throw new SceneFormatError(`${owner} needs numeric "pitch" and "overhang".`);
+    }
+
+    const data = { id, level, style, pitch, overhang };
+    if (slab !== undefined) {
+        if (!slabIds.has(slab)) {
+            throw new SceneFormatError(`${owner} covers unknown slab ${slab}.`);
+        }
+        data.slab = slab;
+    } else {
+        data.anchor = parsePoint(anchor, owner, 0);
+    }
+    return data;
+}
+
+function parseRoom(record, index, seenIds) {
+    const owner = `Room ${index + 1}`;
+    if (!record || typeof record !== 'object' || Array.isArray(record)) {
+        throw new SceneFormatError(`${owner} is not an object.`);
+    }
+
+    const { id, name, color, points, holes = [] } = record;
+    if (!isValidId(id)) {
+        throw new SceneFormatError(`${owner} has a missing or invalid id.`);
+    }
+    if (seenIds.has(id)) {
+        throw new SceneFormatError(`${owner} reuses id ${id}.`);
+    }
+    seenIds.add(id);
+
+    if (typeof name !== 'string' || name.length === 0) {
+        throw new SceneFormatError(`${owner} needs a "name".`);
+    }
+    if (typeof color !== 'string' || !/^#[0-9a-f]{6}$/i.test(color)) {
+        throw new SceneFormatError(`${owner} needs a "color" like "#4a4a4a".`);
+    }
+    if (!Array.isArray(points) || points.length < 3) {
+        throw new SceneFormatError(`${owner} needs at least 3 points.`);
+    }
+    if (!Array.isArray(holes) || !holes.every(hole => Array.isArray(hole) && hole.length >= 3)) {
+        throw new SceneFormatError(`${owner}: "holes" must be a list of outlines with at least 3 points.`);
+    }
+
+    return {
+        id,
+        name,
+        color: color.toLowerCase(),
+        points: points.map((p, i) => parsePoint(p, owner, i)),
+        holes: holes.map(hole => hole.map((p, i) => parsePoint(p, `${owner} hole`, i)))
+    };
+}
+
+// Openings are refitted to the wall on load, so only their shape is checked here
+function parseOpenings(openings, owner) {
+    if (!Array.isArray(openings)) {
+        throw new SceneFormatError(`${owner}: "openings" must be a list.`);
+    }
+
+    const seenIds = new Set();
+    return openings.map((opening, i) => {
+        if (!opening || typeof opening !== 'object' || !isValidId(opening.id) || seenIds.has(opening.id)) {
+            throw new SceneFormatError(`${owner}: opening ${i + 1} has a missing or repeated id.`);
+        }
+        seenIds.add(opening.id);
+
+        if (!OPENING_TYPES.includes(opening.type)) {
+            throw new SceneFormatError(`${owner}: opening ${i + 1} has unknown type "${opening.type}".`);
+        }
+        const { id, type, offset, width, sill, head } = opening;
+        if (![offset, width, sill, head].every(isFiniteNumber)) {
+            throw new SceneFormatError(
+                `${owner}: opening ${i + 1} needs numeric "offset", "width", "sill" and "head".`
+            );
+        }
+        return { id, type, offset, width, sill, head };
+    });
+}
+
+function parseWall(record, index, seenIds, levelIds) {
+    if (!record || typeof record !== 'object' || Array.isArray(record)) {
+        throw new SceneFormatError(`Wall ${index + 1} is not an object.`);
+    }
+
+    const { id, points } = record;
+
+    if (!isValidId(id)) {
+        throw new SceneFormatError(`Wall ${index + 1} has a missing or invalid id.`);
+    }
+    if (seenIds.has(id)) {
+        throw new SceneFormatError(`Wall ${index + 1} reuses id ${id}.`);
+    }
+    seenIds.add(id);
+
+    if (!Array.isArray(points) || points.length < 2) {
+        throw new SceneFormatError(`Wall ${index + 1} needs at least 2 points.`);
+    }
+    if (record.level !== undefined && !levelIds.has(record.level)) {
+        throw new SceneFormatError(`Wall ${index + 1} is on unknown level ${record.level}.`);
+    }
+
+    const data = {
+        id,
+        points: points.map((p, i) => parsePoint(p, `Wall ${index + 1}`, i))
+    };
+
+    Object.keys(record).forEach(key => {
+        if (!RESERVED_WALL_KEYS.has(key)) {
+            data[key] = record[key];
+        }
+    });
+    if (record.openings !== undefined) {
+        data.openings = parseOpenings(record.openings, `Wall ${index + 1}`);
+    }
+    if (record.curve !== undefined && !isValidCurve(record.curve)) {
+        throw new SceneFormatError(
+            `Wall ${index + 1}: "curve" must be an arc with 3 or a spline with at least 2 [x, z] controls.`
+        );
+    }
+
+    return data;
+}
+
+function migrate(doc) {
+    let current = doc;
+    while (current.version < SCENE_VERSION) {
+        const step = MIGRATIONS[current.version];
+        if (!step) {
+            throw new SceneFormatError(`Scene version ${current.version} can no longer be loaded.`);
+        }
+        current = step(current);
+    }
+    return current;
+}
+
+// Validate a scene document and return plain wall data with Vector3 points
+export function parseScene(input) {
+    let doc = input;
+
+    if (typeof input === 'string') {
+        try {
+            doc = JSON.parse(input);
+        } catch (err) {
+            throw new SceneFormatError('File is not valid JSON.');
+        }
+    }
+
+    if (!doc || typeof doc !== 'object' || Array.isArray(doc)) {
+        throw new SceneFormatError('Scene must be a JSON object.');
+    }
+    if (doc.format !== SCENE_FORMAT) {
+        throw new SceneFormatError('Not a Freeform Builder scene (missing "format" tag).');
+    }
+    if (!Number.isInteger(doc.version) || doc.version < 1) {
+        throw new SceneFormatError('Scene has a missing or invalid "version".');
+    }
+    if (doc.version > SCENE_VERSION) {
+        throw new SceneFormatError(
+            `Scene was saved by a newer version (v${doc.version}); this build reads up to v${SCENE_VERSION}.`
+        );
+    }
+
+    doc = migrate(doc);
+
+    if (!Array.isArray(doc.walls)) {
+        throw new SceneFormatError('Scene is missing its "walls" list.');
+    }
+
+    const voids = doc.voids === undefined ? [] : doc.voids;
+    if (!Array.isArray(voids) || !voids.every(key => typeof key === 'string')) {
+        throw new SceneFormatError('Scene "voids" must be a list of loop keys.');
+    }
+
+    if (!Array.isArray(doc.levels) || doc.levels.length === 0) {
+        throw new SceneFormatError('Scene needs a non-empty "levels" list.');
+    }
+    const levelIds = new Set();
+    const levels = doc.levels.map((record, i) => parseLevel(record, i, levelIds));
+
+    const slabs = doc.slabs === undefined ? [] : doc.slabs;
+    if (!Array.isArray(slabs)) {
+        throw new SceneFormatError('Scene "slabs" must be a list.');
+    }
+
+    const roofs = doc.roofs === undefined ? [] : doc.roofs;
+    if (!Array.isArray(roofs)) {
+        throw new SceneFormatError('Scene "roofs" must be a list.');
+    }
+
+    const rooms = doc.rooms === undefined ? [] : doc.rooms;
+    if (!Array.isArray(rooms)) {
+        throw new SceneFormatError('Scene "rooms" must be a list.');
+    }
+
+    const wallIds = new Set();
+    const slabIds = new Set();
+    const roofIds = new Set();
+    const roomIds = new Set();
+    return {
+        version: doc.version,
+        levels,
+        walls: doc.walls.map((record, i) => parseWall(record, i, wallIds, levelIds)),
+        slabs: slabs.map((record, i) => parseSlab(record, i, slabIds, levelIds)),
+        roofs: roofs.map((record, i) => parseRoof(record, i, roofIds, levelIds, slabIds)),
+        voids,
+        rooms: rooms.map((record, i) => parseRoom(record, i, roomIds))
+    };
+}
+
+// ============================================
+// SHARE STRINGS
+// ============================================
+
+function bytesToBase64Url(bytes) {
+    let binary = '';
+    const chunk = 0x8000;
+    for (let i = 0; i < bytes.length; i += chunk) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + chunk));
+    }
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function base64UrlToBytes(text) {
+    const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+    const padded = base64 + '='.repeat((4 - base64.length % 4) % 4);
+    const binary = atob(padded);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+}
+
+async function pipeBytes(bytes, transform) {
+    const stream = new Blob([bytes]).stream().pipeThrough(transform);
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+export async function encodeShareString(sceneData) {
+    const json = JSON.stringify(serializeScene(sceneData));
+    const compressed = await pipeBytes(
+        new TextEncoder().encode(json),
+        new CompressionStream('deflate-raw')
+    );
+    return SHARE_PREFIX + bytesToBase64Url(compressed);
+}
+
+export async function decodeShareString(text) {
+    const trimmed = text.trim();
+    if (!trimmed.startsWith(SHARE_PREFIX)) {
+        throw new SceneFormatError('Not a Freeform Builder share string.');
+    }
+
+    let json;
+    try {
+        const bytes = base64UrlToBytes(trimmed.slice(SHARE_PREFIX.length));
+        const inflated = await pipeBytes(bytes, new DecompressionStream('deflate-raw'));
+        json = new TextDecoder().decode(inflated);
+    } catch (err) {
+        throw new SceneFormatError('Share string is damaged or incomplete.');
+    }
+
+    return parseScene(json);
+}
@@ -0,0 +1,298 @@
+/**
+ * Freeform Builder - Snapping
+ *
+ * Decides where a cursor point snaps to, given the wall paths it can snap
+ * onto. Snap types are SNAP_TYPES entries, tried stage by stage:
+ *
+ * 1. point: endpoints, intersections, corners and midpoints within `radius`
+ *    of the cursor. Earlier entries win over later ones, then the closest
+ *    candidate.
+ * 2. direction: with a reference point (the previous point of the segment
+ *    being drawn or moved), the direction can lock perpendicular or parallel
+ *    to a nearby wall segment, or to an angle step. The cursor is projected
+ *    onto that line.
+ * 3. edge: the nearest point on a wall segment or, with a locked direction,
+ *    where that line crosses one.
+ * 4. grid: grid increments, of the position itself or of the length along a
+ *    locked direction.
+ *
+ * Freehand walls hold a point every few decimetres, so corners, midpoints and
+ * guide directions come from their straight runs (see getStraightRuns)
+ * rather than from every segment; edges and intersections use the exact
+ * segments.
+ *
+ * With a `queryPaths` callback (a spatial index lookup) only the paths near
+ * the cursor are looked at, so snapping cost does not grow with the scene.
+ *
+ * Results carry the winning type (for its indicator) and guide lines: the
+ * inference line of a locked direction plus the wall segment it refers to.
+ * Points are level-local THREE.Vector3s on the ground plane (y = 0).
+ */
+
+import * as THREE from 'three';
+import { getStraightRuns } from './wallGeometry.js';
+
+export const SNAP_STAGES = ['point', 'direction', 'edge', 'grid'];
+
+// Stage order first, then list order within a stage, is the priority
+export const SNAP_TYPES = [
+    { id: 'endpoint', label: 'Endpoints', stage: 'point', find: findEndpoints },
+    { id: 'intersection', label: 'Intersections', stage: 'point', find: findIntersections },
+    { id: 'corner', label: 'Corners', stage: 'point', find: findCorners },
+    { id: 'midpoint', label: 'Midpoints', stage: 'point', find: findMidpoints },
+    { id: 'perpendicular', label: 'Perpendicular', stage: 'direction', find: findPerpendicular },
+    { id: 'parallel', label: 'Parallel', stage: 'direction', find: findParallel },
+    { id: 'angle', label: 'Angles (0° / 45° / 90°)', stage: 'direction', find: findAngle },
+    { id: 'edge', label: 'Edges', stage: 'edge', find: findEdge },
+    { id: 'grid', label: 'Grid', stage: 'grid', find: findGrid, enabledByDefault: false }
+];
+
+/**
+ * @typedef {Object} SnapContext
+ * @property {THREE.Vector3[][]} [paths] - Wall paths to snap onto
+ * @property {function(THREE.Vector3, number): THREE.Vector3[][]} [queryPaths] -
+ *     Instead of `paths`: the wall paths within a distance of a point (more
+ *     are fine, they are checked exactly)
+ * @property {THREE.Vector3[]} [points] - Extra endpoints (e.g. the start of
+ *     the path being drawn, for closing a loop)
+ * @property {THREE.Vector3|null} [reference] - Start of the current segment
+ * @property {Set<THREE.Vector3>|null} [ignorePoints] - Points that must not
+ *     attract the snap; segments touching them are ignored too
+ * @property {Object<string, boolean>} enabled - Snap type id → on/off
+ * @property {string[]} [stages] - Stages to run (all by default)
+ * @property {number} radius - Capture distance of points and edges
+ * @property {number} gridSize
+ * @property {number} angleStep - Radians
+ * @property {number} angleThreshold - Capture angle of the angle steps
+ * @property {number} cardinalThreshold - Same for 0° / 90° / 180° / 270°
+ * @property {number} guideThreshold - Capture angle of perpendicular / parallel
+ * @property {number} guideRange - How far from the cursor a wall segment can
+ *     be to give perpendicular / parallel guides
+ * @property {number} runTolerance - Straightness tolerance of runs
+ */
+
+/**
+ * Snap a cursor point.
+ *
+ * @param {THREE.Vector3} cursor
+ * @param {SnapContext} context
+ * @returns {{ point: THREE.Vector3, type: string|null,
+ *     guides: Array<[THREE.Vector3, THREE.Vector3]> }} `type` is null when
+ *     nothing snapped
+ */
+export function snap(cursor, context) {
+    const stages = context.stages || SNAP_STAGES;
+    const range = Math.max(context.radius, context.guideRange);
+    const geometry = collectGeometry(context, getPaths(context, cursor, range));
+    const types = SNAP_TYPES.filter(type => context.enabled[type.id] && stages.includes(type.stage));
+    const ofStage = stage => types.filter(type => type.stage === stage);
+
+    // Point snaps take over completely
+    let best = null;
+    ofStage('point').forEach((type, priority) => {
+        type.find(cursor, context, geometry).forEach(point => {
+            const distance = point.distanceTo(cursor);
+            if (distance >= context.radius) return;
+            if (!best || priority < best.priority || (priority === best.priority && distance < best.distance)) {
+                best = { point, priority, distance, type: type.id };
+            }
+        });
+    });
+    if (best) return { point: best.point.clone(), type: best.type, guides: [] };
+
+    // A locked direction, then edges and the grid refine the point along it
+    let result = { point: cursor.clone(), type: null, guides: [] };
+    let line = null;
+    for (const type of ofStage('direction')) {
+        const lock = context.reference ? type.find(cursor, context, geometry) : null;
+        if (!lock) continue;
+
+        const offset = cursor.clone().sub(context.reference);
+        const point = context.reference.clone().addScaledVector(lock.direction, offset.dot(lock.direction));
+        line = { origin: context.reference, direction: lock.direction };
+        result = { point, type: type.id, guides: [[context.reference, point], ...lock.guides] };
+        break;
+    }
+
+    // A locked direction can carry the point out of the range looked at
+    const edgeGeometry = result.point.distanceTo(cursor) + context.radius > range ?
+        collectGeometry(context, getPaths(context, result.point, context.radius)) : geometry;
+    for (const stage of ['edge', 'grid']) {
+        for (const type of ofStage(stage)) {
+            const point = type.find(result.point, context, edgeGeometry, line);
+            if (!point) continue;
+
+            if (line) result.guides[0] = [line.origin, point];
+            return { ...result, point, type: type.id };
+        }
+    }
+    return result;
+}
+
+function getPaths(context, point, range) {
+    return context.queryPaths ? context.queryPaths(point, range) : context.paths;
+}
+
+// Path ends, segments and straight runs ({ a, b, pathIndex, index }) that
+// hold no ignored points, plus the corners between runs
+function collectGeometry(context, paths) {
+    const isFixed = points => !points.some(point => isIgnored(point, context));
+    const endpoints = paths.flatMap(path => [path[0], path[path.length - 1]]);
+    const segments = [];
+    const runs = [];
+    const corners = [];
+    paths.forEach((path, pathIndex) => {
+        for (let i = 0; i < path.length - 1; i++) {
+            const a = path[i];
+            const b = path[i + 1];
+            if (isFixed([a, b]) && a.distanceToSquared(b) > 1e-12) {
+                segments.push({ a, b, pathIndex, index: i });
+            }
+        }
+
+        getStraightRuns(path, context.runTolerance).forEach(({ start, end }, index) => {
+            if (start > 0 && !isIgnored(path[start], context)) corners.push(path[start]);
+            if (isFixed(path.slice(start, end + 1))) runs.push({ a: path[start], b: path[end], pathIndex, index });
+        });
+    });
+    return { endpoints, segments, runs: runs.filter(({ a, b }) => a.distanceToSquared(b) > 1e-12), corners };
+}
+
+function isIgnored(point, context) {
+    return Boolean(context.ignorePoints && context.ignorePoints.has(point));
+}
+
+function findEndpoints(cursor, context, { endpoints }) {
+    const points = [...endpoints, ...(context.points || [])];
+    return points.filter(point => point && !isIgnored(point, context));
+}
+
+function findCorners(cursor, context, { corners }) {
+    return corners;
+}
+
+function findMidpoints(cursor, context, { runs }) {
+    return runs.map(({ a, b }) => a.clone().add(b).multiplyScalar(0.5));
+}
+
+// Crossings of segments near the cursor (including where walls meet at a
+// shared node); neighbouring segments of one path always meet, so skip them
+function findIntersections(cursor, context, { segments }) {
+    const near = segments.filter(segment => distanceToSegment(cursor, segment) < context.radius);
+    const points = [];
+    for (let i = 0; i < near.length; i++) {
+        for (let j = i + 1; j < near.length; j++) {
+            const s1 = near[i];
+            const s2 = near[j];
+            if (s1.pathIndex === s2.pathIndex && Math.abs(s1.index - s2.index) <= 1) continue;
+
+            const crossing = intersectLines(s1.a, s1.b.clone().sub(s1.a), s2.a, s2.b.clone().sub(s2.a));
+            if (crossing && crossing.t >= -1e-6 && crossing.t <= 1 + 1e-6 &&
+                crossing.u >= -1e-6 && crossing.u <= 1 + 1e-6) {
+                points.push(crossing.point);
+            }
+        }
+    }
+    return points;
+}
+
+// Nearby run whose direction (or its normal, when `perpendicular`) is
+// closest to the reference → cursor direction
+function findAlignment(cursor, context, { runs }, perpendicular) {
+    const reference = context.reference;
+    const heading = cursor.clone().sub(reference);
+    if (heading.lengthSq() < 1e-8) return null;
+    heading.normalize();
+
+    let best = null;
+    runs.forEach(segment => {
+        if (distanceToSegment(cursor, segment) > context.guideRange) return;
+
+        const along = segment.b.clone().sub(segment.a).normalize();
+        const direction = perpendicular ? new THREE.Vector3(-along.z, 0, along.x) : along;
+        const dot = heading.dot(direction);
+        const deviation = Math.acos(Math.min(1, Math.abs(dot)));
+        if (deviation >= context.guideThreshold || (best && deviation >= best.deviation)) return;
+
+        best = { deviation, direction: dot < 0 ? direction.negate() : direction, segment };
+    });
+    if (!best) return null;
+
+    const { a, b } = best.segment;
+    const guides = [[a, b]];
+    if (perpendicular) {
+        // Drop from the reference onto the segment's line
+        const foot = new THREE.Line3(a, b).closestPointToPoint(reference, false, new THREE.Vector3());
+        guides.push([reference, foot]);
+    }
+    return { direction: best.direction, guides };
+}
+
+function findPerpendicular(cursor, context, geometry) {
+    return findAlignment(cursor, context, geometry, true);
+}
+
+function findParallel(cursor, context, geometry) {
+    return findAlignment(cursor, context, geometry, false);
+}
+
+// The nearest angle step; 0° / 90° / 180° / 270° pull less strongly than the diagonals
+function findAngle(cursor, context) {
+    const offset = cursor.clone().sub(context.reference);
+    if (offset.lengthSq() < 1e-8) return null;
+
+    const angle = Math.atan2(offset.z, offset.x);
+    const snapAngle = Math.round(angle / context.angleStep) * context.angleStep;
+    const cardinalAngle = Math.round(angle / (Math.PI / 2)) * (Math.PI / 2);
+    const isCardinal = Math.abs(snapAngle - cardinalAngle) < 0.001;
+    const threshold = isCardinal ? context.cardinalThreshold : context.angleThreshold;
+    if (Math.abs(angle - snapAngle) >= threshold) return null;
+
+    return { direction: new THREE.Vector3(Math.cos(snapAngle), 0, Math.sin(snapAngle)), guides: [] };
+}
+
+// Closest point on a segment, or where a locked direction crosses one
+function findEdge(point, context, { segments }, line) {
+    let best = null;
+    segments.forEach(segment => {
+        let candidate;
+        if (line) {
+            const crossing = intersectLines(line.origin, line.direction, segment.a, segment.b.clone().sub(segment.a));
+            if (!crossing || crossing.u < 0 || crossing.u > 1 || crossing.t <= 1e-6) return;
+            candidate = crossing.point;
+        } else {
+            candidate = new THREE.Line3(segment.a, segment.b).closestPointToPoint(point, true, new THREE.Vector3());
+        }
+
+        const distance = candidate.distanceTo(point);
+        if (distance < context.radius && (!best || distance < best.distance)) {
+            best = { point: candidate, distance };
+        }
+    });
+    return best ? best.point : null;
+}
+
+function findGrid(point, context, geometry, line) {
+    const size = context.gridSize;
+    if (line) {
+        const length = Math.round(point.clone().sub(line.origin).dot(line.direction) / size) * size;
+        return line.origin.clone().addScaledVector(line.direction, length);
+    }
+    return new THREE.Vector3(Math.round(point.x / size) * size, 0, Math.round(point.z / size) * size);
+}
+
+function distanceToSegment(point, { a, b }) {
+    return new THREE.Line3(a, b).closestPointToPoint(point, true, new THREE.Vector3()).distanceTo(point);
+}
+
+// Lines p + t·r and q + u·s in the XZ plane; null when parallel
+function intersectLines(p, r, q, s) {
+    const denominator = r.x * s.z - r.z * s.x;
+    if (Math.abs(denominator) < 1e-12) return null;
+
+    const dx = q.x - p.x;
+    const dz = q.z - p.z;
+    const t = (dx * s.z - dz * s.x) / denominator;
+    const u = (dx * r.z - dz * r.x) / denominator;
+    return { t, u, point: new THREE.Vector3(p.x + r.x * t, 0, p.z + r.z * t) };
+}
@@ -0,0 +1,235 @@
+/**
+ * Freeform Builder - Spatial Index
+ *
+ * A uniform grid over the ground plane (x, z) for "what is near here"
+ * questions that would otherwise scan every wall: snapping, picking and
+ * noding. Paths are stored in the cells their segments actually cross (a
+ * grid walk), other items in every cell their bounds touch, so a query only
+ * looks at the cells its own path or bounds touch. Cells are square and
+ * should be about the size of a typical wall segment; long items simply span
+ * more cells, in proportion to their length.
+ *
+ * Bounds are { minX, minZ, maxX, maxZ }.
+ */
+
+export const DEFAULT_CELL_SIZE = 4;
+const MAX_ITEM_CELLS = 256; // Cells one bounds may fill before its item is kept aside (see insert)
+
+/**
+ * Bounds of a point list, grown by `margin` on every side.
+ *
+ * @param {Array<{x: number, z: number}>} points
+ * @param {number} [margin]
+ * @returns {{ minX: number, minZ: number, maxX: number, maxZ: number }}
+ */
+export function getPointsBounds(points, margin = 0) {
+    const bounds = { minX: Infinity, minZ: Infinity, maxX: -Infinity, maxZ: -Infinity };
+    points.forEach(({ x, z }) => {
+        bounds.minX = Math.min(bounds.minX, x);
+        bounds.minZ = Math.min(bounds.minZ, z);
+        bounds.maxX = Math.max(bounds.maxX, x);
+        bounds.maxZ = Math.max(bounds.maxZ, z);
+    });
+    bounds.minX -= margin;
+    bounds.minZ -= margin;
+    bounds.maxX += margin;
+    bounds.maxZ += margin;
+    return bounds;
+}
+
+/**
+ * Whether two bounds overlap (touching counts).
+ *
+ * @returns {boolean}
+ */
+export function boundsOverlap(a, b) {
+    return a.minX <= b.maxX && b.minX <= a.maxX && a.minZ <= b.maxZ && b.minZ <= a.maxZ;
+}
+
+/**
+ * Create an empty grid index.
+ *
+ * @param {number} [cellSize]
+ */
+export function createSpatialIndex(cellSize = DEFAULT_CELL_SIZE) {
+    const cells = new Map(); // 'i,j' → { i, j, items }
+    const itemCells = new Map(); // Item → keys of the cells holding it
+    const wideItems = new Set(); // Items whose bounds span too many cells; every query gets them
+
+    // Cell coordinate range of some bounds, or null for empty bounds
+    function getCellRange({ minX, minZ, maxX, maxZ }) {
+        if (!(minX <= maxX && minZ <= maxZ)) return null;
+        return {
+            i0: Math.floor(minX / cellSize),
+            i1: Math.floor(maxX / cellSize),
+            j0: Math.floor(minZ / cellSize),
+            j1: Math.floor(maxZ / cellSize)
+        };
+    }
+
+    function getCellKeys(bounds) {
+        const range = getCellRange(bounds);
+        const keys = [];
+        if (!range) return keys;
+
+        for (let i = range.i0; i <= range.i1; i++) {
+            for (let j = range.j0; j <= range.j1; j++) keys.push(`${i},${j}`);
+        }
+        return keys;
+    }
+
+    // Cells holding some point of segment a-b, walked along it from a to b,
+    // so a long diagonal takes cells in proportion to its length rather than
+    // its bounds. Where it passes through a cell corner, both cells beside
+    // the corner are taken as well.
+    function getSegmentCells(a, b) {
+        let i = Math.floor(a.x / cellSize);
+        let j = Math.floor(a.z / cellSize);
+        const iEnd = Math.floor(b.x / cellSize);
+        const jEnd = Math.floor(b.z / cellSize);
+        const dx = b.x - a.x;
+        const dz = b.z - a.z;
+        const stepI = Math.sign(dx);
+        const stepJ = Math.sign(dz);
+
+        // Parameter along a-b of the next cell border crossed in x and in z
+        const tDeltaX = stepI !== 0 ? cellSize / Math.abs(dx) : Infinity;
+        const tDeltaZ = stepJ !== 0 ? cellSize / Math.abs(dz) : Infinity;
+        let tMaxX = stepI !== 0 ? ((i + (stepI > 0 ? 1 : 0)) * cellSize - a.x) / dx : Infinity;
+        let tMaxZ = stepJ !== 0 ? ((j + (stepJ > 0 ? 1 : 0)) * cellSize - a.z) / dz : Infinity;
+
+        const result = [[i, j]];
+        while (i !== iEnd || j !== jEnd) {
+            if (j === jEnd || (i !== iEnd && tMaxX < tMaxZ)) {
+                i += stepI;
+                tMaxX += tDeltaX;
+            } else if (i === iEnd || tMaxZ < tMaxX) {
+                j += stepJ;
+                tMaxZ += tDeltaZ;
+            } else {
+                result.push([i + stepI, j], [i, j + stepJ]);
+                i += stepI;
+                j += stepJ;
+                tMaxX += tDeltaX;
+                tMaxZ += tDeltaZ;
+            }
+            result.push([i, j]);
+        }
+        return result;
+    }
+
+    function getPathCells(points) {
+        if (points.length === 1) return getSegmentCells(points[0], points[0]);
+        const result = [];
+        for (let k = 0; k < points.length - 1; k++) result.push(...getSegmentCells(points[k], points[k + 1]));
+        return result;
+    }
+
+    function addToCells(item, keys) {
+        remove(item);
+        keys.forEach(key => {
+            if (!cells.has(key)) {
+                const [i, j] = key.split(',').map(Number);
+                cells.set(key, { i, j, items: new Set() });
+            }
+            cells.get(key).items.add(item);
+        });
+        itemCells.set(item, keys);
+    }
+
+    // Store `item` under one or more bounds. Bounds spanning more than
+    // MAX_ITEM_CELLS cells would fill the grid with one item, so such an
+    // item is kept aside and handed to every query instead.
+    function insert(item, ...boundsList) {
+        const wide = boundsList.some(bounds => {
+            const range = getCellRange(bounds);
+            return range && (range.i1 - range.i0 + 1) * (range.j1 - range.j0 + 1) > MAX_ITEM_CELLS;
+        });
+        if (wide) {
+            addToCells(item, new Set());
+            wideItems.add(item);
+            return;
+        }
+        addToCells(item, new Set(boundsList.flatMap(getCellKeys)));
+    }
+
+    // Store `item` under the cells its path (a point list) passes through
+    function insertPath(item, points) {
+        addToCells(item, new Set(getPathCells(points).map(([i, j]) => `${i},${j}`)));
+    }
+
+    function remove(item) {
+        const keys = itemCells.get(item);
+        if (!keys) return;
+
+        keys.forEach(key => {
+            const cell = cells.get(key);
+            cell.items.delete(item);
+            if (cell.items.size === 0) cells.delete(key);
+        });
+        itemCells.delete(item);
+        wideItems.delete(item);
+    }
+
+    // Candidates for `bounds`: every item sharing a cell with it, so some may
+    // lie just outside
+    function query(bounds) {
+        const range = getCellRange(bounds);
+        const found = new Set(wideItems);
+        if (!range) return [...found];
+
+        const { i0, i1, j0, j1 } = range;
+        if ((i1 - i0 + 1) * (j1 - j0 + 1) > cells.size) {
+            // Wider than the occupied cells: walk those instead
+            cells.forEach(({ i, j, items }) => {
+                if (i >= i0 && i <= i1 && j >= j0 && j <= j1) items.forEach(item => found.add(item));
+            });
+        } else {
+            for (let i = i0; i <= i1; i++) {
+                for (let j = j0; j <= j1; j++) {
+                    const cell = cells.get(`${i},${j}`);
+                    if (cell) cell.items.forEach(item => found.add(item));
+                }
+            }
+        }
+        return [...found];
+    }
+
+    // Candidates within `margin` of a path: the items in the cells it passes
+    // through and the cells around them (as far as `margin` reaches)
+    function queryPath(points, margin = 0) {
+        const rings = Math.ceil(margin / cellSize);
+        const found = new Set(wideItems);
+        const seen = new Set();
+        getPathCells(points).forEach(([i, j]) => {
+            for (let di = -rings; di <= rings; di++) {
+                for (let dj = -rings; dj <= rings; dj++) {
+                    const key = `${i + di},${j + dj}`;
+                    if (seen.has(key)) continue;
+                    seen.add(key);
+                    const cell = cells.get(key);
+                    if (cell) cell.items.forEach(item => found.add(item));
+                }
+            }
+        });
+        return [...found];
+    }
+
+    function clear() {
+        cells.clear();
+        itemCells.clear();
+        wideItems.clear();
+    }
+
+    return {
+        insert,
+        insertPath,
+        remove,
+        query,
+        queryPath,
+        clear,
+        get size() {
+            return itemCells.size;
+        }
+    };
+}
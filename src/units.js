@@ -0,0 +1,95 @@
+/**
+ * Freeform Builder - Units
+ *
+ * Formatting and parsing of lengths and angles for on-screen dimensions and
+ * typed input, and of areas for plan drawings. The scene itself is always in
+ * metres; the unit system only changes how numbers are shown and how bare
+ * typed numbers are read.
+ *
+ * Typed lengths accept:
+ *   4.5          bare number, metres (metric) or feet (imperial)
+ *   450cm 4500mm 4.5m
+ *   12' 6"  12'  6"  12ft  6in
+ *
+ * Dimension input is a length with an optional angle: "4.5<30" places a
+ * point 4.5 away at 30 degrees, measured counter-clockwise from +x as seen
+ * on the plan (with -z pointing up the screen).
+ */
+
+export const UNIT_SYSTEMS = ['metric', 'imperial'];
+
+const METERS_PER_UNIT = {
+    m: 1,
+    cm: 0.01,
+    mm: 0.001,
+    ft: 0.3048,
+    in: 0.0254
+};
+
+const NUMBER = '(\\d+(?:\\.\\d*)?|\\.\\d+)';
+const FEET_INCHES = new RegExp(`^${NUMBER}'\\s*(?:${NUMBER}(?:"|in)?)?$`);
+const WITH_UNIT = new RegExp(`^${NUMBER}\\s*(m|cm|mm|ft|in|")?$`);
+
+export function formatLength(meters, units = 'metric') {
+    if (units === 'imperial') {
+        const totalInches = Math.round(meters / METERS_PER_UNIT.in);
+        const feet = Math.floor(totalInches / 12);
+        return `${feet}' ${totalInches - feet * 12}"`;
+    }
+    return `${meters.toFixed(2)} m`;
+}
+
+export function formatArea(squareMeters, units = 'metric') {
+    if (units === 'imperial') {
+        return `${Math.round(squareMeters / METERS_PER_UNIT.ft ** 2)} ft²`;
+    }
+    return `${squareMeters.toFixed(2)} m²`;
+}
+
+export function formatAngle(degrees) {
+    return `${Number(degrees.toFixed(1))}°`;
+}
+
+/**
+ * Read a typed length.
+ *
+ * @param {string} text
+ * @param {string} [units='metric'] - Unit of bare numbers
+ * @returns {number|null} Metres, or null unless it is a positive length
+ */
+export function parseLength(text, units = 'metric') {
+    const input = text.trim().toLowerCase();
+    let meters = null;
+
+    const feetInches = input.match(FEET_INCHES);
+    const withUnit = input.match(WITH_UNIT);
+    if (feetInches) {
+        meters = parseFloat(feetInches[1]) * METERS_PER_UNIT.ft +
+            (feetInches[2] ? parseFloat(feetInches[2]) * METERS_PER_UNIT.in : 0);
+    } else if (withUnit) {
+        const unit = withUnit[2] === '"' ? 'in' : withUnit[2] || (units === 'imperial' ? 'ft' : 'm');
+        meters = parseFloat(withUnit[1]) * METERS_PER_UNIT[unit];
+    }
+
+    return meters !== null && meters > 0 ? meters : null;
+}
+
+/**
+ * Read "length" or "length<angle".
+ *
+ * @param {string} text
+ * @param {string} [units='metric']
+ * @returns {{ length: number, angle: number|null } | null} Length in metres,
+ *     angle in degrees
+ */
+export function parseDimensionInput(text, units = 'metric') {
+    const [lengthText, angleText, ...rest] = text.split('<');
+    if (rest.length > 0) return null;
+
+    const length = parseLength(lengthText, units);
+    if (length === null) return null;
+    if (angleText === undefined) return { length, angle: null };
+
+    const angle = Number(angleText.trim().replace(/°$/, ''));
+    return angleText.trim() !== '' && Number.isFinite(angle) ? { length, angle } : null;
+}
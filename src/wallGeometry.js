@@ -0,0 +1,883 @@
+/**
+ * Freeform Builder - Wall Geometry
+ *
+ * Builds extruded wall meshes from ground-plane paths.
+ *
+ * - Corners are mitered: the offset at each bend is scaled by 1 / cos(θ/2)
+ *   so walls keep their thickness. Past MITER_LIMIT the outer side is
+ *   bevelled instead of spiking out.
+ * - Closed loops are welded into a single ring (outer + inner outline)
+ *   with no seam at the start point.
+ * - Free ends get square end caps.
+ * - Junctions (nodes shared with other walls, see wallTopology.js) are
+ *   resolved against every wall meeting there: each wall end is cut where
+ *   its faces meet its neighbours', and where three or more walls meet the
+ *   centre polygon is filled by one "cap" owned by a single wall, so
+ *   separate meshes never overlap and z-fight.
+ * - Openings (doors and windows) are cut through the full thickness: the
+ *   run is split along its path at each opening's sides, and the piece
+ *   inside the opening keeps only its sill and lintel blocks, so the jambs,
+ *   sill and head get proper reveal faces. fitOpenings keeps every opening
+ *   on one straight segment, clear of corners, junctions and each other.
+ *
+ * The outline of each wall piece is triangulated with THREE.ShapeUtils and
+ * extruded with flat-shaded sides. Plan drawings use the same piece outlines
+ * (see createWallPlanOutlines). For export to STL the pieces can instead be
+ * welded into one closed solid per wall (the `closed` option).
+ */
+
+import * as THREE from 'three';
+import { getVertexKey } from './planarFaces.js';
+
+export const MITER_LIMIT = 4;
+export const OPENING_TYPES = ['door', 'window'];
+export const MIN_OPENING_WIDTH = 0.3;
+export const MIN_OPENING_HEIGHT = 0.2;
+const OPENING_GAP = 0.1; // Solid wall kept between neighbouring openings
+
+const EPSILON = 1e-9;
+
+// ============================================
+// 2D HELPERS (ground plane x, z)
+// ============================================
+
+function direction(from, to) {
+    const dx = to.x - from.x;
+    const dz = to.z - from.z;
+    const length = Math.hypot(dx, dz);
+    return length < EPSILON ? null : { x: dx / length, z: dz / length };
+}
+
+// Left-hand normal of a direction (rotated +90° towards increasing angle)
+function normal(d) {
+    return { x: -d.z, z: d.x };
+}
+
+function offset(p, n, distance) {
+    return { x: p.x + n.x * distance, z: p.z + n.z * distance };
+}
+
+// Intersection of lines p + t * d and q + s * e, or null when parallel
+function intersectLines(p, d, q, e) {
+    const denom = d.x * e.z - d.z * e.x;
+    if (Math.abs(denom) < 1e-6) return null;
+    const t = ((q.x - p.x) * e.z - (q.z - p.z) * e.x) / denom;
+    return { x: p.x + d.x * t, z: p.z + d.z * t };
+}
+
+function ringArea(ring) {
+    let area = 0;
+    for (let i = 0; i < ring.length; i++) {
+        const a = ring[i];
+        const b = ring[(i + 1) % ring.length];
+        area += a.x * b.z - b.x * a.z;
+    }
+    return area / 2;
+}
+
+function clampToLimit(center, corner, maxDistance) {
+    const dx = corner.x - center.x;
+    const dz = corner.z - center.z;
+    const distance = Math.hypot(dx, dz);
+    if (distance <= maxDistance) return corner;
+    const scale = maxDistance / distance;
+    return { x: center.x + dx * scale, z: center.z + dz * scale };
+}
+
+function isClosedPath(path) {
+    return path.length > 3 &&
+        Math.hypot(path[0].x - path[path.length - 1].x, path[0].z - path[path.length - 1].z) < 1e-6;
+}
+
+// Distance along the path at every point
+function cumulativeLengths(path) {
+    const lengths = [0];
+    for (let i = 1; i < path.length; i++) {
+        lengths.push(lengths[i - 1] + Math.hypot(path[i].x - path[i - 1].x, path[i].z - path[i - 1].z));
+    }
+    return lengths;
+}
+
+function dedupePoints(points) {
+    const result = [];
+    points.forEach(p => {
+        const last = result[result.length - 1];
+        if (!last || Math.hypot(p.x - last.x, p.z - last.z) > 1e-6) {
+            result.push(p);
+        }
+    });
+    return result;
+}
+
+// ============================================
+// JUNCTIONS
+// ============================================
+
+/**
+ * Index every wall edge by the node it leaves from.
+ *
+ * @param {Array<{ id, points, thickness, height, base }>} walls - `base`
+ *     (bottom height) defaults to 0
+ * @returns {Map<string, Array>} node key -> incident edges sorted by angle,
+ *     each { wallId, index, neighbor, dir, halfThickness, height, base }
+ */
+export function buildJunctionIndex(walls) {
+    const index = new Map();
+
+    walls.forEach(({ id, points, thickness, height, base = 0 }) => {
+        const path = dedupePoints(points);
+        for (let i = 0; i < path.length; i++) {
+            [i - 1, i + 1].forEach(neighbor => {
+                if (neighbor < 0 || neighbor >= path.length) return;
+                const dir = direction(path[i], path[neighbor]);
+                if (!dir) return;
+
+                const key = getVertexKey(path[i]);
+                if (!index.has(key)) index.set(key, []);
+                index.get(key).push({
+                    wallId: id,
+                    index: i,
+                    neighbor,
+                    dir,
+                    halfThickness: thickness / 2,
+                    height,
+                    base,
+                    angle: Math.atan2(dir.z, dir.x)
+                });
+            });
+        }
+    });
+
+    index.forEach(edges => edges.sort((a, b) => a.angle - b.angle));
+    return index;
+}
+
+// Corner between edge k and the next edge counter-clockwise around the node
+function junctionCorner(node, edges, k) {
+    const a = edges[k];
+    const b = edges[(k + 1) % edges.length];
+    const left = offset(node, normal(a.dir), a.halfThickness);
+    const right = offset(node, normal(b.dir), -b.halfThickness);
+
+    const corner = intersectLines(left, a.dir, right, b.dir) || left;
+    const limit = Math.max(a.halfThickness, b.halfThickness) * MITER_LIMIT;
+    return clampToLimit(node, corner, limit);
+}
+
+// Corners for the end of a wall run at `node`, as seen walking away from it
+// along `index -> neighbor`: { left, right } relative to that direction
+function junctionEnd(node, junctions, wallId, index, neighbor) {
+    if (!junctions) return null;
+
+    const edges = junctions.get(getVertexKey(node));
+    if (!edges || edges.length < 2) return null;
+
+    const k = edges.findIndex(e => e.wallId === wallId && e.index === index && e.neighbor === neighbor);
+    if (k < 0) return null;
+
+    return {
+        left: junctionCorner(node, edges, k),
+        right: junctionCorner(node, edges, (k - 1 + edges.length) % edges.length)
+    };
+}
+
+// Owner of a 3+ way node: the wall with the lowest id draws the centre cap
+function isCapOwner(edges, wallId) {
+    let owner = edges[0].wallId;
+    edges.forEach(e => {
+        if (String(e.wallId) < String(owner)) owner = e.wallId;
+    });
+    return owner === wallId;
+}
+
+function degreeAt(junctions, point) {
+    if (!junctions) return 0;
+    const edges = junctions.get(getVertexKey(point));
+    return edges ? edges.length : 0;
+}
+
+// ============================================
+// OFFSET OUTLINES
+// ============================================
+
+// Left and right offset points at an interior vertex (1 or 2 points per side)
+function miterVertex(prev, point, next, halfThick) {
+    const a = direction(prev, point);
+    const b = direction(point, next);
+    if (!a || !b) {
+        const d = a || b || { x: 1, z: 0 };
+        const n = normal(d);
+        return { left: [offset(point, n, halfThick)], right: [offset(point, n, -halfThick)] };
+    }
+
+    const na = normal(a);
+    const nb = normal(b);
+    const sum = { x: na.x + nb.x, z: na.z + nb.z };
+    const sumLength = Math.hypot(sum.x, sum.z);
+
+    // Straight through (or folding back on itself): plain offset
+    if (sumLength < EPSILON) {
+        return { left: [offset(point, na, halfThick)], right: [offset(point, na, -halfThick)] };
+    }
+
+    const miter = { x: sum.x / sumLength, z: sum.z / sumLength };
+    const cosHalf = miter.x * na.x + miter.z * na.z;
+    const miterLength = halfThick / Math.max(cosHalf, EPSILON);
+
+    if (miterLength <= halfThick * MITER_LIMIT) {
+        return {
+            left: [offset(point, miter, miterLength)],
+            right: [offset(point, miter, -miterLength)]
+        };
+    }
+
+    // Too sharp: bevel the outer side, clamp the inner miter
+    const inner = offset(point, miter, halfThick * MITER_LIMIT);
+    const innerOpposite = offset(point, miter, -halfThick * MITER_LIMIT);
+    const turnsLeft = b.x * na.x + b.z * na.z > 0;
+
+    if (turnsLeft) {
+        return {
+            left: [inner],
+            right: [offset(point, na, -halfThick), offset(point, nb, -halfThick)]
+        };
+    }
+    return {
+        left: [offset(point, na, halfThick), offset(point, nb, halfThick)],
+        right: [innerOpposite]
+    };
+}
+
+function runEnd(point, towards, halfThick, junctionCorners, atStart) {
+    if (junctionCorners) {
+        return atStart ? junctionCorners :
+            { left: junctionCorners.right, right: junctionCorners.left };
+    }
+
+    // Square end cap
+    const d = atStart ? direction(point, towards) : direction(towards, point);
+    const n = normal(d || { x: 1, z: 0 });
+    return { left: offset(point, n, halfThick), right: offset(point, n, -halfThick) };
+}
+
+// Outline polygon for an open run of points (left side forward, right side back)
+function openRunOutline(run, halfThick, startCorners, endCorners) {
+    const left = [];
+    const right = [];
+    const last = run.length - 1;
+
+    const start = runEnd(run[0], run[1], halfThick, startCorners, true);
+    left.push(start.left);
+    right.push(start.right);
+
+    for (let i = 1; i < last; i++) {
+        const { left: l, right: r } = miterVertex(run[i - 1], run[i], run[i + 1], halfThick);
+        left.push(...l);
+        right.push(...r);
+    }
+
+    const end = runEnd(run[last], run[last - 1], halfThick, endCorners, false);
+    left.push(end.left);
+    right.push(end.right);
+
+    return [...left, ...right.reverse()];
+}
+
+// Welded outline rings for a closed loop with no junctions on it
+function closedRings(ring, halfThick) {
+    const left = [];
+    const right = [];
+    const n = ring.length;
+
+    for (let i = 0; i < n; i++) {
+        const { left: l, right: r } = miterVertex(ring[(i - 1 + n) % n], ring[i], ring[(i + 1) % n], halfThick);
+        left.push(...l);
+        right.push(...r);
+    }
+
+    return Math.abs(ringArea(left)) > Math.abs(ringArea(right)) ?
+        { outer: left, inner: right } :
+        { outer: right, inner: left };
+}
+
+// ============================================
+// EXTRUSION
+// ============================================
+
+function createBuilder() {
+    const positions = [];
+    const normals = [];
+
+    const ab = new THREE.Vector3();
+    const ac = new THREE.Vector3();
+
+    function triangle(a, b, c, n) {
+        ab.subVectors(b, a);
+        ac.subVectors(c, a);
+        const cross = ab.cross(ac);
+        if (cross.lengthSq() < 1e-14) return;
+
+        const [p, q, r] = cross.dot(n) >= 0 ? [a, b, c] : [a, c, b];
+        [p, q, r].forEach(v => {
+            positions.push(v.x, v.y, v.z);
+            normals.push(n.x, n.y, n.z);
+        });
+    }
+
+    return { positions, normals, triangle };
+}
+
+// Outer ring counter-clockwise, holes clockwise
+function orientRings(contour, holes) {
+    const outer = ringArea(contour) < 0 ? [...contour].reverse() : contour;
+    return [outer, ...holes.map(hole => (ringArea(hole) > 0 ? [...hole].reverse() : hole))];
+}
+
+// Top and bottom faces of a polygon (oriented rings, outer first). The
+// triangulation skips ring points on a straight line; `keepAllPoints` splits
+// the triangles there again, so faces beside them share those vertices.
+function fillRings(builder, [outer, ...innerRings], bottom, top, keepAllPoints = false) {
+    const up = new THREE.Vector3(0, 1, 0);
+    const down = new THREE.Vector3(0, -1, 0);
+    const all = [outer, ...innerRings].flat();
+
+    const triangles = THREE.ShapeUtils.triangulateShape(
+        outer.map(p => new THREE.Vector2(p.x, p.z)),
+        innerRings.map(ring => ring.map(p => new THREE.Vector2(p.x, p.z)))
+    );
+
+    const emit = (a, b, c) => {
+        builder.triangle(
+            new THREE.Vector3(a.x, top, a.z),
+            new THREE.Vector3(b.x, top, b.z),
+            new THREE.Vector3(c.x, top, c.z),
+            up
+        );
+        builder.triangle(
+            new THREE.Vector3(a.x, bottom, a.z),
+            new THREE.Vector3(b.x, bottom, b.z),
+            new THREE.Vector3(c.x, bottom, c.z),
+            down
+        );
+    };
+
+    triangles.forEach(([i, j, k]) => {
+        if (keepAllPoints) {
+            splitAtPoints(all[i], all[j], all[k], all, emit);
+        } else {
+            emit(all[i], all[j], all[k]);
+        }
+    });
+}
+
+// Split triangle a-b-c wherever one of `points` lies inside one of its edges
+function splitAtPoints(a, b, c, points, emit) {
+    const edges = [[a, b, c], [b, c, a], [c, a, b]];
+    for (const [p, q, r] of edges) {
+        const d = direction(p, q);
+        const length = Math.hypot(q.x - p.x, q.z - p.z);
+        const m = d && points.find(v => {
+            const t = (v.x - p.x) * d.x + (v.z - p.z) * d.z;
+            const side = (v.x - p.x) * d.z - (v.z - p.z) * d.x;
+            return t > 1e-6 && t < length - 1e-6 && Math.abs(side) < 1e-6;
+        });
+        if (m) {
+            splitAtPoints(p, m, r, points, emit);
+            splitAtPoints(m, q, r, points, emit);
+            return;
+        }
+    }
+    emit(a, b, c);
+}
+
+// Extrude a polygon (contour + holes, ground-plane points) between two heights
+function extrudePolygon(builder, contour, holes, bottom, top, withSides = true) {
+    const rings = orientRings(contour, holes);
+    fillRings(builder, rings, bottom, top);
+
+    if (!withSides) return;
+
+    // Outer ring is counter-clockwise and holes clockwise, so (dz, -dx) faces out of the solid
+    rings.forEach(ring => {
+        for (let i = 0; i < ring.length; i++) {
+            const p = ring[i];
+            const q = ring[(i + 1) % ring.length];
+            const d = direction(p, q);
+            if (!d) continue;
+
+            const n = new THREE.Vector3(d.z, 0, -d.x);
+            const p0 = new THREE.Vector3(p.x, bottom, p.z);
+            const q0 = new THREE.Vector3(q.x, bottom, q.z);
+            const p1 = new THREE.Vector3(p.x, top, p.z);
+            const q1 = new THREE.Vector3(q.x, top, q.z);
+            builder.triangle(p0, q0, q1, n);
+            builder.triangle(p0, q1, p1, n);
+        }
+    });
+}
+
+// Parts of the height intervals in `list` that `other` doesn't cover
+function subtractIntervals(list, other) {
+    let result = list;
+    other.forEach(([from, to]) => {
+        result = result.flatMap(([a, b]) => [[a, Math.min(b, from)], [Math.max(a, to), b]])
+            .filter(([a, b]) => b - a > 1e-9);
+    });
+    return result;
+}
+
+// Extrude prisms ({ contour, holes, bottom, top, withSides }) into one closed
+// surface. Side faces two prisms share back to back (a run's end against its
+// own cap, the blocks around an opening against their neighbours' ends) are
+// dropped where both cover them, and every side face is split at the
+// heights the faces beside it end at, so each edge is shared by exactly two
+// triangles.
+function extrudeClosed(builder, prisms) {
+    const points = new Map(); // Vertex key → the first point seen there, used for all
+    const sides = new Map(); // 'from|to' vertex keys → height intervals of faces along it
+    const columns = new Map(); // Vertex key → heights faces start or end at there
+
+    const addHeights = (key, heights) => {
+        if (!columns.has(key)) columns.set(key, []);
+        columns.get(key).push(...heights);
+    };
+
+    prisms.forEach(({ contour, holes, bottom, top, withSides = true }) => {
+        const rings = orientRings(contour, holes).map(ring => {
+            const keys = ring.map(p => {
+                const key = getVertexKey(p);
+                if (!points.has(key)) points.set(key, p);
+                return key;
+            });
+            return keys.filter((key, i) => key !== keys[(i + 1) % keys.length]);
+        });
+        if (rings[0].length < 3) return;
+
+        fillRings(builder, rings.map(ring => ring.map(key => points.get(key))), bottom, top, true);
+
+        rings.forEach(ring => ring.forEach((key, i) => {
+            addHeights(key, [bottom, top]);
+            if (!withSides) return;
+
+            const edge = `${key}|${ring[(i + 1) % ring.length]}`;
+            if (!sides.has(edge)) sides.set(edge, []);
+            sides.get(edge).push([bottom, top]);
+        }));
+    });
+
+    const heightsAt = (key, from, to) => {
+        const heights = columns.get(key).filter(h => h > from + 1e-9 && h < to - 1e-9).sort((a, b) => a - b);
+        return [from, ...heights.filter((h, i) => i === 0 || h - heights[i - 1] > 1e-9), to];
+    };
+
+    sides.forEach((intervals, edge) => {
+        const [from, to] = edge.split('|');
+        const p = points.get(from);
+        const q = points.get(to);
+        const d = direction(p, q);
+        if (!d) return;
+
+        // Walk up both vertical edges, always closing the lower step first
+        const n = new THREE.Vector3(d.z, 0, -d.x);
+        subtractIntervals(intervals, sides.get(`${to}|${from}`) || []).forEach(([bottom, top]) => {
+            const left = heightsAt(from, bottom, top).map(h => new THREE.Vector3(p.x, h, p.z));
+            const right = heightsAt(to, bottom, top).map(h => new THREE.Vector3(q.x, h, q.z));
+            let i = 0;
+            let j = 0;
+            while (i < left.length - 1 || j < right.length - 1) {
+                if (j === right.length - 1 || (i < left.length - 1 && left[i + 1].y <= right[j + 1].y)) {
+                    builder.triangle(left[i], right[j], left[i + 1], n);
+                    i++;
+                } else {
+                    builder.triangle(left[i], right[j], right[j + 1], n);
+                    j++;
+                }
+            }
+        });
+    });
+}
+
+// ============================================
+// OPENINGS
+// ============================================
+
+// How far the outline's corners at path vertex `index` reach into the
+// segment towards `towards`; an opening must start beyond that
+function cornerMargin(path, closed, index, towards, halfThick, junctions, wallId) {
+    const point = path[index];
+    const d = direction(point, path[towards]);
+    if (!d) return 0;
+
+    const last = path.length - 1;
+    const isEnd = !closed && (index === 0 || index === last);
+    const corners = [];
+
+    if (isEnd || degreeAt(junctions, point) >= 3) {
+        const ends = junctionEnd(point, junctions, wallId, index, towards);
+        if (ends) corners.push(ends.left, ends.right);
+    } else {
+        // Interior vertex (a loop's seam wraps around)
+        const n = closed ? last : path.length;
+        const r = index % n;
+        const prev = closed ? path[(r - 1 + n) % n] : path[index - 1];
+        const next = closed ? path[(r + 1) % n] : path[index + 1];
+        const { left, right } = miterVertex(prev, point, next, halfThick);
+        corners.push(...left, ...right);
+    }
+
+    return corners.reduce((margin, c) => Math.max(margin, (c.x - point.x) * d.x + (c.z - point.z) * d.z), 0);
+}
+
+/**
+ * Point and direction at a distance along a path.
+ *
+ * @param {Array<{x: number, z: number}>} points
+ * @param {number} distance - Clamped to the path
+ * @returns {{ x: number, z: number, dir: {x: number, z: number}, segment: number } | null}
+ */
+export function pointAlongPath(points, distance) {
+    const path = dedupePoints(points);
+    if (path.length < 2) return null;
+
+    const lengths = cumulativeLengths(path);
+    const target = Math.min(Math.max(distance, 0), lengths[lengths.length - 1]);
+    let segment = 0;
+    while (segment < path.length - 2 && lengths[segment + 1] < target) segment++;
+
+    const a = path[segment];
+    const dir = direction(a, path[segment + 1]);
+    const t = target - lengths[segment];
+    return { x: a.x + dir.x * t, z: a.z + dir.z * t, dir, segment };
+}
+
+/**
+ * Split a path into straight runs: freehand points that stay within
+ * `tolerance` of the line between a run's ends belong to that run.
+ *
+ * @param {Array<{x: number, z: number}>} points
+ * @param {number} tolerance - Max sideways distance of a point from its run
+ * @returns {Array<{ start: number, end: number }>} Point index ranges; each
+ *     run starts at the corner the previous one ends on
+ */
+export function getStraightRuns(points, tolerance) {
+    const runs = [];
+    let start = 0;
+    for (let end = 2; end < points.length; end++) {
+        if (!isStraightRun(points, start, end, tolerance)) {
+            runs.push({ start, end: end - 1 });
+            start = end - 1;
+        }
+    }
+    if (points.length > 1) runs.push({ start, end: points.length - 1 });
+    return runs;
+}
+
+function isStraightRun(points, start, end, tolerance) {
+    const a = points[start];
+    const b = points[end];
+    const dx = b.x - a.x;
+    const dz = b.z - a.z;
+    const lengthSq = dx * dx + dz * dz;
+    for (let i = start + 1; i < end; i++) {
+        const p = points[i];
+        const t = lengthSq < EPSILON ? 0 : Math.min(1, Math.max(0, ((p.x - a.x) * dx + (p.z - a.z) * dz) / lengthSq));
+        if (Math.hypot(p.x - a.x - dx * t, p.z - a.z - dz * t) > tolerance) return false;
+    }
+    return true;
+}
+
+/**
+ * Fit openings to a wall: each moves onto the straight segment holding its
+ * centre (clear of corners, junction cuts and earlier openings), narrowing
+ * if the segment is too short, and its sill and head are clamped to the
+ * wall's height. Openings that can't fit anywhere are dropped.
+ *
+ * @param {Array<{x: number, z: number}>} points - Wall path
+ * @param {Array<{ id, type, offset, width, sill, head }>} openings -
+ *     `offset` is the distance along the path to the opening's centre;
+ *     `sill` and `head` are heights above the wall's base
+ * @param {Object} options
+ * @param {number} options.thickness
+ * @param {number} options.height
+ * @param {Map} [options.junctions] - From buildJunctionIndex
+ * @param {*} [options.wallId]
+ * @returns {Array} Fitted copies, in the original order
+ */
+export function fitOpenings(points, openings, { thickness, height, junctions = null, wallId = null }) {
+    const path = dedupePoints(points);
+    if (path.length < 2 || openings.length === 0) return [];
+
+    const closed = isClosedPath(path);
+    const lengths = cumulativeLengths(path);
+    const halfThick = thickness / 2;
+
+    const segments = [];
+    for (let i = 0; i < path.length - 1; i++) {
+        segments.push({
+            start: lengths[i],
+            end: lengths[i + 1],
+            min: lengths[i] + cornerMargin(path, closed, i, i + 1, halfThick, junctions, wallId),
+            max: lengths[i + 1] - cornerMargin(path, closed, i + 1, i, halfThick, junctions, wallId),
+            used: -Infinity // End of the last opening placed on it
+        });
+    }
+
+    const fitted = new Map();
+    const total = lengths[lengths.length - 1];
+
+    [...openings].sort((a, b) => a.offset - b.offset).forEach(opening => {
+        const centre = Math.min(Math.max(opening.offset, 0), total);
+        const segment = segments.find(s => centre <= s.end) || segments[segments.length - 1];
+
+        const min = Math.max(segment.min, segment.used + OPENING_GAP);
+        const room = segment.max - min;
+        if (room < MIN_OPENING_WIDTH) return;
+
+        const width = Math.min(Math.max(opening.width, MIN_OPENING_WIDTH), room);
+        const offset = Math.min(Math.max(centre, min + width / 2), segment.max - width / 2);
+        segment.used = offset + width / 2;
+
+        const sill = Math.min(Math.max(opening.sill, 0), height - MIN_OPENING_HEIGHT);
+        const head = Math.min(Math.max(opening.head, sill + MIN_OPENING_HEIGHT), height);
+        fitted.set(opening, { ...opening, offset, width, sill, head });
+    });
+
+    return openings.filter(opening => fitted.has(opening)).map(opening => fitted.get(opening));
+}
+
+// Extrude one wall run, split along its length at the openings' sides.
+// `distances` are the run points' distances along the wall path; `cuts` are
+// { from, to, sill, head } intervals in the same measure.
+function extrudeRun(solid, run, distances, cuts, halfThick, base, height, startCorners, endCorners) {
+    const start = distances[0];
+    const end = distances[distances.length - 1];
+    const inside = cuts.filter(cut => cut.from >= start - 1e-6 && cut.to <= end + 1e-6);
+
+    const pointAt = distance => {
+        let i = 0;
+        while (i < distances.length - 2 && distances[i + 1] < distance) i++;
+        const span = distances[i + 1] - distances[i];
+        const t = span > EPSILON ? (distance - distances[i]) / span : 0;
+        return {
+            x: run[i].x + (run[i + 1].x - run[i].x) * t,
+            z: run[i].z + (run[i + 1].z - run[i].z) * t
+        };
+    };
+
+    const stops = [start, ...inside.flatMap(cut => [cut.from, cut.to]), end].sort((a, b) => a - b);
+
+    for (let k = 0; k < stops.length - 1; k++) {
+        const from = stops[k];
+        const to = stops[k + 1];
+        if (to - from < 1e-6) continue;
+
+        const piece = [pointAt(from)];
+        distances.forEach((d, i) => {
+            if (d > from + 1e-6 && d < to - 1e-6) piece.push(run[i]);
+        });
+        piece.push(pointAt(to));
+
+        // Cut ends are square; only the run's own ends use junction corners
+        const outline = openRunOutline(
+            piece,
+            halfThick,
+            from - start < 1e-6 ? startCorners : null,
+            end - to < 1e-6 ? endCorners : null
+        );
+
+        const middle = (from + to) / 2;
+        const cut = inside.find(c => c.from <= middle && middle <= c.to);
+        if (!cut) {
+            solid(outline, [], base, base + height);
+            continue;
+        }
+
+        // Sill and lintel blocks; their faces and the neighbours' cut ends are the reveals
+        if (cut.sill > 1e-6) {
+            solid(outline, [], base, base + cut.sill);
+        }
+        if (cut.head < height - 1e-6) {
+            solid(outline, [], base + cut.head, base + height);
+        }
+    }
+}
+
+// ============================================
+// WALL GEOMETRY
+// ============================================
+
+// Split a path into runs at junction vertices (3+ edges meet there)
+function splitIntoRuns(path, closed, junctions) {
+    const isBreak = i => degreeAt(junctions, path[i]) >= 3;
+
+    if (!closed) {
+        const runs = [];
+        let start = 0;
+        for (let i = 1; i < path.length; i++) {
+            if (i === path.length - 1 || isBreak(i)) {
+                runs.push({ from: start, to: i });
+                start = i;
+            }
+        }
+        return runs;
+    }
+
+    // Closed: path[0] === path[n - 1]; work on the ring without the duplicate
+    const n = path.length - 1;
+    const breaks = [];
+    for (let i = 0; i < n; i++) {
+        if (isBreak(i)) breaks.push(i);
+    }
+    if (breaks.length === 0) return null;
+
+    return breaks.map((from, i) => {
+        const next = breaks[(i + 1) % breaks.length];
+        return { from, to: next > from ? next : next + n };
+    });
+}
+
+// Walk the pieces of one wall, calling solid(contour, holes, bottom, top,
+// withSides) for each prism: runs, the blocks around openings and the
+// junction caps this wall owns. Options as for createExtrudedWallGeometry;
+// when `closed`, caps get their side faces too, so every piece is closed.
+function buildWallSolids(points, height, thickness, options, solid) {
+    const { junctions = null, wallId = null, base = 0, openings = [], closed: closedPieces = false } = options;
+    const path = dedupePoints(points);
+    if (path.length < 2) return;
+
+    const halfThick = thickness / 2;
+    const top = base + height;
+    const closed = isClosedPath(path);
+    const lengths = cumulativeLengths(path);
+    const total = lengths[lengths.length - 1];
+
+    const runs = splitIntoRuns(path, closed, junctions);
+
+    // Loops wrap past their seam, so their cuts are repeated one lap on
+    const cuts = fitOpenings(path, openings, { thickness, height, junctions, wallId })
+        .map(({ offset, width, sill, head }) => ({ from: offset - width / 2, to: offset + width / 2, sill, head }))
+        .flatMap(cut => (closed ? [cut, { ...cut, from: cut.from + total, to: cut.to + total }] : [cut]));
+
+    if (!runs && cuts.length === 0) {
+        const { outer, inner } = closedRings(path.slice(0, -1), halfThick);
+        solid(outer, [inner], base, top);
+    } else if (!runs) {
+        // A seamless loop with openings becomes one run from the first
+        // opening's side all the way round to it again
+        const start = Math.min(...cuts.map(cut => cut.from));
+        const startPoint = pointAlongPath(path, start);
+        const corners = path.slice(0, -1)
+            .map((p, i) => ({ p, d: lengths[i] > start ? lengths[i] : lengths[i] + total }))
+            .sort((a, b) => a.d - b.d);
+
+        const run = [startPoint, ...corners.map(c => c.p), startPoint];
+        const distances = [start, ...corners.map(c => c.d), start + total];
+        extrudeRun(solid, run, distances, cuts, halfThick, base, height, null, null);
+    } else {
+        const n = closed ? path.length - 1 : path.length;
+        const at = i => (closed ? path[i % n] : path[i]);
+        const distanceAt = i => (closed && i > n ? total + lengths[i - n] : lengths[i]);
+
+        runs.forEach(({ from, to }) => {
+            const run = [];
+            const distances = [];
+            for (let i = from; i <= to; i++) {
+                run.push(at(i));
+                distances.push(distanceAt(i));
+            }
+
+            // Junction entries use path indices; on a loop, arriving back at the
+            // seam is stored on the duplicate end point (index n)
+            const end = closed ? (to % n === 0 ? n : to % n) : to;
+            const startCorners = junctionEnd(run[0], junctions, wallId, from, from + 1);
+            const endCorners = junctionEnd(run[run.length - 1], junctions, wallId, end, end - 1);
+
+            extrudeRun(solid, run, distances, cuts, halfThick, base, height, startCorners, endCorners);
+        });
+    }
+
+    // Centre caps for the 3+ way junctions this wall owns
+    if (junctions) {
+        const seen = new Set();
+        path.forEach(p => {
+            const key = getVertexKey(p);
+            if (seen.has(key)) return;
+            seen.add(key);
+
+            const edges = junctions.get(key);
+            if (!edges || edges.length < 3 || !isCapOwner(edges, wallId)) return;
+
+            const corners = edges.map((_, k) => junctionCorner(p, edges, k));
+            // The cap spans every wall meeting here, whatever their heights
+            const capBottom = Math.min(...edges.map(e => e.base));
+            const capTop = Math.max(...edges.map(e => e.base + e.height));
+            solid(corners, [], capBottom, capTop, closedPieces);
+        });
+    }
+}
+
+/**
+ * Build the BufferGeometry for one wall.
+ *
+ * @param {Array<{x: number, z: number}>} points - Ground-plane path
+ * @param {number} height
+ * @param {number} thickness
+ * @param {Object} [options]
+ * @param {Map} [options.junctions] - From buildJunctionIndex; omit for a
+ *     standalone wall (e.g. the drawing ghost)
+ * @param {*} [options.wallId] - This wall's id within `junctions`
+ * @param {number} [options.base=0] - Bottom height
+ * @param {Array} [options.openings] - Doors and windows (see fitOpenings)
+ * @param {boolean} [options.closed=false] - Weld the pieces into one closed,
+ *     watertight solid (see extrudeClosed) instead of the lighter render
+ *     geometry, whose junction caps have no sides and whose pieces only touch
+ */
+export function createExtrudedWallGeometry(points, height, thickness, options = {}) {
+    const builder = createBuilder();
+    if (options.closed) {
+        const prisms = [];
+        buildWallSolids(points, height, thickness, options, (contour, holes, bottom, top, withSides) => {
+            prisms.push({ contour, holes, bottom, top, withSides });
+        });
+        extrudeClosed(builder, prisms);
+    } else {
+        buildWallSolids(points, height, thickness, options, (contour, holes, bottom, top, withSides) => {
+            extrudePolygon(builder, contour, holes, bottom, top, withSides);
+        });
+    }
+
+    if (builder.positions.length === 0) return null;
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute(builder.positions, 3));
+    geometry.setAttribute('normal', new THREE.Float32BufferAttribute(builder.normals, 3));
+    geometry.computeBoundingBox();
+    geometry.computeBoundingSphere();
+
+    return geometry;
+}
+
+/**
+ * Plan outlines of one wall, cut horizontally at `cutHeight`: the same
+ * mitered, junction-cut pieces its geometry is built from, so a door or
+ * window the cut passes through leaves a gap.
+ *
+ * @param {Array<{x: number, z: number}>} points - Ground-plane path
+ * @param {number} height
+ * @param {number} thickness
+ * @param {Object} [options] - As for createExtrudedWallGeometry, plus:
+ * @param {number} [options.cutHeight] - Defaults to half way up the wall;
+ *     clamped to the wall, so low walls still show
+ * @returns {Array<{ contour: Array<{x: number, z: number}>,
+ *     holes: Array<Array<{x: number, z: number}>> }>}
+ */
+export function createWallPlanOutlines(points, height, thickness, options = {}) {
+    const { base = 0, cutHeight = base + height / 2 } = options;
+    const cut = THREE.MathUtils.clamp(cutHeight, base, base + height);
+
+    const outlines = [];
+    buildWallSolids(points, height, thickness, options, (contour, holes, bottom, top) => {
+        if (bottom <= cut + 1e-6 && top >= cut - 1e-6) outlines.push({ contour, holes });
+    });
+    return outlines;
+}
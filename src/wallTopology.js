@@ -0,0 +1,195 @@
+/**
+ * Freeform Builder - Wall Topology
+ *
+ * Turns freely drawn wall paths into a shared node/edge graph:
+ *
+ * - Crossings: two segments that cross get a node at the crossing point,
+ *   inserted into both paths.
+ * - T-junctions: a vertex that lands on another segment's interior is
+ *   inserted into that segment, so both walls share the node.
+ *
+ * Only segments passing through neighbouring cells of a spatial grid are
+ * compared, and only from the paths being noded, so noding stays fast with
+ * thousands of walls.
+ *
+ * Nodes are identified by getVertexKey, so after noding every wall touching
+ * a junction holds a point with the same key. buildNodeIndex maps those keys
+ * back to (path, point index) references for editing attached walls together.
+ *
+ * Points are treated as plain { x, z } objects; new points are created by
+ * cloning a neighbouring point so callers get back their own point type.
+ */
+
+import { getVertexKey } from './planarFaces.js';
+import { createSpatialIndex, boundsOverlap } from './spatialIndex.js';
+
+export const NODE_TOLERANCE = 0.01;
+
+const PARAM_EPSILON = 1e-9;
+
+function makePoint(template, x, z) {
+    const point = typeof template.clone === 'function' ? template.clone() : { ...template };
+    point.x = x;
+    point.z = z;
+    return point;
+}
+
+function segmentBounds(a, b, pad) {
+    return {
+        minX: Math.min(a.x, b.x) - pad,
+        maxX: Math.max(a.x, b.x) + pad,
+        minZ: Math.min(a.z, b.z) - pad,
+        maxZ: Math.max(a.z, b.z) + pad
+    };
+}
+
+// Parameter of the projection of p onto segment a-b, and its distance to it
+function projectOntoSegment(p, a, b) {
+    const dx = b.x - a.x;
+    const dz = b.z - a.z;
+    const lengthSq = dx * dx + dz * dz;
+    if (lengthSq < PARAM_EPSILON) return null;
+
+    const t = ((p.x - a.x) * dx + (p.z - a.z) * dz) / lengthSq;
+    const cx = a.x + dx * t;
+    const cz = a.z + dz * t;
+    return { t, distance: Math.hypot(p.x - cx, p.z - cz) };
+}
+
+// Proper crossing of segments a-b and c-d (not at either segment's ends)
+function crossSegments(a, b, c, d) {
+    const rx = b.x - a.x;
+    const rz = b.z - a.z;
+    const sx = d.x - c.x;
+    const sz = d.z - c.z;
+    const denom = rx * sz - rz * sx;
+    if (Math.abs(denom) < PARAM_EPSILON) return null;
+
+    const qx = c.x - a.x;
+    const qz = c.z - a.z;
+    const t = (qx * sz - qz * sx) / denom;
+    const u = (qx * rz - qz * rx) / denom;
+
+    if (t <= PARAM_EPSILON || t >= 1 - PARAM_EPSILON) return null;
+    if (u <= PARAM_EPSILON || u >= 1 - PARAM_EPSILON) return null;
+
+    return { t, u, x: a.x + rx * t, z: a.z + rz * t };
+}
+
+function collectSegments(paths) {
+    const segments = [];
+    paths.forEach((points, pathIndex) => {
+        for (let i = 0; i < points.length - 1; i++) {
+            const a = points[i];
+            const b = points[i + 1];
+            segments.push({
+                id: segments.length,
+                pathIndex,
+                index: i,
+                a,
+                b,
+                bounds: segmentBounds(a, b, NODE_TOLERANCE)
+            });
+        }
+    });
+    return segments;
+}
+
+function addInsertion(insertions, segment, t, point) {
+    const key = `${segment.pathIndex}:${segment.index}`;
+    if (!insertions.has(key)) insertions.set(key, []);
+    insertions.get(key).push({ t, point });
+}
+
+/**
+ * Insert shared nodes at crossings and T-junctions.
+ *
+ * @param {Array<Array<{x: number, z: number}>>} paths - Wall point lists
+ * @param {Object} [options]
+ * @param {Set<number>} [options.active] - Only node pairs involving these
+ *     path indices (all paths when omitted)
+ * @returns {{ paths: Array, changed: boolean[] }} Noded copies of the paths
+ *     (unchanged paths are returned as-is) and which ones gained nodes
+ */
+export function nodePaths(paths, { active = null } = {}) {
+    const segments = collectSegments(paths);
+    const insertions = new Map();
+    const isActive = pathIndex => !active || active.has(pathIndex);
+
+    const index = createSpatialIndex();
+    segments.forEach(segment => index.insertPath(segment, [segment.a, segment.b]));
+
+    // Each pair once: from its active segment, or from the lower id when both are
+    for (const s1 of segments.filter(segment => isActive(segment.pathIndex))) {
+        for (const s2 of index.queryPath([s1.a, s1.b], NODE_TOLERANCE)) {
+            if (isActive(s2.pathIndex) && s2.id <= s1.id) continue;
+            if (!boundsOverlap(s1.bounds, s2.bounds)) continue;
+
+            // Neighbouring segments of one path always meet at their shared vertex
+            if (s1.pathIndex === s2.pathIndex && Math.abs(s1.index - s2.index) <= 1) continue;
+
+            const crossing = crossSegments(s1.a, s1.b, s2.a, s2.b);
+            if (crossing) {
+                addInsertion(insertions, s1, crossing.t, makePoint(s1.a, crossing.x, crossing.z));
+                addInsertion(insertions, s2, crossing.u, makePoint(s2.a, crossing.x, crossing.z));
+                continue;
+            }
+
+            // T-junctions: an end of one segment resting on the other's interior
+            [[s1, s2], [s2, s1]].forEach(([host, other]) => {
+                [other.a, other.b].forEach(vertex => {
+                    const projection = projectOntoSegment(vertex, host.a, host.b);
+                    if (!projection || projection.distance > NODE_TOLERANCE) return;
+                    if (projection.t <= PARAM_EPSILON || projection.t >= 1 - PARAM_EPSILON) return;
+                    addInsertion(insertions, host, projection.t, makePoint(vertex, vertex.x, vertex.z));
+                });
+            });
+        }
+    }
+
+    const changed = paths.map(() => false);
+    if (insertions.size === 0) {
+        return { paths, changed };
+    }
+
+    const noded = paths.map((points, pathIndex) => {
+        const result = [points[0]];
+
+        for (let i = 0; i < points.length - 1; i++) {
+            const list = insertions.get(`${pathIndex}:${i}`);
+            if (list) {
+                const skip = new Set([getVertexKey(points[i]), getVertexKey(points[i + 1])]);
+                list.sort((p, q) => p.t - q.t).forEach(({ point }) => {
+                    const key = getVertexKey(point);
+                    if (skip.has(key)) return;
+                    skip.add(key);
+                    result.push(point);
+                    changed[pathIndex] = true;
+                });
+            }
+            result.push(points[i + 1]);
+        }
+
+        return changed[pathIndex] ? result : points;
+    });
+
+    return { paths: noded, changed };
+}
+
+/**
+ * Map each node key to every (path, point index) that sits on it.
+ *
+ * @param {Array<Array<{x: number, z: number}>>} paths
+ * @returns {Map<string, Array<{ pathIndex: number, index: number }>>}
+ */
+export function buildNodeIndex(paths) {
+    const index = new Map();
+    paths.forEach((points, pathIndex) => {
+        points.forEach((point, i) => {
+            const key = getVertexKey(point);
+            if (!index.has(key)) index.set(key, []);
+            index.get(key).push({ pathIndex, index: i });
+        });
+    });
+    return index;
+}
@@ -0,0 +1,113 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createBuilder } from '../src/builder.js';
+
+const RECTANGLE = [[0, 0], [6, 0], [6, 4], [0, 4], [0, 0]];
+
+describe('createBuilder', () => {
+    it('emits wall-added and wall-removed with the record and its index', () => {
+        const builder = createBuilder();
+        const events = [];
+        builder.on('wall-added', ({ wall, index }) => events.push(['added', wall.id, index]));
+        builder.on('wall-removed', ({ wall, index }) => events.push(['removed', wall.id, index]));
+        builder.on('change', ({ types }) => events.push(['change', ...types]));
+
+        const first = builder.addWall([[0, 0], [4, 0]], { id: 1 });
+        const second = builder.addWall([[4, 0], [4, 3]], { id: 2 });
+        assert.equal(first.thickness, 0.15);
+        assert.equal(second.points[1].z, 3);
+        assert.equal(builder.removeWall(1), first);
+        assert.equal(builder.removeWall(1), null);
+
+        assert.deepEqual(events, [
+            ['added', 1, 0],
+            ['change', 'wall-added'],
+            ['added', 2, 1],
+            ['change', 'wall-added'],
+            ['removed', 1, 0],
+            ['change', 'wall-removed']
+        ]);
+        assert.deepEqual(builder.getWalls().map(wall => wall.id), [2]);
+    });
+
+    it('holds back change events until a batch ends', () => {
+        const builder = createBuilder();
+        const changes = [];
+        builder.on('change', ({ types }) => changes.push(types));
+
+        builder.batch(() => {
+            builder.addWall([[0, 0], [4, 0]]);
+            builder.addWall([[4, 0], [4, 3]]);
+        });
+        assert.deepEqual(changes, [['wall-added']]);
+    });
+
+    it('splits a rectangle into two rooms along a crossing wall', () => {
+        const builder = createBuilder();
+        builder.addWall(RECTANGLE);
+        assert.deepEqual(builder.getRooms().map(room => [room.name, room.area]), [['Room 1', 24]]);
+
+        // Crosses both long sides; the ends sticking out bound nothing
+        builder.addWall([[3, -1], [3, 5]]);
+        const rooms = builder.getRooms();
+        assert.equal(rooms.length, 2);
+        assert.deepEqual(rooms.map(room => room.area), [12, 12]);
+        assert.deepEqual(rooms.map(room => room.perimeter), [14, 14]);
+        assert.deepEqual(rooms.map(room => room.name).sort(), ['Room 1', 'Room 2']);
+    });
+
+    it('keeps the rooms of other buildings when one changes', () => {
+        const builder = createBuilder();
+        builder.addWall(RECTANGLE);
+        const shed = builder.addWall([[10, 0], [12, 0], [12, 2], [10, 2], [10, 0]]);
+        const [hall] = builder.getRooms();
+
+        builder.updateWall({ ...shed, points: shed.points.map(p => [p.x, p.z * 2]) });
+        const rooms = builder.getRooms();
+        assert.deepEqual(rooms.map(room => room.area), [24, 8]);
+        assert.equal(rooms[0].id, hall.id);
+    });
+
+    it('follows a wall edited in place once it is touched', () => {
+        const builder = createBuilder();
+        const wall = builder.addWall(RECTANGLE);
+        assert.equal(builder.getRooms()[0].area, 24);
+
+        wall.points.forEach(p => { p.x *= 2; });
+        assert.equal(builder.getRooms()[0].area, 24);
+        builder.touchWall(wall.id);
+        assert.equal(builder.getRooms()[0].area, 48);
+    });
+
+    it('nests a building drawn inside another room as a hole', () => {
+        const builder = createBuilder();
+        builder.addWall(RECTANGLE);
+        builder.addWall([[2, 1], [4, 1], [4, 3], [2, 3], [2, 1]]);
+
+        const floors = builder.getFloors();
+        assert.deepEqual(floors.map(floor => [floor.nested, floor.holes.length]), [[false, 1], [true, 0]]);
+        assert.deepEqual(builder.getRooms().map(room => room.area), [20, 4]);
+    });
+
+    it('finds the walls connected to a wall through touching walls', () => {
+        const builder = createBuilder();
+        const hall = builder.addWall(RECTANGLE, { id: 1 });
+        builder.addWall([[6, 2], [9, 2]], { id: 2 });
+        builder.addWall([[9, 0], [9, 4]], { id: 3 });
+        builder.addWall([[20, 0], [24, 0]], { id: 4 });
+
+        assert.deepEqual(builder.getConnectedWalls(hall.id).map(wall => wall.id), [1, 2, 3]);
+        assert.deepEqual(builder.getConnectedWalls(4).map(wall => wall.id), [4]);
+        assert.deepEqual(builder.getConnectedWalls(5), []);
+    });
+
+    it('snaps onto a wall endpoint', () => {
+        const builder = createBuilder();
+        builder.addWall([[0, 0], [4, 0]]);
+
+        const result = builder.snap([4.2, 0.1]);
+        assert.equal(result.type, 'endpoint');
+        assert.deepEqual([result.point.x, result.point.z], [4, 0]);
+        assert.equal(builder.snap([10, 10]).type, null);
+    });
+});
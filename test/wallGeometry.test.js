@@ -0,0 +1,113 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { buildJunctionIndex, createExtrudedWallGeometry } from '../src/wallGeometry.js';
+import { exportModel } from '../src/modelExport.js';
+
+const WALL = { thickness: 0.2, height: 2.5, base: 0 };
+
+function toWalls(list) {
+    return list.map(wall => ({
+        ...WALL,
+        ...wall,
+        points: wall.points.map(([x, z]) => ({ x, z }))
+    }));
+}
+
+// Each wall exported on its own as binary STL, read back as triangles
+async function exportWalls(list, options = {}) {
+    const walls = toWalls(list);
+    const junctions = buildJunctionIndex(walls);
+
+    return Promise.all(walls.map(async ({ id, points, height, thickness, base, openings = [] }) => {
+        const geometry = createExtrudedWallGeometry(points, height, thickness, {
+            junctions,
+            wallId: id,
+            base,
+            openings,
+            ...options
+        });
+        const blob = await exportModel([{
+            name: `wall-${id}`,
+            geometry,
+            matrix: new THREE.Matrix4(),
+            color: 0xffffff,
+            metadata: {}
+        }], 'stl');
+
+        const view = new DataView(await blob.arrayBuffer());
+        const triangles = [];
+        for (let t = 0; t < view.getUint32(80, true); t++) {
+            const offset = 84 + t * 50 + 12; // Past the facet normal
+            triangles.push([0, 1, 2].map(v => [0, 1, 2].map(c => view.getFloat32(offset + v * 12 + c * 4, true))));
+        }
+        return triangles;
+    }));
+}
+
+// Edges not shared by exactly two triangles
+function getOpenEdges(triangles) {
+    const counts = new Map();
+    triangles.forEach(vertices => {
+        const keys = vertices.map(v => v.map(c => c.toFixed(4)).join(','));
+        keys.forEach((a, i) => {
+            const b = keys[(i + 1) % 3];
+            const edge = a < b ? `${a}|${b}` : `${b}|${a}`;
+            counts.set(edge, (counts.get(edge) || 0) + 1);
+        });
+    });
+    return [...counts].filter(([, count]) => count !== 2);
+}
+
+function getVolume(triangles) {
+    return triangles.reduce((sum, [a, b, c]) => sum + (
+        a[0] * (b[1] * c[2] - b[2] * c[1]) -
+        a[1] * (b[0] * c[2] - b[2] * c[0]) +
+        a[2] * (b[0] * c[1] - b[1] * c[0])
+    ) / 6, 0);
+}
+
+describe('createExtrudedWallGeometry (closed)', () => {
+    it('exports each wall of a T-junction as a closed solid', async () => {
+        const exported = await exportWalls([
+            { id: 'a', points: [[0, 0], [2, 0], [4, 0]] },
+            { id: 'b', points: [[2, 0], [2, 3]] }
+        ], { closed: true });
+
+        exported.forEach(triangles => assert.deepEqual(getOpenEdges(triangles), []));
+        // The through wall owns the centre cap, the branch stops at it
+        assert.ok(Math.abs(getVolume(exported[0]) - 4 * 0.2 * 2.5) < 1e-4);
+        assert.ok(Math.abs(getVolume(exported[1]) - 2.9 * 0.2 * 2.5) < 1e-4);
+    });
+
+    it('exports the walls of a 4-way junction of mixed heights as closed solids', async () => {
+        const exported = await exportWalls([
+            { id: 'a', points: [[0, 0], [2, 0], [4, 0]] },
+            { id: 'b', points: [[2, -2], [2, 0], [2, 2]], height: 3, base: 0.5 }
+        ], { closed: true });
+
+        exported.forEach(triangles => assert.deepEqual(getOpenEdges(triangles), []));
+    });
+
+    it('welds the pieces around doors and windows', async () => {
+        const openings = [
+            { type: 'door', offset: 1.5, width: 0.9, sill: 0, head: 2.1 },
+            { type: 'window', offset: 8, width: 1.2, sill: 0.9, head: 2 }
+        ];
+        const exported = await exportWalls([
+            { id: 'a', points: [[0, 0], [3, 0], [6, 0], [6, 4], [3, 4], [0, 4], [0, 0]], openings },
+            { id: 'b', points: [[3, 0], [3, 4]] }
+        ], { closed: true });
+
+        exported.forEach(triangles => assert.deepEqual(getOpenEdges(triangles), []));
+    });
+
+    it('leaves the render geometry open at junctions', async () => {
+        const [through] = await exportWalls([
+            { id: 'a', points: [[0, 0], [2, 0], [4, 0]] },
+            { id: 'b', points: [[2, 0], [2, 3]] }
+        ]);
+
+        assert.notDeepEqual(getOpenEdges(through), []);
+    });
+});